@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+// Command-line companion to server.js. Works on the same database and parser,
+// so admins can script imports and queries without starting the server.
+//
+//   node cli.js import <pdf|csv...> [--dry-run] [--json]   (reports clashes with existing timetables)
+//   node cli.js dump <pdf> [--page N]
+//   node cli.js free-rooms (--day Monday | --date YYYY-MM-DD) --from 10:00 --to 11:00 [filters] [--json]
+//   node cli.js search <words...> [--json]
+//   node cli.js uploads [--json]
+//   node cli.js remove <filename...>
+//   node cli.js export [--out file.json] [--users]
+//   node cli.js restore <file.json> [--replace] [--dry-run]
+//
+// Every command takes --db <file> (default: DB_PATH or scheduler.db).
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const os = require('os');
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  import <file...>      Parse timetable PDFs or CSVs and save them (sections matching existing ones replace them)
+      --dry-run         Parse and report what would change without writing anything
+  dump <pdf>            Print the raw positioned text items and parsed sections as JSON
+      --page <n>        Only this page (1-based)
+  free-rooms            Rooms free for a whole time range
+      --day <day> | --date <YYYY-MM-DD>
+      --from <HH:MM> --to <HH:MM>
+      --min-capacity <n> --building <name> --facilities <a,b> --sort <room|capacity|-capacity|building>
+      --include-unbookable
+  search <words...>     Find sections, rooms and subjects, e.g. search cse 4 sem, search dbms lab wednesday
+  uploads               List uploaded files with section and skipped-page counts
+  remove <filename...>  Delete every section imported from these files
+  export                Write a backup archive of rooms, sections, bookings and the calendar
+      --out <file>      Write to a file instead of stdout
+      --users           Include user accounts (password and token hashes)
+  restore <file>        Load a backup archive, merging it into the current data
+      --replace         Replace all current data with the archive instead
+      --dry-run         Validate and report what would change without writing anything
+
+Options for every command:
+  --db <file>           SQLite database (default: DB_PATH or scheduler.db)
+  --json                Machine-readable output where the default is a table
+  -h, --help            Show this help`;
+
+const OPTIONS = {
+  db: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  'dry-run': { type: 'boolean' },
+  page: { type: 'string' },
+  day: { type: 'string' },
+  date: { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  'min-capacity': { type: 'string' },
+  building: { type: 'string' },
+  facilities: { type: 'string' },
+  sort: { type: 'string' },
+  'include-unbookable': { type: 'boolean' },
+  out: { type: 'string' },
+  users: { type: 'boolean' },
+  replace: { type: 'boolean' }
+};
+
+// Results go to stdout; the parser's progress logging goes to stderr so JSON output stays clean
+const print = text => process.stdout.write(text + '\n');
+const printJson = value => print(JSON.stringify(value, null, 2));
+const log = text => process.stderr.write(text + '\n');
+
+class UsageError extends Error {}
+
+// Audit-log name for changes made from the command line
+function cliActor() {
+  return 'cli:' + os.userInfo().username;
+}
+
+function table(rows, columns) {
+  const widths = columns.map(([key, label]) => Math.max(label.length, ...rows.map(r => String(r[key] ?? '').length)));
+  const line = cells => cells.map((c, i) => String(c ?? '').padEnd(widths[i])).join('  ').trimEnd();
+  return [line(columns.map(c => c[1])), line(widths.map(w => '-'.repeat(w))), ...rows.map(r => line(columns.map(c => r[c[0]])))].join('\n');
+}
+
+// ── import ──
+async function importCommand(files, opts) {
+  const { readPdfPages, parsePdfPages } = require('./lib/parser');
+  const { db } = require('./lib/db');
+  const { commitSections, saveParseReport, summarizeSection, findMatchingTimetable, timetableEntries, diffEntries } = require('./lib/timetables');
+  const { findConflicts, filterConflicts } = require('./lib/conflicts');
+  const { recordAudit, sectionName } = require('./lib/audit');
+  const { parseTimetableCsv } = require('./lib/csv');
+  if (!files.length) throw new UsageError('import needs at least one PDF or CSV file');
+
+  const results = [];
+  let failed = 0;
+  for (const file of files) {
+    const filename = path.basename(file);
+    let parsed;
+    if (/\.csv$/i.test(file)) {
+      const csv = parseTimetableCsv(fs.readFileSync(file, 'utf8'));
+      if (csv.errors) {
+        failed++;
+        results.push({ file, error: `${csv.total_errors} problem(s), nothing imported`, errors: csv.errors });
+        continue;
+      }
+      parsed = { pageCount: csv.sections.length, sections: csv.sections, pageReports: csv.pageReports, rows: csv.rows };
+    } else {
+      let pages;
+      try {
+        pages = await readPdfPages(file);
+      } catch (err) {
+        failed++;
+        results.push({ file, error: 'Could not read PDF: ' + err.message });
+        continue;
+      }
+      parsed = { pageCount: pages.length, ...parsePdfPages(pages, log) };
+    }
+    const { pageCount, sections, pageReports } = parsed;
+    const result = { file, filename, pages: pageCount, sections: sections.map(summarizeSection), skipped_pages: pageCount - sections.length };
+    if (parsed.rows) result.csv_rows = parsed.rows;
+
+    if (opts['dry-run']) {
+      // Same matching as commitSections, read-only
+      result.would_replace = sections.map(sec => {
+        const existing = findMatchingTimetable(sec);
+        if (!existing) return null;
+        return { timetable_id: existing.id, version: existing.version || 1, previous_filename: existing.filename, diff: diffEntries(timetableEntries(existing.id), sec.entries) };
+      });
+      const known = new Set(db.prepare('SELECT room_number FROM rooms').all().map(r => r.room_number));
+      result.new_rooms = [...new Set(sections.flatMap(s => s.rooms))].filter(r => !known.has(r));
+    } else {
+      const { totalEntries, totalRooms, replacedEntries, superseded, timetableIds } = commitSections(sections, filename);
+      saveParseReport(filename, pageReports);
+      recordAudit({
+        actor: cliActor(), action: 'upload', target: 'cli import', filename, sections: sections.map(sectionName),
+        rooms: sections.flatMap(s => s.rooms), before: replacedEntries, after: totalEntries,
+        details: { pages: pageCount, skipped_pages: result.skipped_pages, replaced_sections: superseded.length, new_rooms: totalRooms }
+      });
+      const conflicts = filterConflicts(findConflicts(), { timetableIds });
+      Object.assign(result, { total_entries: totalEntries, total_rooms: totalRooms, superseded, conflicts });
+    }
+    results.push(result);
+  }
+
+  if (opts.json) printJson({ dry_run: !!opts['dry-run'], files: results });
+  else {
+    for (const r of results) {
+      if (r.error) {
+        print(`${r.file}: ${r.error}`);
+        for (const e of r.errors || []) print(`  line ${e.line}: ${e.error}`);
+        continue;
+      }
+      const entries = r.sections.reduce((n, s) => n + s.entries, 0);
+      if (opts['dry-run']) {
+        const replacing = r.would_replace.filter(Boolean).length;
+        print(`${r.filename}: would import ${r.sections.length} section(s), ${entries} entries from ${r.csv_rows ? r.csv_rows + ' CSV rows' : r.pages + ' pages'}` +
+          (replacing ? `, replacing ${replacing} existing section(s)` : '') +
+          (r.new_rooms.length ? `, adding rooms ${r.new_rooms.join(', ')}` : '') + (r.csv_rows ? '' : `; ${r.skipped_pages} page(s) skipped`));
+      } else {
+        print(`${r.filename}: imported ${r.sections.length} section(s), ${r.total_entries} entries, ${r.total_rooms} new rooms` +
+          (r.superseded.length ? `, replaced ${r.superseded.length} existing section(s)` : '') + (r.csv_rows ? '' : `; ${r.skipped_pages} page(s) skipped`));
+      }
+      for (const [i, s] of r.sections.entries()) {
+        const prior = opts['dry-run'] ? r.would_replace[i] : null;
+        print(`  ${s.department} · ${s.year_sem} · ${s.section || '—'} (room ${s.default_room || '—'}): ${s.entries} entries` +
+          (prior ? ` — replaces v${prior.version} from ${prior.previous_filename}${prior.diff.unchanged ? ' (unchanged)' : ''}` : ''));
+      }
+      if (r.conflicts) printConflicts(r.conflicts);
+    }
+  }
+  return failed ? 1 : 0;
+}
+
+function printConflicts({ room_conflicts: rooms, section_clashes: sections }) {
+  const who = e => `${e.year_sem} ${e.section} (${e.filename}${e.page ? ' p.' + e.page : ''})`;
+  for (const c of rooms) print(`  clash: room ${c.room_number} ${c.day} ${c.time_slots.join(', ')} — ${c.entries.map(who).join(' vs ')}`);
+  for (const c of sections) print(`  clash: ${who(c)} ${c.day} ${c.time_slots.join(', ')} — ${c.entries.map(e => `${e.subject || '—'} in ${e.room_number}`).join(' vs ')}`);
+}
+
+// ── dump ──
+async function dumpCommand(files, opts) {
+  const { readPdfPages, parsePdfPages } = require('./lib/parser');
+  if (files.length !== 1) throw new UsageError('dump takes exactly one PDF');
+
+  let pages = await readPdfPages(files[0]);
+  let offset = 0;
+  if (opts.page) {
+    const n = Number(opts.page);
+    if (!Number.isInteger(n) || n < 1 || n > pages.length) throw new UsageError(`--page must be between 1 and ${pages.length}`);
+    pages = [pages[n - 1]];
+    offset = n - 1;
+  }
+  const { sections, pageReports } = parsePdfPages(pages, log);
+  // Page numbers refer to the whole PDF even when --page picks one
+  const renumber = p => ({ ...p, page: p.page + offset });
+  printJson({
+    file: files[0],
+    pages: pages.map((raw, i) => {
+      let items;
+      try { items = JSON.parse(raw); } catch { items = raw; }
+      return { page: i + 1 + offset, items };
+    }),
+    sections: sections.map(s => ({ ...s, pageNum: s.pageNum + offset })),
+    page_reports: pageReports.map(renumber)
+  });
+  return 0;
+}
+
+// ── free-rooms ──
+function freeRoomsCommand(args, opts) {
+  const { findFreeRooms } = require('./lib/rooms');
+  const { toDayName } = require('./lib/calendar');
+  const day = opts.day && toDayName(opts.day);
+  if (opts.day && !day) throw new UsageError(`--day "${opts.day}" is not a timetable day`);
+  const result = findFreeRooms({
+    day, date: opts.date, from: opts.from, to: opts.to,
+    min_capacity: opts['min-capacity'], building: opts.building, facilities: opts.facilities,
+    sort: opts.sort || 'room', include_unbookable: opts['include-unbookable'] ? '1' : undefined
+  });
+  if (result.error) throw new UsageError(result.error);
+
+  if (opts.json) printJson(result);
+  else {
+    const when = result.date ? `${result.date} (${result.calendar.note})` : result.day;
+    print(`${result.free_rooms.length} room(s) free on ${when}, ${result.from}–${result.to}`);
+    if (result.free_rooms.length) {
+      print(table(result.free_rooms.map(r => ({ ...r, facilities: r.facilities.join(', ') })),
+        [['room_number', 'Room'], ['room_type', 'Type'], ['capacity', 'Capacity'], ['building', 'Building'], ['facilities', 'Facilities']]));
+    }
+  }
+  return 0;
+}
+
+// ── search ──
+function searchCommand(args, opts) {
+  const { search } = require('./lib/search');
+  const result = search(args.join(' '));
+  if (result.error) throw new UsageError('search needs some words to look for');
+  if (opts.json) { printJson(result); return 0; }
+  const classes = (list, where) => list.map(c => `    ${c.day.slice(0, 3)} ${c.time_slot}  ${c.subject || '—'}  ${where(c)}`).join('\n');
+  for (const s of result.sections) {
+    print(`section  ${s.name} (${s.entries} classes, rooms ${s.rooms.join(', ') || '—'})`);
+    if (s.classes) print(classes(s.classes, c => 'room ' + c.room_number));
+  }
+  for (const r of result.rooms) {
+    print(`room     ${r.room_number} (${r.room_type}, ${r.classes_per_week} classes a week)`);
+    if (r.classes) print(classes(r.classes, c => c.section));
+  }
+  for (const s of result.subjects) print(`subject  ${s.subject}${s.subject_name ? ' — ' + s.subject_name : ''} (${s.classes} classes in ${s.rooms.join(', ')})`);
+  if (!result.sections.length && !result.rooms.length && !result.subjects.length) print('Nothing matches');
+  return 0;
+}
+
+// ── uploads / remove ──
+function uploadsCommand(args, opts) {
+  const { listUploads } = require('./lib/timetables');
+  const uploads = listUploads();
+  if (opts.json) printJson(uploads);
+  else if (!uploads.length) print('No uploads yet');
+  else print(table(uploads, [['filename', 'File'], ['uploaded_at', 'Uploaded'], ['sections', 'Sections'], ['pages', 'Pages'], ['skipped_pages', 'Skipped'], ['empty_sections', 'Empty']]));
+  return 0;
+}
+
+function removeCommand(filenames, opts) {
+  const { db } = require('./lib/db');
+  const { removeUpload } = require('./lib/timetables');
+  const { recordAudit, describeTimetables } = require('./lib/audit');
+  if (!filenames.length) throw new UsageError('remove needs at least one filename');
+  let missing = 0;
+  for (const filename of filenames) {
+    const { sections, rooms, entries } = describeTimetables(db.prepare('SELECT id FROM timetables WHERE filename = ?').all(filename).map(t => t.id));
+    const removed = removeUpload(filename);
+    if (removed) recordAudit({ actor: cliActor(), action: 'upload.remove', target: 'cli remove', filename, sections, rooms, before: entries, after: 0 });
+    if (!removed) missing++;
+    print(removed ? `Removed ${removed} section(s) from ${filename}` : `${filename}: no sections found`);
+  }
+  return missing ? 1 : 0;
+}
+
+// ── export / restore ──
+function exportCommand(args, opts) {
+  const { exportData } = require('./lib/export');
+  const data = JSON.stringify(exportData({ users: !!opts.users }), null, 2);
+  if (!opts.out) { print(data); return 0; }
+  fs.writeFileSync(opts.out, data + '\n');
+  print(`Exported to ${opts.out}`);
+  return 0;
+}
+
+function restoreCommand(args, opts) {
+  const { importData } = require('./lib/export');
+  const { recordAudit } = require('./lib/audit');
+  if (args.length !== 1) throw new UsageError('restore needs exactly one archive file');
+  const archive = JSON.parse(fs.readFileSync(args[0], 'utf8').replace(/^\uFEFF/, ''));
+  const mode = opts.replace ? 'replace' : 'merge';
+  const result = importData(archive, { mode, dryRun: !!opts['dry-run'] });
+  if (result.error) {
+    console.error(result.error);
+    for (const e of result.errors || []) console.error(`  ${e.at}: ${e.error}`);
+    return 1;
+  }
+  if (!result.dry_run) {
+    recordAudit({ actor: cliActor(), action: 'data.import', target: 'cli restore', filename: path.basename(args[0]), details: { mode, summary: result.summary } });
+  }
+  if (opts.json) { printJson(result); return 0; }
+  const { rooms, timetables, entries, bookings, calendar, users } = result.summary;
+  print(`${result.dry_run ? 'Would restore' : 'Restored'} ${path.basename(args[0])} (${mode}):`);
+  print(`  rooms        ${rooms.added} added, ${rooms.updated} updated, ${rooms.unchanged} unchanged`);
+  print(`  sections     ${timetables.added} added, ${timetables.replaced} replaced, ${timetables.unchanged} unchanged (${entries} entries)`);
+  print(`  bookings     ${bookings.added} added, ${bookings.skipped} already there`);
+  print(`  calendar     ${calendar.added} added, ${calendar.skipped} already there`);
+  if (users) print(`  users        ${users.added} added, ${users.skipped} already there`);
+  return 0;
+}
+
+const COMMANDS = {
+  import: importCommand,
+  dump: dumpCommand,
+  'free-rooms': freeRoomsCommand,
+  search: searchCommand,
+  uploads: uploadsCommand,
+  remove: removeCommand,
+  export: exportCommand,
+  restore: restoreCommand
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    console.error(err.message + '\n\n' + USAGE);
+    return 2;
+  }
+  const [command, ...args] = parsed.positionals;
+  const opts = parsed.values;
+  if (opts.help || !command) { print(USAGE); return command || opts.help ? 0 : 2; }
+  if (!COMMANDS[command]) { console.error(`Unknown command "${command}"\n\n${USAGE}`); return 2; }
+
+  // lib/db opens the database when first required, so pick the file before any command loads it
+  if (opts.db) process.env.DB_PATH = opts.db;
+  try {
+    return await COMMANDS[command](args, opts);
+  } catch (err) {
+    console.error(`${command}: ${err.message}`);
+    return err instanceof UsageError ? 2 : 1;
+  }
+}
+
+main(process.argv.slice(2)).then(code => { process.exitCode = code; });
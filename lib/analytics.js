@@ -0,0 +1,103 @@
+// Room utilization across the teaching week. Occupancy is a percentage of weekly
+// periods (days × slots): a room counts once per period however many classes are
+// booked into it, and a department is measured by how many of its sections' periods
+// are taught. Buildings are grouped by the leading character(s) of the room number.
+const { db } = require('./db');
+const { serializeRoom, weekAxes } = require('./rooms');
+
+function percent(n, total) {
+  return total ? Math.round(n / total * 1000) / 10 : 0;
+}
+
+// Leading `length` characters of a numeric room number ("2702" → "2"); named rooms go under "other"
+function buildingPrefix(roomNumber, length) {
+  return /^\d/.test(roomNumber) ? roomNumber.slice(0, length) : 'other';
+}
+
+// Occupancy of a set of units (rooms or sections) given each unit's busy day|slot keys:
+// overall, per day, per slot and per cell (day × slot grid of percentages)
+function occupancy(busySets, days, slots) {
+  const units = busySets.length;
+  const counts = days.map(day => slots.map(slot => busySets.filter(set => set.has(day + '|' + slot)).length));
+  const sum = list => list.reduce((a, b) => a + b, 0);
+  const total = sum(counts.map(sum));
+  return {
+    occupied_periods: total,
+    occupancy: percent(total, units * days.length * slots.length),
+    by_day: Object.fromEntries(days.map((day, d) => [day, percent(sum(counts[d]), units * slots.length)])),
+    by_slot: Object.fromEntries(slots.map((slot, s) => [slot, percent(sum(counts.map(row => row[s])), units * days.length)])),
+    grid: counts.map(row => row.map(n => percent(n, units)))
+  };
+}
+
+function computeUtilization({ prefixLength = 1 } = {}) {
+  const rows = db.prepare(`
+    SELECT s.day, s.time_slot, s.room_number, s.timetable_id, t.department
+    FROM schedules s JOIN timetables t ON t.id = s.timetable_id
+  `).all();
+  const { days, slots } = weekAxes(rows);
+  const weeklyPeriods = days.length * slots.length;
+
+  const busyByRoom = new Map();
+  const busyBySection = new Map();
+  const add = (map, key, cell) => {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(cell);
+  };
+  for (const r of rows) {
+    add(busyByRoom, r.room_number, r.day + '|' + r.time_slot);
+    add(busyBySection, r.timetable_id, r.day + '|' + r.time_slot);
+  }
+
+  const rooms = db.prepare('SELECT * FROM rooms').all().map(serializeRoom)
+    .sort((a, b) => a.room_number.localeCompare(b.room_number, undefined, { numeric: true }))
+    .map(room => ({
+      room_number: room.room_number,
+      building: buildingPrefix(room.room_number, prefixLength),
+      room_type: room.room_type,
+      capacity: room.capacity,
+      ...occupancy([busyByRoom.get(room.room_number) || new Set()], days, slots)
+    }));
+
+  const roomsInBuilding = new Map();
+  for (const room of rooms) {
+    if (!roomsInBuilding.has(room.building)) roomsInBuilding.set(room.building, []);
+    roomsInBuilding.get(room.building).push(room.room_number);
+  }
+  const buildings = [...roomsInBuilding].map(([building, numbers]) => ({
+    building,
+    rooms: numbers.length,
+    ...occupancy(numbers.map(n => busyByRoom.get(n) || new Set()), days, slots)
+  })).sort((a, b) => b.occupancy - a.occupancy);
+
+  const sections = db.prepare('SELECT id, department FROM timetables').all();
+  const departments = [...new Set(sections.map(t => t.department))].map(department => {
+    const ids = sections.filter(t => t.department === department).map(t => t.id);
+    return {
+      department,
+      sections: ids.length,
+      rooms_used: new Set(rows.filter(r => ids.includes(r.timetable_id)).map(r => r.room_number)).size,
+      ...occupancy(ids.map(id => busyBySection.get(id) || new Set()), days, slots)
+    };
+  }).sort((a, b) => b.occupancy - a.occupancy);
+
+  // Peak slots: the periods with the fewest rooms left free
+  const peakSlots = days.flatMap(day => slots.map(slot => {
+    const occupied = rooms.filter(r => (busyByRoom.get(r.room_number) || new Set()).has(day + '|' + slot)).length;
+    return { day, time_slot: slot, occupied_rooms: occupied, free_rooms: rooms.length - occupied, occupancy: percent(occupied, rooms.length) };
+  })).sort((a, b) => a.free_rooms - b.free_rooms);
+
+  return {
+    days,
+    slots,
+    weekly_periods: weeklyPeriods,
+    total_rooms: rooms.length,
+    rooms,
+    buildings,
+    departments,
+    unused_rooms: rooms.filter(r => !r.occupied_periods).map(({ grid, by_day, by_slot, ...r }) => r),
+    peak_slots: peakSlots
+  };
+}
+
+module.exports = { computeUtilization, buildingPrefix };
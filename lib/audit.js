@@ -0,0 +1,137 @@
+// Audit trail: one row per change that went through, with who made it, when, from
+// which address, the file, sections and rooms it touched, and before/after counts.
+// Counts are class entries for timetable changes and rooms for inventory changes.
+// The server records every successful non-GET API request through auditTrail; routes
+// add the specifics in res.locals.audit. The CLI records its own writes with recordAudit.
+const { db } = require('./db');
+
+// Action names by route; anything not listed is recorded as "METHOD /path"
+const AUDIT_ACTIONS = {
+  'POST /api/upload': 'upload',
+  'POST /api/jobs/:id/cancel': 'upload.cancel',
+  'DELETE /api/uploads/:filename': 'upload.remove',
+  'POST /api/imports/:id/commit': 'import.commit',
+  'DELETE /api/imports/:id': 'import.discard',
+  'POST /api/timetables/:id/rollback': 'timetable.rollback',
+  'PATCH /api/timetables/:id': 'timetable.edit',
+  'POST /api/schedules': 'schedule.add',
+  'PATCH /api/schedules/:id': 'schedule.edit',
+  'DELETE /api/schedules/:id': 'schedule.remove',
+  'POST /api/rooms/import': 'room.import',
+  'POST /api/rooms/:room': 'room.add',
+  'PATCH /api/rooms/:room': 'room.edit',
+  'DELETE /api/rooms/:room': 'room.remove',
+  'POST /api/calendar/terms': 'calendar.add',
+  'DELETE /api/calendar/terms/:id': 'calendar.remove',
+  'POST /api/calendar/entries': 'calendar.add',
+  'DELETE /api/calendar/entries/:id': 'calendar.remove',
+  'POST /api/bookings': 'booking.request',
+  'POST /api/bookings/:id/approve': 'booking.approve',
+  'POST /api/bookings/:id/reject': 'booking.reject',
+  'DELETE /api/bookings/:id': 'booking.remove',
+  'POST /api/header-formats/reload': 'config.reload',
+  'POST /api/slot-grids/reload': 'config.reload',
+  'POST /api/auth/login': 'auth.login',
+  'POST /api/auth/logout': 'auth.logout',
+  'POST /api/auth/password': 'auth.password',
+  'POST /api/auth/tokens': 'token.create',
+  'DELETE /api/auth/tokens/:id': 'token.revoke',
+  'POST /api/users': 'user.add',
+  'PATCH /api/users/:id': 'user.edit',
+  'DELETE /api/users/:id': 'user.remove',
+  'POST /api/import': 'data.import',
+  'POST /api/snapshots': 'data.snapshot'
+};
+
+const insertAudit = db.prepare(`INSERT INTO audit_log
+  (user_id, username, role, ip, action, target, filename, sections, rooms, before_count, after_count, details)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+
+const json = value => value === undefined || value === null ? null : JSON.stringify(value);
+
+// Write one audit row. `user` is the acting account (or null) and `actor` a name for
+// writes made without one, such as "cli:alice". Never fails the change it describes.
+function recordAudit({ user, actor, ip, action, target, filename, sections, rooms, before, after, details }) {
+  try {
+    insertAudit.run(user ? user.id : null, user ? user.username : actor || null, user ? user.role : null, ip || null,
+      action, target || null, filename || null, json(sections && sections.length ? sections : null),
+      json(rooms && rooms.length ? [...new Set(rooms)].sort() : null), before ?? null, after ?? null, json(details));
+  } catch (err) {
+    console.error('Could not write audit entry:', err.message);
+  }
+}
+
+// Record each successful change once the response has gone out
+function auditTrail(req, res, next) {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || !req.path.startsWith('/api/')) return next();
+  res.on('finish', () => {
+    if (res.statusCode >= 400) return;
+    const key = `${req.method} ${req.route ? req.route.path : req.path}`;
+    const { user, ...extra } = res.locals.audit || {};
+    recordAudit({ user: user || req.user, ip: req.ip, action: AUDIT_ACTIONS[key] || key, target: req.originalUrl, ...extra });
+  });
+  next();
+}
+
+function sectionName(t) {
+  return [t.department, t.year_sem, t.section && `Section ${t.section}`].filter(Boolean).join(' · ');
+}
+
+// Names, rooms and class-entry count of the given timetables, for before/after snapshots
+function describeTimetables(timetableIds) {
+  if (!timetableIds.length) return { sections: [], rooms: [], entries: 0 };
+  const marks = timetableIds.map(() => '?').join(', ');
+  const tts = db.prepare(`SELECT * FROM timetables WHERE id IN (${marks})`).all(...timetableIds);
+  const rows = db.prepare(`SELECT DISTINCT room_number FROM schedules WHERE timetable_id IN (${marks})`).all(...timetableIds);
+  return {
+    sections: tts.map(sectionName),
+    rooms: [...rows.map(r => r.room_number), ...tts.map(t => t.default_room).filter(Boolean)],
+    entries: db.prepare(`SELECT COUNT(*) AS n FROM schedules WHERE timetable_id IN (${marks})`).get(...timetableIds).n
+  };
+}
+
+function roomCount() {
+  return db.prepare('SELECT COUNT(*) AS n FROM rooms').get().n;
+}
+
+// Filtered, newest-first page of the audit log. `query` takes user, action (a name
+// like "upload.remove", or a prefix like "upload"), filename, room, section, ip,
+// from/to (YYYY-MM-DD), page and per_page.
+function queryAudit(query) {
+  const where = [];
+  const params = [];
+  if (query.user) { where.push('username = ? COLLATE NOCASE'); params.push(query.user); }
+  if (query.action) { where.push('(action = ? OR action LIKE ?)'); params.push(query.action, query.action + '.%'); }
+  if (query.filename) { where.push('filename LIKE ?'); params.push('%' + query.filename + '%'); }
+  if (query.room) { where.push('rooms LIKE ?'); params.push('%"' + query.room + '"%'); }
+  if (query.section) { where.push('sections LIKE ?'); params.push('%' + query.section + '%'); }
+  if (query.ip) { where.push('ip = ?'); params.push(query.ip); }
+  for (const [key, op, suffix] of [['from', '>=', ' 00:00:00'], ['to', '<=', ' 23:59:59']]) {
+    if (!query[key]) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(query[key])) return { error: `${key} must be a YYYY-MM-DD date` };
+    where.push(`at ${op} ?`);
+    params.push(query[key] + suffix);
+  }
+  const perPage = Math.min(Math.max(Number(query.per_page) || 50, 1), 200);
+  const page = Math.max(Number(query.page) || 1, 1);
+  const clause = where.length ? ' WHERE ' + where.join(' AND ') : '';
+
+  const total = db.prepare('SELECT COUNT(*) AS n FROM audit_log' + clause).get(...params).n;
+  const rows = db.prepare(`SELECT * FROM audit_log${clause} ORDER BY id DESC LIMIT ? OFFSET ?`).all(...params, perPage, (page - 1) * perPage);
+  return {
+    total,
+    page,
+    per_page: perPage,
+    pages: Math.ceil(total / perPage),
+    // Every action recorded so far, for filter pickers
+    actions: db.prepare('SELECT DISTINCT action FROM audit_log ORDER BY action').all().map(r => r.action),
+    entries: rows.map(r => ({
+      ...r,
+      sections: JSON.parse(r.sections || '[]'),
+      rooms: JSON.parse(r.rooms || '[]'),
+      details: r.details ? JSON.parse(r.details) : null
+    }))
+  };
+}
+
+module.exports = { AUDIT_ACTIONS, recordAudit, auditTrail, sectionName, describeTimetables, roomCount, queryAudit };
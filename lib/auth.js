@@ -0,0 +1,167 @@
+// Accounts, login sessions and API tokens. Roles are ranked: a viewer can search for
+// free rooms, see and request bookings, a coordinator can also upload and edit
+// timetables, rooms, the calendar and bookings, and an admin can also delete uploads and
+// rooms and manage users. Reading timetables, calendars, analytics and the now-and-next
+// board needs no account. The web UI logs in with a session cookie; scripts
+// send "Authorization: Bearer <token>" with a token made in the UI or via /api/auth/tokens.
+// Only SHA-256 hashes of session ids and tokens are stored.
+const crypto = require('crypto');
+const { db } = require('./db');
+
+const ROLES = ['viewer', 'coordinator', 'admin'];
+const SESSION_COOKIE = 'sid';
+const SESSION_DAYS = Number(process.env.SESSION_DAYS) || 7;
+const TOKEN_PREFIX = 'ers_';
+
+// ── Passwords ──
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `scrypt$${salt}$${crypto.scryptSync(password, salt, 32).toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+function publicUser(u) {
+  return { id: u.id, username: u.username, role: u.role, disabled: !!u.disabled, created_at: u.created_at, last_login_at: u.last_login_at };
+}
+
+function validateRole(role) {
+  return ROLES.includes(role) ? null : `role must be one of ${ROLES.join(', ')}`;
+}
+
+function validatePassword(password) {
+  return typeof password === 'string' && password.length >= 8 ? null : 'password must be at least 8 characters';
+}
+
+// Create a user; returns the public user or { error }
+function createUser(username, password, role) {
+  const name = String(username || '').trim();
+  if (!/^[\w.@-]{2,64}$/.test(name)) return { error: 'username must be 2–64 letters, digits or . _ @ -' };
+  const problem = validateRole(role) || validatePassword(password);
+  if (problem) return { error: problem };
+  if (db.prepare('SELECT 1 FROM users WHERE username = ? COLLATE NOCASE').get(name)) return { error: `User ${name} already exists` };
+  const r = db.prepare('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)').run(name, hashPassword(password), role);
+  return publicUser(db.prepare('SELECT * FROM users WHERE id = ?').get(r.lastInsertRowid));
+}
+
+// Is this the only enabled admin left?
+function isLastAdmin(user) {
+  if (user.role !== 'admin' || user.disabled) return false;
+  return db.prepare("SELECT COUNT(*) AS n FROM users WHERE role = 'admin' AND disabled = 0").get().n <= 1;
+}
+
+// ADMIN_USERNAME / ADMIN_PASSWORD create the first admin on startup. An existing account
+// of that name is left as it is, so a password changed in the UI survives restarts.
+function bootstrapAdmin() {
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (ADMIN_USERNAME && ADMIN_PASSWORD) {
+    if (db.prepare('SELECT 1 FROM users WHERE username = ? COLLATE NOCASE').get(ADMIN_USERNAME)) return;
+    const user = createUser(ADMIN_USERNAME, ADMIN_PASSWORD, 'admin');
+    if (user.error) console.error(`Could not create admin ${ADMIN_USERNAME}: ${user.error}`);
+    else console.log(`Created admin account ${user.username}`);
+  } else if (!db.prepare('SELECT COUNT(*) AS n FROM users').get().n) {
+    console.warn('No user accounts yet — set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin');
+  }
+}
+
+// ── Sessions ──
+function createSession(user) {
+  const sid = crypto.randomBytes(32).toString('hex');
+  db.prepare(`INSERT INTO sessions (id_hash, user_id, expires_at) VALUES (?, ?, datetime('now', ?))`)
+    .run(sha256(sid), user.id, `+${SESSION_DAYS} days`);
+  db.prepare('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?').run(user.id);
+  db.prepare("DELETE FROM sessions WHERE expires_at < datetime('now')").run();
+  return sid;
+}
+
+function sessionCookie(req, sid, maxAgeDays = SESSION_DAYS) {
+  return [
+    `${SESSION_COOKIE}=${sid}`, 'Path=/', 'HttpOnly', 'SameSite=Lax', `Max-Age=${Math.round(maxAgeDays * 86400)}`,
+    ...(req.secure ? ['Secure'] : [])
+  ].join('; ');
+}
+
+// A cookie that isn't valid percent-encoding reads as missing, so one bad value can't
+// break every request from that browser
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key !== name) continue;
+    try {
+      return decodeURIComponent(value.join('='));
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+function endSession(req) {
+  const sid = readCookie(req, SESSION_COOKIE);
+  if (sid) db.prepare('DELETE FROM sessions WHERE id_hash = ?').run(sha256(sid));
+}
+
+// Log the signed-in user out everywhere except the session making this request (all
+// sessions when it came with an API token), e.g. after a password change
+function endOtherSessions(req) {
+  const sid = req.user.token_id ? null : readCookie(req, SESSION_COOKIE);
+  return db.prepare('DELETE FROM sessions WHERE user_id = ? AND id_hash != ?').run(req.user.id, sid ? sha256(sid) : '').changes;
+}
+
+// ── API tokens ──
+function createToken(user, name) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+  const r = db.prepare('INSERT INTO api_tokens (user_id, name, token_hash) VALUES (?, ?, ?)').run(user.id, name, sha256(token));
+  return { token, ...db.prepare('SELECT id, name, created_at, last_used_at FROM api_tokens WHERE id = ?').get(r.lastInsertRowid) };
+}
+
+// ── Middleware ──
+// Sets req.user from a bearer token or the session cookie (null when anonymous).
+// A bad or expired credential is treated as no credential.
+function authenticate(req, res, next) {
+  req.user = null;
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (bearer) {
+    const row = db.prepare(`SELECT u.*, t.id AS token_id FROM api_tokens t JOIN users u ON u.id = t.user_id
+      WHERE t.token_hash = ? AND u.disabled = 0`).get(sha256(bearer[1]));
+    if (row) {
+      db.prepare('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').run(row.token_id);
+      req.user = row;
+    }
+  } else {
+    const sid = readCookie(req, SESSION_COOKIE);
+    if (sid) {
+      req.user = db.prepare(`SELECT u.* FROM sessions s JOIN users u ON u.id = s.user_id
+        WHERE s.id_hash = ? AND s.expires_at > datetime('now') AND u.disabled = 0`).get(sha256(sid)) || null;
+    }
+  }
+  next();
+}
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Route guard: 401 without an account, 403 when the account's role is too low
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'Log in first' });
+    if (!hasRole(req.user, role)) return res.status(403).json({ error: `This needs the ${role} role (you are a ${req.user.role})` });
+    next();
+  };
+}
+
+module.exports = {
+  ROLES, SESSION_COOKIE,
+  hashPassword, verifyPassword, publicUser, validateRole, validatePassword, createUser, isLastAdmin, bootstrapAdmin,
+  createSession, sessionCookie, endSession, endOtherSessions, createToken,
+  authenticate, hasRole, requireRole
+};
@@ -0,0 +1,75 @@
+// Academic calendar: which timetable day (if any) runs on a given date.
+// Terms bound when classes run. Entries override single dates or ranges:
+//   holiday — no classes, every room free
+//   exam    — regular timetable suspended for the exam period
+//   swap    — the date follows another day's timetable (e.g. a Saturday running Monday's classes)
+const { db } = require('./db');
+const { DAY_NAMES, REGULAR_DAYS } = require('./parser');
+
+const CALENDAR_TYPES = ['holiday', 'exam', 'swap'];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// The campus time zone: "today" and "now" are read on its clock, not the server's
+const CALENDAR_TZ = process.env.CALENDAR_TZ || 'Asia/Kolkata';
+const CALENDAR_TZ_OFFSET = process.env.CALENDAR_TZ_OFFSET || '+0530';
+
+// Parse "YYYY-MM-DD" into a UTC Date, or null if it isn't a real calendar date
+function parseDate(str) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(str || '');
+  if (!m) return null;
+  const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  return d.toISOString().slice(0, 10) === str ? d : null;
+}
+
+// The campus wall clock at an instant: { date: "YYYY-MM-DD", minutes } in CALENDAR_TZ
+function localNow(instant = new Date()) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone: CALENDAR_TZ, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(instant).map(p => [p.type, p.value]));
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+// Find a timetable day name ("Monday") from any case-insensitive prefix of 3+ letters ("wed", "Thurs"), or undefined
+function toDayName(day) {
+  const d = String(day || '').trim().toLowerCase();
+  if (d.length < 3) return undefined;
+  return Object.values(DAY_NAMES).find(name => name.toLowerCase().startsWith(d));
+}
+
+// Weekday number (0 = Sunday, matching the day_num columns) of a day name or 3+ letter prefix, or null
+function dayNumber(day) {
+  const d = String(day || '').trim().toLowerCase();
+  const i = d.length < 3 ? -1 : WEEKDAYS.findIndex(w => w.toLowerCase().startsWith(d));
+  return i < 0 ? null : i;
+}
+
+// Work out which timetable applies on a date.
+// Returns { date, weekday, day, kind, note } where day is the timetable day to use (null = no classes)
+// and kind is regular | swap | holiday | exam | weekend | out_of_term; or { error } for a bad date.
+function resolveDate(date) {
+  const d = parseDate(date);
+  if (!d) return { error: 'date must be a valid YYYY-MM-DD date' };
+  const weekday = WEEKDAYS[d.getUTCDay()];
+  const result = (kind, day, note) => ({ date, weekday, day, kind, note });
+
+  const terms = db.prepare('SELECT * FROM calendar_terms').all();
+  if (terms.length && !terms.some(t => t.start_date <= date && date <= t.end_date)) {
+    return result('out_of_term', null, 'Outside the academic term — no classes');
+  }
+
+  const entries = db.prepare('SELECT * FROM calendar_entries WHERE start_date <= ? AND end_date >= ?').all(date, date);
+  const holiday = entries.find(e => e.type === 'holiday');
+  if (holiday) return result('holiday', null, 'Holiday' + (holiday.description ? ': ' + holiday.description : '') + ' — all rooms free');
+  const exam = entries.find(e => e.type === 'exam');
+  if (exam) return result('exam', null, 'Exam period' + (exam.description ? ': ' + exam.description : '') + ' — regular classes suspended');
+  const swap = entries.find(e => e.type === 'swap');
+  if (swap) return result('swap', swap.follows_day, `Follows ${swap.follows_day}'s timetable` + (swap.description ? ' (' + swap.description + ')' : ''));
+
+  // Saturday only runs a timetable once some section has classes on it
+  const day = toDayName(weekday);
+  if (!day || (!REGULAR_DAYS.includes(day) && !db.prepare('SELECT 1 FROM schedules WHERE day_num = ? LIMIT 1').get(dayNumber(day)))) {
+    return result('weekend', null, `No classes on ${weekday}`);
+  }
+  return result('regular', day, `${weekday} timetable`);
+}
+
+module.exports = { CALENDAR_TYPES, WEEKDAYS, CALENDAR_TZ, CALENDAR_TZ_OFFSET, parseDate, localNow, toDayName, dayNumber, resolveDate };
@@ -0,0 +1,99 @@
+// Clashes across every stored timetable:
+//   room    — one room held by more than one section at overlapping times on a day
+//   section — one section with overlapping entries on a day (e.g. two subjects in one slot)
+// Slots are compared as time ranges (start_min/end_min), so "09:00-09:55" and "09:00-10:00" still clash.
+const { db } = require('./db');
+const { compareSlots } = require('./rooms');
+
+const CONFLICT_ROWS = `
+  SELECT s.id AS schedule_id, s.timetable_id, s.day, s.time_slot, s.start_min, s.end_min, s.room_number, s.subject, s.source,
+    t.department, t.year_sem, t.section, t.filename, t.page
+  FROM schedules s JOIN timetables t ON t.id = s.timetable_id
+`;
+
+function groupRows(rows, keyOf) {
+  const groups = new Map();
+  for (const r of rows) {
+    const key = keyOf(r);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+  return groups.values();
+}
+
+// Split rows into runs whose time ranges chain together by overlapping
+function overlappingRuns(rows) {
+  const items = rows.filter(row => row.start_min !== null && row.end_min !== null)
+    .map(row => ({ row, range: [row.start_min, row.end_min] }))
+    .sort((a, b) => a.range[0] - b.range[0] || a.range[1] - b.range[1]);
+  const runs = [];
+  let run = null, runEnd = -1;
+  for (const { row, range } of items) {
+    if (run && range[0] < runEnd) {
+      run.push(row);
+      runEnd = Math.max(runEnd, range[1]);
+    } else {
+      run = [row];
+      runs.push(run);
+      runEnd = range[1];
+    }
+  }
+  return runs;
+}
+
+// Each entry links back to the upload (filename + page) its section came from
+function conflictEntry(r) {
+  return {
+    schedule_id: r.schedule_id, timetable_id: r.timetable_id,
+    department: r.department, year_sem: r.year_sem, section: r.section,
+    subject: r.subject, room_number: r.room_number, time_slot: r.time_slot, source: r.source,
+    filename: r.filename, page: r.page
+  };
+}
+
+function findConflicts() {
+  const rows = db.prepare(CONFLICT_ROWS).all();
+  const roomConflicts = [];
+  const sectionClashes = [];
+  const slotsOf = run => [...new Set(run.map(r => r.time_slot))].sort(compareSlots);
+
+  for (const group of groupRows(rows, r => r.room_number + '|' + r.day.toLowerCase())) {
+    for (const run of overlappingRuns(group)) {
+      if (new Set(run.map(r => r.timetable_id)).size < 2) continue;
+      roomConflicts.push({
+        type: 'room', room_number: run[0].room_number, day: run[0].day, time_slots: slotsOf(run),
+        entries: run.map(conflictEntry)
+      });
+    }
+  }
+
+  for (const group of groupRows(rows, r => r.timetable_id + '|' + r.day.toLowerCase())) {
+    for (const run of overlappingRuns(group)) {
+      if (run.length < 2) continue;
+      const r = run[0];
+      sectionClashes.push({
+        type: 'section', timetable_id: r.timetable_id, department: r.department, year_sem: r.year_sem, section: r.section,
+        filename: r.filename, page: r.page, day: r.day, time_slots: slotsOf(run), entries: run.map(conflictEntry)
+      });
+    }
+  }
+
+  return { room_conflicts: roomConflicts, section_clashes: sectionClashes };
+}
+
+// Keep only conflicts matching every given filter: timetable ids, filename, room, day
+function filterConflicts(conflicts, { timetableIds, filename, room, day } = {}) {
+  const ids = timetableIds && new Set(timetableIds.map(Number));
+  const keep = c =>
+    (!ids || c.entries.some(e => ids.has(e.timetable_id))) &&
+    (!filename || c.entries.some(e => e.filename === filename)) &&
+    (!room || c.entries.some(e => e.room_number === room)) &&
+    (!day || c.day.toLowerCase() === day.toLowerCase());
+  return { room_conflicts: conflicts.room_conflicts.filter(keep), section_clashes: conflicts.section_clashes.filter(keep) };
+}
+
+function countConflicts(conflicts) {
+  return conflicts.room_conflicts.length + conflicts.section_clashes.length;
+}
+
+module.exports = { findConflicts, filterConflicts, countConflicts };
@@ -0,0 +1,207 @@
+// CSV reading and writing for imports and downloads, and the timetable CSV layout
+const { WEEKDAYS, toDayName } = require('./calendar');
+const { parseTime, formatTime, slotLabel, slotGridFor } = require('./slots');
+
+// Minimal RFC 4180 CSV reader: quoted fields, "" escapes, CRLF or LF line endings.
+// Returns an array of rows, each an array of cell strings; blank lines are dropped.
+// Each row also carries `line`, the file line it starts on, for error messages.
+function parseCsv(text) {
+  const rows = [];
+  let row = [], cell = '', quoted = false, line = 1, rowLine = 1;
+  const endRow = () => {
+    row.push(cell); cell = '';
+    row.line = rowLine;
+    if (row.some(c => c.trim() !== '')) rows.push(row);
+    row = [];
+  };
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      rowLine = ++line;
+    } else cell += ch;
+  }
+  endRow();
+  return rows;
+}
+
+// Write rows of objects as CSV. `columns` is a list of [key, header] pairs; cells with
+// commas, quotes or line breaks are quoted, and null/undefined become empty cells.
+function toCsv(rows, columns) {
+  const cell = value => {
+    const s = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  };
+  const lines = [columns.map(([, header]) => cell(header)).join(',')];
+  for (const row of rows) lines.push(columns.map(([key]) => cell(row[key])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ── Timetable CSV ──
+// One row per class, for departments that keep their timetable in a spreadsheet:
+//   department, semester, section, day, slot (or start + end), subject, room
+// Headers are case-insensitive and may come in any order; `slot` wins over start/end
+// when both are filled in. Times are 24-hour ("14:15") or am/pm ("2:15 PM"), as Excel
+// may rewrite them. Optional subject_name, subject_code and faculty columns ("Dr. A / Mr. B")
+// fill in the section's subject legend; without them a re-uploaded section keeps its legend.
+// The export below writes the same columns, so files round-trip.
+const TIMETABLE_CSV_COLUMNS = [
+  ['department', 'department'], ['year_sem', 'semester'], ['section', 'section'], ['day', 'day'],
+  ['time_slot', 'slot'], ['start', 'start'], ['end', 'end'], ['subject', 'subject'], ['room_number', 'room'],
+  ['subject_name', 'subject_name'], ['subject_code', 'subject_code'], ['faculty', 'faculty']
+];
+
+const TIMETABLE_CSV_HEADERS = {
+  department: ['department', 'dept'],
+  semester: ['semester', 'sem', 'year_sem'],
+  section: ['section'],
+  day: ['day'],
+  slot: ['slot', 'time_slot', 'time'],
+  start: ['start', 'start_time', 'from'],
+  end: ['end', 'end_time', 'to'],
+  subject: ['subject', 'course'],
+  room: ['room', 'room_number'],
+  subject_name: ['subject_name', 'course_title', 'course_name'],
+  subject_code: ['subject_code', 'course_code', 'code'],
+  faculty: ['faculty', 'faculty_name', 'teacher']
+};
+const LEGEND_FIELDS = ['subject_name', 'subject_code', 'faculty'];
+const MAX_CSV_ERRORS = 100;
+
+// "14:15", "9:00:00" or "2:15 PM" → minutes since midnight, or null
+function readClock(value) {
+  const m = /^(\d{1,2})[:.](\d{2})(?:[:.]\d{2})?\s*([ap])?\.?\s*m?\.?$/i.exec(String(value || '').trim());
+  if (!m) return null;
+  let hours = +m[1];
+  if (m[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = hours % 12 + (m[3].toLowerCase() === 'p' ? 12 : 0);
+  }
+  return parseTime(`${hours}:${m[2]}`);
+}
+
+// A slot cell ("09:00-09:55", "2:15 PM – 3:10 PM") or start/end cells → { start, end } or an error message
+function readClassTimes(slot, start, end) {
+  let times;
+  if (slot) {
+    const parts = slot.split(/\s*[-–—]\s*/);
+    if (parts.length !== 2) return { error: `slot "${slot}" must look like 09:00-09:55` };
+    times = parts.map(readClock);
+  } else {
+    if (!start || !end) return { error: 'give either slot or both start and end' };
+    times = [readClock(start), readClock(end)];
+  }
+  if (times.includes(null)) return { error: `"${slot || start + ' / ' + end}" is not a time range (use HH:MM, 24-hour)` };
+  if (times[1] <= times[0]) return { error: `${slot || start + '-' + end} ends before it starts` };
+  return { start: times[0], end: times[1] };
+}
+
+// Read a timetable CSV into sections shaped like the PDF parser's, ready for
+// commitSections or review. Every row is checked; any problem rejects the file.
+// Returns { sections, rows, pageReports } or { errors: [{ line, error }], total_errors }.
+function parseTimetableCsv(text) {
+  const [header, ...rows] = parseCsv(String(text).replace(/^\uFEFF/, ''));
+  if (!header) return { errors: [{ line: 1, error: 'CSV file is empty' }], total_errors: 1 };
+  const cols = header.map(h => h.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  const col = {};
+  for (const [field, names] of Object.entries(TIMETABLE_CSV_HEADERS)) {
+    const i = cols.findIndex(c => names.includes(c));
+    if (i !== -1) col[field] = i;
+  }
+  const missing = ['department', 'semester', 'day', 'subject', 'room'].filter(f => col[f] === undefined);
+  if (col.slot === undefined && (col.start === undefined || col.end === undefined)) missing.push('slot (or start and end)');
+  if (missing.length) return { errors: [{ line: header.line, error: `Missing column(s): ${missing.join(', ')}` }], total_errors: 1 };
+
+  const errors = [];
+  let totalErrors = 0;
+  const fail = (line, error) => { totalErrors++; if (errors.length < MAX_CSV_ERRORS) errors.push({ line, error }); };
+  const sections = new Map();
+  const seen = new Map();
+  for (const cells of rows) {
+    const get = field => col[field] === undefined ? '' : String(cells[col[field]] || '').trim();
+    const problems = [];
+    const department = get('department').replace(/\s+/g, ' ');
+    const yearSem = get('semester').replace(/\s+/g, ' ');
+    if (!department) problems.push('department is empty');
+    if (!yearSem) problems.push('semester is empty');
+    const day = toDayName(get('day'));
+    if (!day) problems.push(get('day') ? `unknown day "${get('day')}"` : 'day is empty');
+    const times = readClassTimes(get('slot'), get('start'), get('end'));
+    if (times.error) problems.push(times.error);
+    // A blank subject is allowed: manual corrections can leave one, and exports must read back
+    const subject = get('subject').replace(/\s+/g, ' ') || null;
+    const room = get('room').replace(/\s+/g, '');
+    if (!room) problems.push('room is empty');
+    if (problems.length) { fail(cells.line, problems.join('; ')); continue; }
+
+    const section = get('section') || null;
+    const key = [department, yearSem, section || ''].join('|').toLowerCase();
+    const timeSlot = slotLabel(times.start, times.end);
+    const dupKey = [key, day, timeSlot, room.toLowerCase()].join('|');
+    if (seen.has(dupKey)) { fail(cells.line, `same class slot and room as line ${seen.get(dupKey)}`); continue; }
+    seen.set(dupKey, cells.line);
+
+    if (!sections.has(key)) sections.set(key, { department, year_sem: yearSem, section, entries: [], lines: [], legend: new Map() });
+    const sec = sections.get(key);
+    sec.entries.push({ day, time_slot: timeSlot, room_number: room, subject });
+    sec.lines.push(cells.line);
+    // The first row that describes a subject makes its legend entry
+    if (subject && !sec.legend.has(subject) && LEGEND_FIELDS.some(f => get(f))) {
+      sec.legend.set(subject, { abbreviation: subject, name: get('subject_name') || null, code: get('subject_code') || null, faculty: get('faculty') });
+    }
+  }
+  if (!rows.length) fail(header.line + 1, 'No classes below the header');
+  if (totalErrors) return { errors, total_errors: totalErrors };
+
+  const hasLegend = LEGEND_FIELDS.some(f => col[f] !== undefined);
+  const result = [...sections.values()].map(({ lines, legend, ...sec }) => {
+    const counts = {};
+    for (const e of sec.entries) counts[e.room_number] = (counts[e.room_number] || 0) + 1;
+    const rooms = Object.keys(counts);
+    return {
+      ...sec,
+      // The room most of the section's classes are in
+      default_room: rooms.reduce((a, b) => counts[b] > counts[a] ? b : a),
+      rooms,
+      slot_grid: slotGridFor(sec.department).name,
+      ...(hasLegend ? { legend: [...legend.values()] } : {}),
+      meta: {
+        header_text: `CSV lines ${lines[0]}–${lines[lines.length - 1]}`, header_format: 'csv', slot_grid: slotGridFor(sec.department).name,
+        ...(hasLegend ? { legend_entries: legend.size } : {})
+      }
+    };
+  });
+  return {
+    sections: result,
+    rows: rows.length,
+    // One parse-report entry per section, standing in for the PDF's pages
+    pageReports: result.map((sec, i) => ({
+      page: i + 1, outcome: 'parsed', reason: null,
+      department: sec.department, year_sem: sec.year_sem, section: sec.section, default_room: sec.default_room,
+      entries: sec.entries.length, ...sec.meta
+    }))
+  };
+}
+
+// Class rows (schedules joined with their timetable) in the timetable CSV layout,
+// sorted by section, then Monday-first day and start time
+function timetableCsv(rows) {
+  const dayOrder = day => (WEEKDAYS.indexOf(day) + 6) % 7;
+  const sorted = [...rows].sort((a, b) => String(a.department).localeCompare(b.department) ||
+    String(a.year_sem).localeCompare(b.year_sem) || String(a.section || '').localeCompare(b.section || '') ||
+    dayOrder(a.day) - dayOrder(b.day) || (a.start_min ?? 0) - (b.start_min ?? 0));
+  const clock = min => min === null || min === undefined ? '' : formatTime(min);
+  return toCsv(sorted.map(r => ({ ...r, start: clock(r.start_min), end: clock(r.end_min) })), TIMETABLE_CSV_COLUMNS);
+}
+
+module.exports = { parseCsv, toCsv, TIMETABLE_CSV_COLUMNS, parseTimetableCsv, timetableCsv };
@@ -0,0 +1,344 @@
+// SQLite connection, schema and migrations shared by the server and the CLI.
+// DB_PATH picks the database file (default: scheduler.db in the working directory).
+const Database = require('better-sqlite3');
+const { slotLabel, formatTime, legacySlotTimes } = require('./slots');
+
+// ── Database ──
+const db = new Database(process.env.DB_PATH || 'scheduler.db');
+db.pragma('journal_mode = WAL');
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS rooms (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    room_number TEXT UNIQUE NOT NULL,
+    room_type TEXT DEFAULT 'classroom'
+  );
+  CREATE TABLE IF NOT EXISTS timetables (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    department TEXT NOT NULL,
+    year_sem TEXT NOT NULL,
+    section TEXT,
+    default_room TEXT,
+    filename TEXT NOT NULL,
+    filepath TEXT NOT NULL,
+    uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS schedules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timetable_id INTEGER NOT NULL,
+    day TEXT NOT NULL,
+    time_slot TEXT NOT NULL,
+    room_number TEXT NOT NULL,
+    subject TEXT,
+    FOREIGN KEY (timetable_id) REFERENCES timetables(id) ON DELETE CASCADE
+  );
+  CREATE TABLE IF NOT EXISTS bookings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    room_number TEXT NOT NULL,
+    day TEXT NOT NULL,
+    start_time TEXT NOT NULL,
+    end_time TEXT NOT NULL,
+    title TEXT NOT NULL,
+    requested_by TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    admin_note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    decided_at DATETIME
+  );
+  CREATE TABLE IF NOT EXISTS pending_imports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    filename TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS timetable_versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timetable_id INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    department TEXT,
+    year_sem TEXT,
+    section TEXT,
+    default_room TEXT,
+    filename TEXT,
+    uploaded_at DATETIME,
+    entries TEXT NOT NULL,
+    archived_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS parse_reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    filename TEXT NOT NULL,
+    pages INTEGER NOT NULL,
+    sections INTEGER NOT NULL,
+    entries INTEGER NOT NULL,
+    skipped_pages INTEGER NOT NULL,
+    empty_sections INTEGER NOT NULL,
+    report TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS calendar_terms (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS calendar_entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    follows_day TEXT,
+    description TEXT
+  );
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'viewer',
+    disabled INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_login_at DATETIME
+  );
+  CREATE TABLE IF NOT EXISTS sessions (
+    id_hash TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS api_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME
+  );
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    user_id INTEGER,
+    username TEXT,
+    role TEXT,
+    ip TEXT,
+    action TEXT NOT NULL,
+    target TEXT,
+    filename TEXT,
+    sections TEXT,
+    rooms TEXT,
+    before_count INTEGER,
+    after_count INTEGER,
+    details TEXT
+  );
+  CREATE TABLE IF NOT EXISTS subjects (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timetable_id INTEGER NOT NULL,
+    abbreviation TEXT NOT NULL,
+    name TEXT,
+    code TEXT
+  );
+  CREATE TABLE IF NOT EXISTS faculty (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL COLLATE NOCASE
+  );
+  CREATE TABLE IF NOT EXISTS subject_faculty (
+    subject_id INTEGER NOT NULL,
+    faculty_id INTEGER NOT NULL,
+    PRIMARY KEY (subject_id, faculty_id)
+  );
+`);
+
+// Add a column to an existing table if an older database doesn't have it yet
+function addColumnIfMissing(table, column, definition) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+  if (!cols.includes(column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+// One-off bookings carry a calendar date; bookings without one repeat every week on `day`
+addColumnIfMissing('bookings', 'date', 'TEXT');
+// Room inventory details (facilities is a JSON array of lowercase tags)
+addColumnIfMissing('rooms', 'capacity', 'INTEGER');
+addColumnIfMissing('rooms', 'building', 'TEXT');
+addColumnIfMissing('rooms', 'floor', 'INTEGER');
+addColumnIfMissing('rooms', 'facilities', "TEXT DEFAULT '[]'");
+addColumnIfMissing('rooms', 'bookable', 'INTEGER DEFAULT 1');
+// Manual corrections: schedules.source is 'parsed' or 'manual'; edited_at marks hand-edited rows and headers
+addColumnIfMissing('schedules', 'source', "TEXT DEFAULT 'parsed'");
+addColumnIfMissing('schedules', 'edited_at', 'DATETIME');
+addColumnIfMissing('timetables', 'edited_at', 'DATETIME');
+// Re-uploads replace a section in place; earlier versions live in timetable_versions
+addColumnIfMissing('timetables', 'version', 'INTEGER DEFAULT 1');
+// Page of the uploaded PDF a section was parsed from, so conflicts can point back to it
+addColumnIfMissing('timetables', 'page', 'INTEGER');
+addColumnIfMissing('timetable_versions', 'page', 'INTEGER');
+// Canonical 24-hour times: each class keeps its "HH:MM-HH:MM" label plus start/end in
+// minutes since midnight, and each section remembers the slot grid it runs on
+addColumnIfMissing('schedules', 'start_min', 'INTEGER');
+addColumnIfMissing('schedules', 'end_min', 'INTEGER');
+addColumnIfMissing('timetables', 'slot_grid', "TEXT DEFAULT 'default'");
+addColumnIfMissing('timetable_versions', 'slot_grid', 'TEXT');
+// The account that requested a booking, so viewers can cancel their own requests
+addColumnIfMissing('bookings', 'user_id', 'INTEGER');
+// Subject legends: each class links to its section's legend entry (see lib/subjects.js),
+// and archived versions keep the legend they had
+addColumnIfMissing('schedules', 'subject_id', 'INTEGER');
+addColumnIfMissing('timetable_versions', 'legend', 'TEXT');
+
+// ── Migrations ──
+// Schema changes applied in order to databases whose user_version is lower, each in its
+// own transaction together with the user_version bump, so a database is upgraded exactly
+// once by whichever process (server or CLI) opens it first. Add new changes at the end;
+// never edit one that has shipped. (The addColumnIfMissing calls above predate this list.)
+
+// Weekday number (0 = Sunday, as in lib/calendar.js WEEKDAYS) of a stored day name
+const dayNumberSql = column => `CASE LOWER(SUBSTR(TRIM(${column}), 1, 3))
+  WHEN 'sun' THEN 0 WHEN 'mon' THEN 1 WHEN 'tue' THEN 2 WHEN 'wed' THEN 3 WHEN 'thu' THEN 4 WHEN 'fri' THEN 5 WHEN 'sat' THEN 6 END`;
+const minutesSql = column => `(CAST(SUBSTR(${column}, 1, 2) AS INTEGER) * 60 + CAST(SUBSTR(${column}, 4, 2) AS INTEGER))`;
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    // Databases from before 24-hour times stored "02:15-03:10" meaning the afternoon.
+    // Rewrite every label and booking time to 24-hour once, keeping the rows.
+    description: '24-hour slot labels and booking times',
+    up() {
+      const relabel = entry => {
+        const t = legacySlotTimes(entry.time_slot);
+        return t ? { ...entry, time_slot: slotLabel(t.start, t.end) } : entry;
+      };
+      const setTimes = db.prepare('UPDATE schedules SET time_slot = ?, start_min = ?, end_min = ? WHERE id = ?');
+      for (const r of db.prepare('SELECT id, time_slot FROM schedules').all()) {
+        const t = legacySlotTimes(r.time_slot);
+        if (t) setTimes.run(slotLabel(t.start, t.end), t.start, t.end, r.id);
+      }
+      const setBooking = db.prepare('UPDATE bookings SET start_time = ?, end_time = ? WHERE id = ?');
+      for (const b of db.prepare('SELECT id, start_time, end_time FROM bookings').all()) {
+        const t = legacySlotTimes(b.start_time + '-' + b.end_time);
+        if (t) setBooking.run(formatTime(t.start), formatTime(t.end), b.id);
+      }
+      const setVersion = db.prepare('UPDATE timetable_versions SET entries = ? WHERE id = ?');
+      for (const v of db.prepare('SELECT id, entries FROM timetable_versions').all()) {
+        setVersion.run(JSON.stringify(JSON.parse(v.entries).map(relabel)), v.id);
+      }
+      const setPayload = db.prepare('UPDATE pending_imports SET payload = ? WHERE id = ?');
+      for (const p of db.prepare('SELECT id, payload FROM pending_imports').all()) {
+        const payload = JSON.parse(p.payload);
+        for (const sec of payload.sections || []) sec.entries = sec.entries.map(relabel);
+        setPayload.run(JSON.stringify(payload), p.id);
+      }
+    }
+  },
+  {
+    version: 2,
+    // Days as numbers and booking times in minutes, derived from the stored text so every
+    // writer stays correct without knowing about them. Queries match on day_num instead of
+    // LOWER(day), which an index can serve.
+    description: 'normalized day and time columns',
+    up() {
+      db.exec(`
+        ALTER TABLE schedules ADD COLUMN day_num INTEGER GENERATED ALWAYS AS (${dayNumberSql('day')}) VIRTUAL;
+        ALTER TABLE bookings ADD COLUMN day_num INTEGER GENERATED ALWAYS AS (${dayNumberSql('day')}) VIRTUAL;
+        ALTER TABLE bookings ADD COLUMN start_min INTEGER GENERATED ALWAYS AS (${minutesSql('start_time')}) VIRTUAL;
+        ALTER TABLE bookings ADD COLUMN end_min INTEGER GENERATED ALWAYS AS (${minutesSql('end_time')}) VIRTUAL;
+      `);
+    }
+  },
+  {
+    version: 3,
+    description: 'indexes for the common lookups',
+    up() {
+      db.exec(`
+        CREATE INDEX idx_schedules_timetable ON schedules (timetable_id);
+        CREATE INDEX idx_schedules_day_time ON schedules (day_num, start_min, end_min);
+        CREATE INDEX idx_schedules_room_day ON schedules (room_number, day_num, start_min);
+        CREATE INDEX idx_schedules_subject ON schedules (subject_id);
+        CREATE INDEX idx_timetables_filename ON timetables (filename);
+        CREATE INDEX idx_timetables_section ON timetables (department, year_sem, section);
+        CREATE INDEX idx_versions_timetable ON timetable_versions (timetable_id, version);
+        CREATE INDEX idx_bookings_status_day ON bookings (status, day_num);
+        CREATE INDEX idx_bookings_date ON bookings (date);
+        CREATE INDEX idx_bookings_room ON bookings (room_number);
+        CREATE INDEX idx_subjects_timetable ON subjects (timetable_id);
+        CREATE INDEX idx_subject_faculty_faculty ON subject_faculty (faculty_id);
+        CREATE INDEX idx_calendar_entries_dates ON calendar_entries (start_date, end_date);
+        CREATE INDEX idx_audit_at ON audit_log (at);
+        CREATE INDEX idx_audit_action ON audit_log (action);
+        CREATE INDEX idx_audit_username ON audit_log (username COLLATE NOCASE);
+        CREATE INDEX idx_sessions_user ON sessions (user_id);
+        CREATE INDEX idx_api_tokens_user ON api_tokens (user_id);
+      `);
+    }
+  },
+  {
+    version: 4,
+    // Per-room occupancy map (see lib/occupancy.js). Any change to the classes or
+    // bookings that decide whether a room is busy marks it stale; the next read rebuilds it.
+    description: 'room occupancy map',
+    up() {
+      db.exec(`
+        CREATE TABLE room_occupancy (
+          room_number TEXT NOT NULL,
+          day_num INTEGER,
+          date TEXT,
+          start_min INTEGER NOT NULL,
+          end_min INTEGER NOT NULL
+        );
+        CREATE INDEX idx_room_occupancy_day ON room_occupancy (day_num, start_min);
+        CREATE INDEX idx_room_occupancy_date ON room_occupancy (date, start_min);
+        CREATE TABLE occupancy_state (id INTEGER PRIMARY KEY CHECK (id = 1), stale INTEGER NOT NULL);
+        INSERT INTO occupancy_state (id, stale) VALUES (1, 1);
+        CREATE TRIGGER schedules_occupancy_insert AFTER INSERT ON schedules BEGIN UPDATE occupancy_state SET stale = 1; END;
+        CREATE TRIGGER schedules_occupancy_delete AFTER DELETE ON schedules BEGIN UPDATE occupancy_state SET stale = 1; END;
+        CREATE TRIGGER schedules_occupancy_update AFTER UPDATE OF room_number, day, start_min, end_min ON schedules
+          BEGIN UPDATE occupancy_state SET stale = 1; END;
+        CREATE TRIGGER bookings_occupancy_insert AFTER INSERT ON bookings BEGIN UPDATE occupancy_state SET stale = 1; END;
+        CREATE TRIGGER bookings_occupancy_delete AFTER DELETE ON bookings BEGIN UPDATE occupancy_state SET stale = 1; END;
+        CREATE TRIGGER bookings_occupancy_update AFTER UPDATE OF room_number, day, date, start_time, end_time, status ON bookings
+          BEGIN UPDATE occupancy_state SET stale = 1; END;
+      `);
+    }
+  }
+];
+
+function migrate() {
+  const current = db.pragma('user_version', { simple: true });
+  for (const m of MIGRATIONS.filter(m => m.version > current)) {
+    db.transaction(() => {
+      m.up();
+      db.pragma(`user_version = ${m.version}`);
+    })();
+  }
+}
+migrate();
+
+const insertRoom = db.prepare('INSERT OR IGNORE INTO rooms (room_number, room_type) VALUES (?, ?)');
+const insertTimetable = db.prepare('INSERT INTO timetables (department, year_sem, section, default_room, filename, filepath, page, slot_grid) VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+const insertSchedule = db.prepare('INSERT INTO schedules (timetable_id, day, time_slot, room_number, subject, start_min, end_min) VALUES (?, ?, ?, ?, ?, ?, ?)');
+const insertBooking = db.prepare('INSERT INTO bookings (room_number, day, date, start_time, end_time, title, requested_by, user_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+
+// ── Pre-seed all known event rooms ──
+const ALL_ROOMS = [
+  '101','106','120','125','126','128','129','131','132','133','134',
+  '201','207','208','222','224','229','233',
+  '301','302','311','321','322','323','324','327','328','330','331','332',
+  '503','504','519',
+  '603','605','606','609','610','611','612','618',
+  '703','704','705','706','709','710','711','712','715','718',
+  '802','803','817','818','824','825',
+  '1805',
+  '2003','2010','2011','2052',
+  '2303','2406','2407','2452','2453','2456',
+  '2603','2702','2703','2706','2802','2852','2853',
+  '4001','4002','4003','4004','4101','4102','4103',
+  '4200','4201','4202','4203','4204','4215','4216','4217','4218','4219','4221',
+  '4300','4301','4302','4303','4304','4315','4316','4317','4318','4319','4320','4321','4324',
+  '4416','4417','4418','4419'
+];
+// Only seed an empty inventory, so rooms an admin deletes stay deleted
+if (!db.prepare('SELECT COUNT(*) AS n FROM rooms').get().n) {
+  db.transaction(() => {
+    for (const room of ALL_ROOMS) {
+      insertRoom.run(room, 'classroom');
+    }
+  })();
+}
+
+module.exports = { db, addColumnIfMissing, insertRoom, insertTimetable, insertSchedule, insertBooking, ALL_ROOMS };
@@ -0,0 +1,407 @@
+// Backup archives: a versioned, self-describing JSON snapshot of the scheduler data
+// (rooms, sections with their entries, subject legend and version history, parse reports, bookings,
+// the academic calendar and, on request, user accounts), and restoring one.
+// Restores either merge into the current data or replace it, and run in one transaction.
+// Snapshots can also be written to SNAPSHOT_DIR on a schedule; see startSnapshots.
+const fs = require('fs');
+const path = require('path');
+const { db, insertRoom } = require('./db');
+const { serializeRoom, normalizeFacilities } = require('./rooms');
+const { CALENDAR_TYPES, parseDate, toDayName } = require('./calendar');
+const { formatTime, slotLabel, legacySlotTimes } = require('./slots');
+const { findMatchingTimetable, timetableEntries, replaceTimetable, diffEntries } = require('./timetables');
+const { saveLegend, timetableLegend } = require('./subjects');
+const { ROLES } = require('./auth');
+
+const ARCHIVE_FORMAT = 'event-room-scheduler';
+// Bump when the archive layout changes; older versions stay importable
+// (2: sections and their versions carry the subject legend)
+const ARCHIVE_VERSION = 2;
+const MAX_ERRORS = 50;
+
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || '';
+const SNAPSHOT_INTERVAL_HOURS = Number(process.env.SNAPSHOT_INTERVAL_HOURS) || 24;
+const SNAPSHOT_KEEP = Number(process.env.SNAPSHOT_KEEP) || 7;
+
+// ── Export ──
+function exportData({ users = false } = {}) {
+  const entries = db.prepare(`SELECT id, day, time_slot, room_number, subject, source, edited_at
+    FROM schedules WHERE timetable_id = ? ORDER BY id`);
+  const versions = db.prepare('SELECT * FROM timetable_versions WHERE timetable_id = ? ORDER BY version, id');
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exported_at: new Date().toISOString(),
+    schema_version: db.pragma('user_version', { simple: true }),
+    rooms: db.prepare('SELECT * FROM rooms ORDER BY room_number').all().map(serializeRoom),
+    timetables: db.prepare('SELECT * FROM timetables ORDER BY id').all().map(tt => ({
+      ...tt,
+      entries: entries.all(tt.id),
+      legend: timetableLegend(tt.id),
+      // Earlier versions of the section, oldest first
+      versions: versions.all(tt.id).map(({ id, timetable_id, entries, legend, ...v }) =>
+        ({ ...v, entries: JSON.parse(entries), legend: legend ? JSON.parse(legend) : null }))
+    })),
+    parse_reports: db.prepare('SELECT * FROM parse_reports ORDER BY id').all().map(r => ({ ...r, report: JSON.parse(r.report) })),
+    bookings: db.prepare('SELECT * FROM bookings ORDER BY id').all(),
+    calendar: {
+      terms: db.prepare('SELECT * FROM calendar_terms ORDER BY start_date').all(),
+      entries: db.prepare('SELECT * FROM calendar_entries ORDER BY start_date, id').all()
+    }
+  };
+  if (users) {
+    const tokens = db.prepare('SELECT id, name, token_hash, created_at, last_used_at FROM api_tokens WHERE user_id = ? ORDER BY id');
+    archive.users = db.prepare('SELECT * FROM users ORDER BY id').all().map(u => ({ ...u, api_tokens: tokens.all(u.id) }));
+  }
+  archive.counts = countArchive(archive);
+  return archive;
+}
+
+function countArchive(a) {
+  return {
+    rooms: a.rooms.length,
+    timetables: a.timetables.length,
+    entries: a.timetables.reduce((n, t) => n + t.entries.length, 0),
+    versions: a.timetables.reduce((n, t) => n + (t.versions || []).length, 0),
+    parse_reports: (a.parse_reports || []).length,
+    bookings: (a.bookings || []).length,
+    calendar_terms: (a.calendar && a.calendar.terms || []).length,
+    calendar_entries: (a.calendar && a.calendar.entries || []).length,
+    ...(a.users ? { users: a.users.length } : {})
+  };
+}
+
+// ── Validation ──
+// Check an archive and bring it to the current layout. Returns { archive } or { errors }.
+// Exports from before archives were versioned (plain { rooms, timetables, ... }) are
+// accepted, and 12-hour slot labels like "02:15-03:10" are read as the afternoon.
+function validateArchive(input) {
+  const errors = [];
+  const fail = (where, error) => { if (errors.length < MAX_ERRORS) errors.push({ at: where, error }); };
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { errors: [{ at: '', error: 'archive must be a JSON object' }] };
+  if (input.format !== undefined && input.format !== ARCHIVE_FORMAT) return { errors: [{ at: 'format', error: `not an ${ARCHIVE_FORMAT} archive` }] };
+  const version = input.format === undefined ? 0 : input.version;
+  if (!Number.isInteger(version) || version > ARCHIVE_VERSION) {
+    return { errors: [{ at: 'version', error: `archive version ${input.version} is not supported (this server reads up to ${ARCHIVE_VERSION})` }] };
+  }
+  const list = key => {
+    const value = key.split('.').reduce((o, k) => o && o[k], input);
+    if (value === undefined) return [];
+    if (!Array.isArray(value)) fail(key, 'must be an array');
+    return Array.isArray(value) ? value : [];
+  };
+  const text = value => typeof value === 'string' && value.trim() !== '';
+  const relabel = label => {
+    const t = legacySlotTimes(label);
+    return t ? slotLabel(t.start, t.end) : label;
+  };
+
+  const roomNumbers = new Set();
+  const rooms = list('rooms').map((r, i) => {
+    const at = `rooms[${i}]`;
+    if (!r || !text(String(r.room_number ?? ''))) return fail(at, 'room_number is required');
+    const room_number = String(r.room_number).trim();
+    if (roomNumbers.has(room_number)) fail(at, `room ${room_number} appears twice`);
+    roomNumbers.add(room_number);
+    for (const key of ['capacity', 'floor']) {
+      if (r[key] !== null && r[key] !== undefined && !Number.isInteger(r[key])) fail(`${at}.${key}`, 'must be a whole number or null');
+    }
+    return {
+      id: r.id, room_number, room_type: r.room_type || 'classroom', capacity: r.capacity ?? null, building: r.building ?? null,
+      floor: r.floor ?? null, facilities: JSON.stringify(normalizeFacilities(r.facilities || [])), bookable: r.bookable === false || r.bookable === 0 ? 0 : 1
+    };
+  });
+
+  const sectionKeys = new Set();
+  const readEntries = (entries, at) => {
+    if (!Array.isArray(entries)) { fail(at, 'must be an array'); return []; }
+    return entries.map((e, j) => {
+      const where = `${at}[${j}]`;
+      const day = toDayName(e && e.day);
+      if (!day) fail(where + '.day', `unknown day ${JSON.stringify(e && e.day)}`);
+      if (!e || !text(e.time_slot)) fail(where + '.time_slot', 'is required');
+      if (!e || !text(String(e.room_number ?? ''))) fail(where + '.room_number', 'is required');
+      return e ? { ...e, day, time_slot: relabel(e.time_slot), room_number: String(e.room_number ?? '').trim() } : e;
+    });
+  };
+  // A legend is optional (archives before version 2 have none); when given, every entry needs an abbreviation
+  const readLegend = (legend, at) => {
+    if (legend === undefined || legend === null) return null;
+    if (!Array.isArray(legend)) { fail(at, 'must be an array'); return null; }
+    legend.forEach((s, j) => { if (!s || !text(s.abbreviation)) fail(`${at}[${j}].abbreviation`, 'is required'); });
+    return legend;
+  };
+  const timetables = list('timetables').map((t, i) => {
+    const at = `timetables[${i}]`;
+    if (!t || !text(t.department) || !text(t.year_sem)) return fail(at, 'department and year_sem are required');
+    const key = [t.department, t.year_sem, t.section || ''].join('|').toLowerCase();
+    if (sectionKeys.has(key)) fail(at, `${t.department} ${t.year_sem} ${t.section || ''} appears twice`);
+    sectionKeys.add(key);
+    return {
+      ...t,
+      filename: t.filename || 'restored',
+      entries: readEntries(t.entries, at + '.entries'),
+      legend: readLegend(t.legend, at + '.legend'),
+      versions: (Array.isArray(t.versions) ? t.versions : []).map((v, j) => ({
+        ...v, entries: readEntries(v && v.entries, `${at}.versions[${j}].entries`), legend: readLegend(v && v.legend, `${at}.versions[${j}].legend`)
+      }))
+    };
+  });
+
+  const bookings = list('bookings').map((b, i) => {
+    const at = `bookings[${i}]`;
+    if (!b || !text(String(b.room_number ?? '')) || !text(b.title) || !text(b.requested_by)) return fail(at, 'room_number, title and requested_by are required');
+    const times = legacySlotTimes(`${b.start_time}-${b.end_time}`);
+    if (!times) fail(at, 'start_time and end_time must be HH:MM times');
+    if (!toDayName(b.day)) fail(at + '.day', `unknown day ${JSON.stringify(b.day)}`);
+    if (b.date && !parseDate(b.date)) fail(at + '.date', 'must be YYYY-MM-DD');
+    if (!['pending', 'approved', 'rejected'].includes(b.status || 'pending')) fail(at + '.status', 'must be pending, approved or rejected');
+    return times ? { ...b, day: toDayName(b.day), start_time: formatTime(times.start), end_time: formatTime(times.end) } : b;
+  });
+
+  const terms = list('calendar.terms');
+  terms.forEach((t, i) => {
+    if (!t || !text(t.name) || !parseDate(t.start_date) || !parseDate(t.end_date)) fail(`calendar.terms[${i}]`, 'name, start_date and end_date (YYYY-MM-DD) are required');
+  });
+  const calendarEntries = list('calendar.entries');
+  calendarEntries.forEach((e, i) => {
+    const at = `calendar.entries[${i}]`;
+    if (!e || !CALENDAR_TYPES.includes(e.type)) fail(at + '.type', `must be one of ${CALENDAR_TYPES.join(', ')}`);
+    if (!e || !parseDate(e.start_date) || !parseDate(e.end_date)) fail(at, 'start_date and end_date must be YYYY-MM-DD');
+  });
+
+  let users;
+  if (input.users !== undefined) {
+    users = list('users');
+    const names = new Set();
+    users.forEach((u, i) => {
+      const at = `users[${i}]`;
+      if (!u || !text(u.username) || !text(u.password_hash)) return fail(at, 'username and password_hash are required');
+      if (!ROLES.includes(u.role)) fail(at + '.role', `must be one of ${ROLES.join(', ')}`);
+      if (names.has(u.username.toLowerCase())) fail(at, `user ${u.username} appears twice`);
+      names.add(u.username.toLowerCase());
+    });
+  }
+
+  if (errors.length) return { errors };
+  return {
+    archive: {
+      version, rooms, timetables, bookings, users,
+      parse_reports: list('parse_reports'),
+      calendar: { terms, entries: calendarEntries }
+    }
+  };
+}
+
+// ── Import ──
+// INSERT a row of `table` from the given columns; `id` is kept only when `keepIds`
+function insertRow(table, row, columns, keepIds) {
+  const cols = (keepIds && row.id !== undefined && row.id !== null ? ['id', ...columns] : columns).filter(c => row[c] !== undefined);
+  return db.prepare(`INSERT INTO ${table} (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`).run(...cols.map(c => row[c]));
+}
+
+const TIMETABLE_COLUMNS = ['department', 'year_sem', 'section', 'default_room', 'filename', 'filepath', 'uploaded_at', 'edited_at', 'version', 'page', 'slot_grid'];
+const ENTRY_COLUMNS = ['timetable_id', 'day', 'time_slot', 'start_min', 'end_min', 'room_number', 'subject', 'source', 'edited_at'];
+const VERSION_COLUMNS = ['timetable_id', 'version', 'department', 'year_sem', 'section', 'default_room', 'filename', 'page', 'slot_grid', 'uploaded_at', 'entries', 'legend', 'archived_at'];
+const BOOKING_COLUMNS = ['room_number', 'day', 'date', 'start_time', 'end_time', 'title', 'requested_by', 'status', 'admin_note', 'created_at', 'decided_at', 'user_id'];
+const ROOM_COLUMNS = ['room_number', 'room_type', 'capacity', 'building', 'floor', 'facilities', 'bookable'];
+
+function insertEntries(timetableId, entries, keepIds) {
+  for (const e of entries) {
+    const t = legacySlotTimes(e.time_slot);
+    insertRow('schedules', { ...e, timetable_id: timetableId, start_min: t ? t.start : null, end_min: t ? t.end : null, source: e.source || 'parsed' },
+      ENTRY_COLUMNS, keepIds);
+    insertRoom.run(e.room_number, /lab/i.test(e.room_number) ? 'lab' : 'classroom');
+  }
+}
+
+function insertTimetable(tt, keepIds) {
+  const id = Number(insertRow('timetables', { ...tt, filepath: tt.filepath || '', slot_grid: tt.slot_grid || 'default', version: tt.version || 1 }, TIMETABLE_COLUMNS, keepIds).lastInsertRowid);
+  insertEntries(id, tt.entries, keepIds);
+  if (tt.legend) saveLegend(id, tt.legend);
+  for (const v of tt.versions) {
+    insertRow('timetable_versions', { ...v, timetable_id: id, entries: JSON.stringify(v.entries), legend: v.legend ? JSON.stringify(v.legend) : null },
+      VERSION_COLUMNS, false);
+  }
+  return id;
+}
+
+const REPLACED_TABLES = [
+  'schedules', 'timetable_versions', 'timetables', 'subjects', 'subject_faculty', 'faculty',
+  'parse_reports', 'bookings', 'calendar_terms', 'calendar_entries', 'rooms'
+];
+
+// Restore a validated archive. mode 'replace' empties the tables first and keeps the
+// archive's ids, so links to sections and calendar feeds keep working; 'merge' adds
+// what's missing, updates rooms and replaces sections that changed (archiving the
+// current version, as a re-upload would). Users are only touched when the archive has
+// them. Returns a summary of what was (or, with dryRun, would be) done.
+function restoreArchive(archive, { mode = 'merge', dryRun = false } = {}) {
+  const replace = mode === 'replace';
+  const summary = {
+    rooms: { added: 0, updated: 0, unchanged: 0 },
+    timetables: { added: 0, replaced: 0, unchanged: 0 },
+    entries: 0,
+    parse_reports: 0,
+    bookings: { added: 0, skipped: 0 },
+    calendar: { added: 0, skipped: 0 },
+    users: archive.users ? { added: 0, skipped: 0 } : null
+  };
+  const rollback = new Error('dry run');
+
+  const run = db.transaction(() => {
+    if (replace) {
+      for (const table of REPLACED_TABLES) db.prepare(`DELETE FROM ${table}`).run();
+      if (archive.users) for (const table of ['sessions', 'api_tokens', 'users']) db.prepare(`DELETE FROM ${table}`).run();
+    }
+
+    // Users first, so bookings can be linked to their accounts by username
+    const userIds = new Map();
+    for (const u of archive.users || []) {
+      const existing = db.prepare('SELECT id FROM users WHERE username = ?').get(u.username);
+      if (existing) { summary.users.skipped++; userIds.set(u.id, existing.id); continue; }
+      const id = Number(insertRow('users', { ...u, disabled: u.disabled ? 1 : 0 },
+        ['username', 'password_hash', 'role', 'disabled', 'created_at', 'last_login_at'], replace).lastInsertRowid);
+      for (const t of u.api_tokens || []) insertRow('api_tokens', { ...t, user_id: id }, ['user_id', 'name', 'token_hash', 'created_at', 'last_used_at'], false);
+      userIds.set(u.id, id);
+      summary.users.added++;
+    }
+    if (replace && archive.users && !db.prepare("SELECT 1 FROM users WHERE role = 'admin' AND disabled = 0").get()) {
+      throw Object.assign(new Error('The archive has no enabled admin account — restoring it would lock everyone out'), { status: 400 });
+    }
+
+    for (const room of archive.rooms) {
+      const existing = db.prepare('SELECT * FROM rooms WHERE room_number = ?').get(room.room_number);
+      if (existing && ROOM_COLUMNS.every(c => existing[c] === room[c])) {
+        summary.rooms.unchanged++;
+      } else if (existing) {
+        db.prepare(`UPDATE rooms SET ${ROOM_COLUMNS.slice(1).map(c => c + ' = ?').join(', ')} WHERE id = ?`)
+          .run(...ROOM_COLUMNS.slice(1).map(c => room[c]), existing.id);
+        summary.rooms.updated++;
+      } else {
+        insertRow('rooms', room, ROOM_COLUMNS, replace);
+        summary.rooms.added++;
+      }
+    }
+
+    for (const tt of archive.timetables) {
+      summary.entries += tt.entries.length;
+      const existing = replace ? null : findMatchingTimetable(tt);
+      if (!existing) {
+        insertTimetable(tt, replace);
+        summary.timetables.added++;
+      } else if (diffEntries(timetableEntries(existing.id), tt.entries).unchanged) {
+        // Same classes; a legend that differs is brought up to date without a new version
+        if (tt.legend && JSON.stringify(tt.legend) !== JSON.stringify(timetableLegend(existing.id))) saveLegend(existing.id, tt.legend);
+        summary.timetables.unchanged++;
+      } else {
+        for (const e of tt.entries) insertRoom.run(e.room_number, /lab/i.test(e.room_number) ? 'lab' : 'classroom');
+        replaceTimetable(existing, tt, tt.filename);
+        summary.timetables.replaced++;
+      }
+    }
+
+    for (const r of archive.parse_reports) {
+      if (!replace && db.prepare('SELECT 1 FROM parse_reports WHERE filename = ? AND created_at IS ?').get(r.filename, r.created_at)) continue;
+      insertRow('parse_reports', { ...r, report: JSON.stringify(r.report || []) },
+        ['filename', 'pages', 'sections', 'entries', 'skipped_pages', 'empty_sections', 'report', 'created_at'], false);
+      summary.parse_reports++;
+    }
+
+    for (const b of archive.bookings) {
+      const duplicate = !replace && db.prepare(`SELECT 1 FROM bookings WHERE room_number = ? AND day = ? AND date IS ? AND start_time = ?
+        AND end_time = ? AND title = ?`).get(b.room_number, b.day, b.date || null, b.start_time, b.end_time, b.title);
+      if (duplicate) { summary.bookings.skipped++; continue; }
+      insertRow('bookings', { ...b, status: b.status || 'pending', date: b.date || null, user_id: userIds.get(b.user_id) ?? (replace ? b.user_id : null) },
+        BOOKING_COLUMNS, replace);
+      summary.bookings.added++;
+    }
+
+    for (const t of archive.calendar.terms) {
+      if (!replace && db.prepare('SELECT 1 FROM calendar_terms WHERE name = ? AND start_date = ? AND end_date = ?').get(t.name, t.start_date, t.end_date)) {
+        summary.calendar.skipped++;
+        continue;
+      }
+      insertRow('calendar_terms', t, ['name', 'start_date', 'end_date'], replace);
+      summary.calendar.added++;
+    }
+    for (const e of archive.calendar.entries) {
+      if (!replace && db.prepare(`SELECT 1 FROM calendar_entries WHERE type = ? AND start_date = ? AND end_date = ?
+        AND follows_day IS ? AND description IS ?`).get(e.type, e.start_date, e.end_date, e.follows_day || null, e.description || null)) {
+        summary.calendar.skipped++;
+        continue;
+      }
+      insertRow('calendar_entries', { ...e, follows_day: e.follows_day || null, description: e.description || null },
+        ['type', 'start_date', 'end_date', 'follows_day', 'description'], replace);
+      summary.calendar.added++;
+    }
+    if (dryRun) throw rollback;
+  });
+
+  try {
+    run();
+  } catch (err) {
+    if (err !== rollback) throw err;
+  }
+  return { mode, dry_run: dryRun, summary };
+}
+
+// Validate and restore in one go. Returns the summary, or { error, errors } for a bad archive.
+function importData(input, options = {}) {
+  if (!['merge', 'replace'].includes(options.mode || 'merge')) return { error: 'mode must be merge or replace' };
+  const { archive, errors } = validateArchive(input);
+  if (errors) return { error: `${errors.length}${errors.length >= MAX_ERRORS ? '+' : ''} problem(s) in the archive — nothing imported`, errors };
+  try {
+    return restoreArchive(archive, options);
+  } catch (err) {
+    if (err.status) return { error: err.message };
+    throw err;
+  }
+}
+
+// ── Snapshots ──
+function listSnapshots() {
+  if (!SNAPSHOT_DIR || !fs.existsSync(SNAPSHOT_DIR)) return [];
+  return fs.readdirSync(SNAPSHOT_DIR).filter(f => /^snapshot-.*\.json$/.test(f)).sort().reverse()
+    .map(name => ({ name, size: fs.statSync(path.join(SNAPSHOT_DIR, name)).size }));
+}
+
+// Write a snapshot (with user accounts) and keep only the newest SNAPSHOT_KEEP
+function writeSnapshot() {
+  fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+  const name = `snapshot-${new Date().toISOString().replace(/[-:]/g, '').replace(/\..*/, '')}.json`;
+  const file = path.join(SNAPSHOT_DIR, name);
+  // Write then rename, so a crash mid-write never leaves a truncated "latest" snapshot
+  fs.writeFileSync(file + '.tmp', JSON.stringify(exportData({ users: true })));
+  fs.renameSync(file + '.tmp', file);
+  for (const old of listSnapshots().slice(SNAPSHOT_KEEP)) fs.unlinkSync(path.join(SNAPSHOT_DIR, old.name));
+  return name;
+}
+
+// With SNAPSHOT_DIR set: restore the newest snapshot into an empty database (no
+// sections and no bookings, as after a redeploy on ephemeral storage), then write a
+// snapshot every SNAPSHOT_INTERVAL_HOURS and one more on shutdown.
+function startSnapshots() {
+  if (!SNAPSHOT_DIR) return;
+  const empty = !db.prepare('SELECT 1 FROM timetables').get() && !db.prepare('SELECT 1 FROM bookings').get();
+  const [latest] = listSnapshots();
+  if (empty && latest) {
+    const result = importData(JSON.parse(fs.readFileSync(path.join(SNAPSHOT_DIR, latest.name), 'utf8')), { mode: 'replace' });
+    if (result.error) console.error(`Could not restore ${latest.name}: ${result.error}`);
+    else console.log(`Restored ${latest.name}: ${result.summary.timetables.added} section(s), ${result.summary.entries} entries, ${result.summary.bookings.added} booking(s)`);
+  }
+  const snapshot = () => {
+    try {
+      console.log(`Wrote ${writeSnapshot()}`);
+    } catch (err) {
+      console.error('Snapshot failed:', err.message);
+    }
+  };
+  setInterval(snapshot, SNAPSHOT_INTERVAL_HOURS * 3600 * 1000).unref();
+  process.once('SIGTERM', () => { snapshot(); process.exit(0); });
+}
+
+module.exports = {
+  ARCHIVE_FORMAT, ARCHIVE_VERSION, SNAPSHOT_DIR,
+  exportData, validateArchive, importData, listSnapshots, writeSnapshot, startSnapshots
+};
@@ -0,0 +1,113 @@
+// Groups of rooms free at the same time, for events that need several rooms at once
+// (exams, hackathons, fests). Groups are ranked by how close their rooms are, using the
+// building and floor from the room inventory or, when those aren't filled in, the ones
+// implied by the room number: 4201 is block 4, floor 2; 704 is floor 7.
+const { findFreeRooms } = require('./rooms');
+
+const MAX_COUNT = 50;
+
+// Where a room is: { building, floor, number } with number its place along the corridor
+function roomLocation(room) {
+  const digits = /^\d{3,4}$/.test(room.room_number) ? room.room_number : null;
+  const inferred = !digits ? {}
+    : digits.length === 4 ? { building: digits[0], floor: Number(digits[1]) }
+    : { floor: Number(digits[0]) };
+  return {
+    building: room.building || inferred.building || null,
+    floor: room.floor ?? inferred.floor ?? null,
+    number: digits ? Number(digits.slice(-2)) : null
+  };
+}
+
+function compareLocations(a, b) {
+  return String(a.location.building ?? '~').localeCompare(String(b.location.building ?? '~'), undefined, { numeric: true }) ||
+    (a.location.floor ?? Infinity) - (b.location.floor ?? Infinity) ||
+    (a.location.number ?? Infinity) - (b.location.number ?? Infinity) ||
+    a.room_number.localeCompare(b.room_number, undefined, { numeric: true });
+}
+
+const blockName = b => /^\d+$/.test(b) ? `block ${b}` : b;
+
+// Closeness score (lower is closer) and a sentence saying why these rooms go together
+function describeGroup(rooms) {
+  const buildings = [...new Set(rooms.map(r => r.location.building))];
+  const floors = [...new Set(rooms.map(r => r.location.floor))];
+  const known = floors.every(f => f !== null);
+  const floorSpan = known ? Math.max(...floors) - Math.min(...floors) : null;
+  const numbers = rooms.map(r => r.location.number);
+  const numberSpan = numbers.every(n => n !== null) ? Math.max(...numbers) - Math.min(...numbers) : null;
+  const range = `${rooms[0].room_number}–${rooms[rooms.length - 1].room_number}`;
+
+  let score, explanation;
+  if (buildings.length > 1) {
+    score = 10000 + (buildings.length - 1) * 1000;
+    explanation = `Spread over ${buildings.map(b => b === null ? 'unplaced rooms' : blockName(b)).join(' and ')}`;
+  } else if (buildings[0] === null && !known) {
+    score = 5000;
+    explanation = 'Rooms with no building or floor on record';
+  } else if (!known) {
+    score = 2000;
+    explanation = `All in ${blockName(buildings[0])}; floors not on record`;
+  } else {
+    const where = buildings[0] === null ? '' : ` of ${blockName(buildings[0])}`;
+    score = floorSpan * 100 + (floors.length === 1 && numberSpan !== null ? numberSpan : 50);
+    explanation = floors.length === 1
+      ? `All on floor ${floors[0]}${where} (${range})${numberSpan !== null && numberSpan < rooms.length * 2 ? ', next to each other' : ''}`
+      : `In ${where ? blockName(buildings[0]) : 'one block'}, floors ${Math.min(...floors)}–${Math.max(...floors)}` +
+        (floorSpan === floors.length - 1 ? ' (adjacent)' : '');
+  }
+  return { score, explanation };
+}
+
+// Free-room groups for a day/date and time range. `query` takes the /api/free-rooms
+// parameters plus count (rooms per group), min_seats (total seating) and limit (groups
+// to return); returns the result or { error }. Candidates are runs of `count` rooms
+// taken in building → floor → room-number order, so neighbours end up together; the
+// closest runs that meet min_seats are kept, with no room in two groups.
+function findRoomGroups(query) {
+  const count = Number(query.count);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) return { error: `count must be a whole number from 1 to ${MAX_COUNT}` };
+  const minSeats = query.min_seats === undefined || query.min_seats === '' ? 0 : Number(query.min_seats);
+  if (!Number.isFinite(minSeats) || minSeats < 0) return { error: 'min_seats must be a number' };
+  const limit = Math.min(Number(query.limit) || 5, 20);
+
+  const result = findFreeRooms({ ...query, sort: undefined });
+  if (result.error) return result;
+  const rooms = result.free_rooms.map(r => ({ ...r, location: roomLocation(r) })).sort(compareLocations);
+
+  const candidates = [];
+  for (let i = 0; i + count <= rooms.length; i++) {
+    const group = rooms.slice(i, i + count);
+    const seats = group.reduce((n, r) => n + (r.capacity || 0), 0);
+    if (seats < minSeats) continue;
+    candidates.push({ rooms: group, seats, ...describeGroup(group) });
+  }
+  candidates.sort((a, b) => a.score - b.score || b.seats - a.seats);
+
+  const used = new Set();
+  const groups = [];
+  for (const c of candidates) {
+    if (groups.length >= limit) break;
+    if (c.rooms.some(r => used.has(r.room_number))) continue;
+    c.rooms.forEach(r => used.add(r.room_number));
+    groups.push(c);
+  }
+
+  const { day, date, calendar, from, to } = result;
+  return {
+    day, date, calendar, from, to,
+    count,
+    min_seats: minSeats,
+    free_room_count: rooms.length,
+    groups: groups.map((g, i) => ({
+      rank: i + 1,
+      rooms: g.rooms,
+      total_seats: g.seats,
+      unknown_capacity: g.rooms.filter(r => !r.capacity).map(r => r.room_number),
+      score: g.score,
+      explanation: g.explanation + (minSeats ? `; ${g.seats} seats for the ${minSeats} needed` : '')
+    }))
+  };
+}
+
+module.exports = { roomLocation, findRoomGroups };
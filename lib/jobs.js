@@ -0,0 +1,120 @@
+// Background jobs for work too slow to finish inside a request, such as parsing a merged
+// all-departments timetable PDF. A job runs after the request that started it has
+// returned its id; clients follow it with GET /api/jobs/:id or its event stream. Jobs run
+// one at a time in the order they were queued, live in memory only (a restart forgets
+// them; the server sweeps up files left by unfinished uploads when it starts) and are
+// dropped JOB_TTL_MINUTES after they finish.
+const JOB_TTL_MINUTES = Number(process.env.JOB_TTL_MINUTES) || 60;
+const FINISHED = ['done', 'failed', 'cancelled'];
+// Progress updates reach watchers at most this often; the latest one always gets through
+const UPDATE_INTERVAL_MS = 250;
+
+const jobs = new Map();
+const queue = [];
+let nextId = 1;
+let running = false;
+
+// The public view of a job: its fields and progress, without the internals or account
+function describeJob(job) {
+  const { work, watchers, timer, notified_at, settle, finished, user, ...view } = job;
+  return { ...view, user: user ? user.username : null };
+}
+
+function notify(job) {
+  clearTimeout(job.timer);
+  job.timer = null;
+  job.notified_at = Date.now();
+  const payload = `event: job\ndata: ${JSON.stringify(describeJob(job))}\n\n`;
+  for (const res of job.watchers) {
+    res.write(payload);
+    if (FINISHED.includes(job.status)) res.end();
+  }
+  if (FINISHED.includes(job.status)) job.watchers.clear();
+}
+
+// Queue `work(job, update)` → result. `fields` are shown with the job from the start
+// (type, filename, progress); `update(fields)` merges new ones in and tells watchers.
+// Work should check job.cancel_requested between steps and stop early when it is set.
+// job.finished resolves once the job ends in any way, including cancelled before it ran.
+function startJob(fields, user, work) {
+  purgeFinishedJobs();
+  const job = {
+    id: nextId++, status: 'queued', created_at: new Date().toISOString(), started_at: null, finished_at: null,
+    cancel_requested: false, error: null, result: null, ...fields, user, work, watchers: new Set(), timer: null
+  };
+  job.finished = new Promise(resolve => { job.settle = resolve; });
+  jobs.set(job.id, job);
+  queue.push(job);
+  setImmediate(runNext);
+  return job;
+}
+
+async function runNext() {
+  if (running || !queue.length) return;
+  running = true;
+  const job = queue.shift();
+  try {
+    if (job.cancel_requested) {
+      job.status = 'cancelled';
+    } else {
+      job.status = 'running';
+      job.started_at = new Date().toISOString();
+      notify(job);
+      const result = await job.work(job, fields => {
+        Object.assign(job, fields);
+        if (!job.timer) job.timer = setTimeout(() => notify(job), Math.max(0, job.notified_at + UPDATE_INTERVAL_MS - Date.now()));
+      });
+      job.status = job.cancel_requested ? 'cancelled' : 'done';
+      job.result = result ?? null;
+    }
+  } catch (err) {
+    console.error(`Job #${job.id} failed:`, err);
+    job.status = 'failed';
+    job.error = err.message;
+  } finally {
+    job.finished_at = new Date().toISOString();
+    notify(job);
+    job.settle();
+    running = false;
+    setImmediate(runNext);
+  }
+}
+
+function getJob(id) {
+  return jobs.get(Number(id)) || null;
+}
+
+// Newest first
+function listJobs() {
+  purgeFinishedJobs();
+  return [...jobs.values()].reverse().map(describeJob);
+}
+
+// Ask a job to stop. Queued jobs never start; running ones stop at their next check.
+// Returns false when the job has already finished.
+function cancelJob(job) {
+  if (FINISHED.includes(job.status)) return false;
+  job.cancel_requested = true;
+  notify(job);
+  return true;
+}
+
+// Stream a job's progress to an SSE response: its current state, then every update,
+// ending after the one where it finishes
+function watchJob(req, res, job) {
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  res.write(`event: job\ndata: ${JSON.stringify(describeJob(job))}\n\n`);
+  if (FINISHED.includes(job.status)) return res.end();
+  job.watchers.add(res);
+  req.on('close', () => job.watchers.delete(res));
+}
+
+function purgeFinishedJobs() {
+  const cutoff = Date.now() - JOB_TTL_MINUTES * 60 * 1000;
+  for (const [id, job] of jobs) {
+    if (job.finished_at && Date.parse(job.finished_at) < cutoff) jobs.delete(id);
+  }
+}
+
+module.exports = { startJob, getJob, listJobs, cancelJob, watchJob, describeJob };
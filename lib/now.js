@@ -0,0 +1,225 @@
+// Live "now and next" board: what every room is doing at this moment and what it does
+// next, grouped by building, for kiosk screens in corridors and at the front desk.
+// "Now" is the campus wall clock (CALENDAR_TZ); the date goes through the academic
+// calendar, so holidays and exam weeks show every room free. Screens watch the board
+// over Server-Sent Events: it is pushed again whenever it changes — a new slot starting,
+// a class ending, or a timetable being uploaded, edited or deleted.
+const { db } = require('./db');
+const { CALENDAR_TZ, parseDate, localNow, dayNumber, resolveDate } = require('./calendar');
+const { parseTime, formatTime } = require('./slots');
+const { serializeRoom, timeToMinutes, approvedBookingsOn } = require('./rooms');
+const { teachingDay } = require('./windows');
+const { roomLocation } = require('./groups');
+const { SUBJECT_FACULTY } = require('./subjects');
+const { sectionName } = require('./audit');
+
+const TICK_SECONDS = 15;
+const CHANGE_DEBOUNCE_MS = 300;
+
+// `at` → { date, minutes } on the campus clock, or { error }. "2026-10-22T10:00" is a
+// campus wall-clock time; a timestamp with Z or an offset is converted to one.
+function parseAt(at) {
+  if (!at) return localNow();
+  const local = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})$/.exec(at);
+  if (local) {
+    const minutes = parseTime(local[2]);
+    if (!parseDate(local[1]) || minutes === null) return { error: 'at must be a real date and 24-hour time' };
+    return { date: local[1], minutes };
+  }
+  const instant = /(Z|[+-]\d{2}:?\d{2})$/i.test(at) ? new Date(at) : null;
+  if (!instant || isNaN(instant)) return { error: 'at must be YYYY-MM-DDTHH:MM (campus time) or an ISO timestamp with Z or an offset' };
+  return localNow(instant);
+}
+
+// Where the day stands at `minutes` on the default slot grid: in a slot, a break or lunch,
+// before the first or after the last slot, or no classes at all; plus the next slot to start
+function dayPeriod(minutes, day, teaching) {
+  const span = (start, end) => ({ start: formatTime(start), end: formatTime(end) });
+  if (!day) return { period: { kind: 'no_classes', label: 'No classes today' }, next_slot: null };
+  const upcoming = teaching.slots.find(s => s.range[0] > minutes);
+  const next_slot = upcoming ? { slot: upcoming.slot, ...span(...upcoming.range) } : null;
+  const slot = teaching.slots.find(s => s.range[0] <= minutes && minutes < s.range[1]);
+  if (slot) return { period: { kind: 'slot', label: slot.slot, ...span(...slot.range) }, next_slot };
+  const gap = teaching.breaks.find(b => b.start <= minutes && minutes < b.end);
+  if (gap) return { period: { kind: gap.name.toLowerCase(), label: gap.name === 'LUNCH' ? 'Lunch' : 'Break', ...span(gap.start, gap.end) }, next_slot };
+  if (minutes < teaching.slots[0].range[0]) return { period: { kind: 'before', label: 'Before the first slot' }, next_slot };
+  return { period: { kind: 'after', label: 'After the last slot' }, next_slot };
+}
+
+// Today's classes and approved bookings as [start, end) items per room
+function roomActivity(day, date) {
+  const activity = new Map();
+  const add = (room, item) => {
+    if (!activity.has(room)) activity.set(room, []);
+    activity.get(room).push(item);
+  };
+  const classes = !day ? [] : db.prepare(`
+    SELECT s.room_number, s.subject, s.time_slot, s.start_min, s.end_min, sub.name AS subject_name, ${SUBJECT_FACULTY} AS faculty,
+      t.department, t.year_sem, t.section
+    FROM schedules s JOIN timetables t ON t.id = s.timetable_id LEFT JOIN subjects sub ON sub.id = s.subject_id
+    WHERE s.day_num = ? AND s.start_min IS NOT NULL
+  `).all(dayNumber(day));
+  for (const c of classes) {
+    add(c.room_number, {
+      type: 'class', title: c.subject, subject_name: c.subject_name || null, faculty: c.faculty || null,
+      section: sectionName(c), start_min: c.start_min, end_min: c.end_min
+    });
+  }
+  for (const b of approvedBookingsOn(day, date)) {
+    const [start, end] = [timeToMinutes(b.start_time), timeToMinutes(b.end_time)];
+    if (!(end > start)) continue;
+    // The board is public: it names the event but not who booked it
+    add(b.room_number, { type: 'booking', title: b.title, start_min: start, end_min: end });
+  }
+  return activity;
+}
+
+function showItem({ start_min, end_min, ...item }) {
+  return { ...item, start: formatTime(start_min), end: formatTime(end_min) };
+}
+
+// One room's tile: in_use (a class is on), booked (only an event is on) or free, what's on
+// now, what starts next, and until when it stays busy or free
+function roomStatus(room, items, minutes) {
+  const current = items.filter(i => i.start_min <= minutes && minutes < i.end_min);
+  const later = items.filter(i => i.start_min > minutes);
+  const nextStart = Math.min(...later.map(i => i.start_min));
+  const next = later.filter(i => i.start_min === nextStart);
+  const status = current.some(i => i.type === 'class') ? 'in_use' : current.length ? 'booked' : 'free';
+  // Busy until the room is next empty: back-to-back classes count as one stretch
+  let busyUntil = Math.max(...current.map(i => i.end_min));
+  for (const i of [...later].sort((a, b) => a.start_min - b.start_min)) {
+    if (i.start_min <= busyUntil) busyUntil = Math.max(busyUntil, i.end_min);
+  }
+  return {
+    room_number: room.room_number,
+    room_type: room.room_type,
+    capacity: room.capacity ?? null,
+    floor: roomLocation(room).floor,
+    status,
+    current: current.map(showItem),
+    next: next.map(showItem),
+    busy_until: current.length ? formatTime(busyUntil) : null,
+    free_until: current.length ? null : next.length ? formatTime(nextStart) : null
+  };
+}
+
+function buildingName(room) {
+  const { building } = roomLocation(room);
+  if (building === null) return 'Other rooms';
+  return /^\d+$/.test(building) ? `Block ${building}` : building;
+}
+
+// The board at `query.at` (default: now), optionally only buildings matching `query.building`.
+// Returns { error } for a bad `at`.
+function boardAt(query = {}) {
+  const now = parseAt(query.at);
+  if (now.error) return now;
+  const calendar = resolveDate(now.date);
+  const { day } = calendar;
+  const { period, next_slot } = dayPeriod(now.minutes, day, teachingDay());
+  const activity = roomActivity(day, now.date);
+
+  const wanted = String(query.building || '').trim().toLowerCase();
+  const groups = new Map();
+  for (const room of db.prepare('SELECT * FROM rooms').all().map(serializeRoom)) {
+    const building = buildingName(room);
+    if (wanted && !building.toLowerCase().includes(wanted) && (room.building || '').toLowerCase() !== wanted) continue;
+    if (!groups.has(building)) groups.set(building, []);
+    groups.get(building).push(roomStatus(room, activity.get(room.room_number) || [], now.minutes));
+  }
+  const buildings = [...groups].map(([building, rooms]) => ({
+    building,
+    rooms: rooms.sort((a, b) => (a.floor ?? Infinity) - (b.floor ?? Infinity) ||
+      a.room_number.localeCompare(b.room_number, undefined, { numeric: true }))
+  })).sort((a, b) => (a.building === 'Other rooms') - (b.building === 'Other rooms') ||
+    a.building.localeCompare(b.building, undefined, { numeric: true }));
+
+  const rooms = buildings.flatMap(b => b.rooms);
+  return {
+    date: now.date,
+    time: formatTime(now.minutes),
+    time_zone: CALENDAR_TZ,
+    live: !query.at,
+    weekday: calendar.weekday,
+    day,
+    calendar: { kind: calendar.kind, note: calendar.note },
+    period,
+    next_slot,
+    counts: {
+      rooms: rooms.length,
+      in_use: rooms.filter(r => r.status === 'in_use').length,
+      booked: rooms.filter(r => r.status === 'booked').length,
+      free: rooms.filter(r => r.status === 'free').length
+    },
+    buildings
+  };
+}
+
+// ── Live updates ──
+// Each watching screen gets the board when it connects and again whenever it differs
+// from the last one sent (the clock alone doesn't count). The board is rebuilt every
+// TICK_SECONDS, which also catches slot changes and writes made by the CLI, and shortly
+// after any change made through the API.
+const watchers = new Set();
+let ticker = null;
+let pending = null;
+
+function send(watcher) {
+  const { time, ...board } = boardAt({ building: watcher.building });
+  const signature = JSON.stringify(board);
+  if (signature === watcher.last) return false;
+  watcher.last = signature;
+  watcher.res.write(`event: board\ndata: ${JSON.stringify({ time, ...board })}\n\n`);
+  return true;
+}
+
+function refresh(keepAlive) {
+  for (const watcher of watchers) {
+    try {
+      if (!send(watcher) && keepAlive) watcher.res.write(': still here\n\n');
+    } catch (err) {
+      console.error('Board update failed:', err.message);
+    }
+  }
+}
+
+// Stream the board to an SSE response until the client goes away
+function watchBoard(req, res) {
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  res.write(`retry: 5000\n\n`);
+  const watcher = { res, building: req.query.building, last: null };
+  watchers.add(watcher);
+  send(watcher);
+  if (!ticker) {
+    ticker = setInterval(() => refresh(true), TICK_SECONDS * 1000);
+    ticker.unref();
+  }
+  req.on('close', () => {
+    watchers.delete(watcher);
+    if (!watchers.size) {
+      clearInterval(ticker);
+      ticker = null;
+    }
+  });
+}
+
+// Push the board to watching screens shortly; a burst of calls triggers one refresh
+function boardChanged() {
+  if (!watchers.size) return;
+  clearTimeout(pending);
+  pending = setTimeout(() => refresh(false), CHANGE_DEBOUNCE_MS);
+}
+
+// Middleware: call boardChanged after each successful write through the API. Work that
+// finishes after its request (background uploads) calls it directly.
+function refreshBoardOnWrite(req, res, next) {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || !req.path.startsWith('/api/') || req.path.startsWith('/api/auth/')) return next();
+  res.on('finish', () => {
+    if (res.statusCode < 400) boardChanged();
+  });
+  next();
+}
+
+module.exports = { boardAt, watchBoard, boardChanged, refreshBoardOnWrite };
@@ -0,0 +1,74 @@
+// Per-room occupancy map: the stretches of the week each room is busy (classes and
+// weekly approved bookings, merged) plus one-off approved bookings by date, in the
+// room_occupancy table. Free-room lookups read it with one indexed query instead of
+// going through schedules and bookings. Triggers on those two tables mark the map stale
+// (migration 4 in lib/db.js), so an upload, edit, delete or booking decision — from the
+// server or the CLI — is picked up by the next read, which rebuilds it.
+const { db } = require('./db');
+const { dayNumber } = require('./calendar');
+
+// Sorted, non-overlapping ranges; touching ranges (back-to-back classes) become one
+function mergeRanges(ranges) {
+  const merged = [];
+  for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  }
+  return merged;
+}
+
+function refreshOccupancy() {
+  db.transaction(() => {
+    const stretches = new Map();
+    const add = (room, dayNum, date, start, end) => {
+      if (!(end > start)) return;
+      const key = JSON.stringify([room, dayNum, date]);
+      if (!stretches.has(key)) stretches.set(key, []);
+      stretches.get(key).push([start, end]);
+    };
+    for (const r of db.prepare('SELECT room_number, day_num, start_min, end_min FROM schedules WHERE start_min IS NOT NULL AND day_num IS NOT NULL').all()) {
+      add(r.room_number, r.day_num, null, r.start_min, r.end_min);
+    }
+    for (const b of db.prepare("SELECT room_number, day_num, date, start_min, end_min FROM bookings WHERE status = 'approved'").all()) {
+      if (b.date) add(b.room_number, null, b.date, b.start_min, b.end_min);
+      else if (b.day_num !== null) add(b.room_number, b.day_num, null, b.start_min, b.end_min);
+    }
+    db.prepare('DELETE FROM room_occupancy').run();
+    const insert = db.prepare('INSERT INTO room_occupancy (room_number, day_num, date, start_min, end_min) VALUES (?, ?, ?, ?, ?)');
+    for (const [key, ranges] of stretches) {
+      const [room, dayNum, date] = JSON.parse(key);
+      for (const [start, end] of mergeRanges(ranges)) insert.run(room, dayNum, date, start, end);
+    }
+    db.prepare('UPDATE occupancy_state SET stale = 0').run();
+  }).immediate();
+}
+
+// Rebuild the map if anything changed since it was last built
+function ensureOccupancy() {
+  if (db.prepare('SELECT stale FROM occupancy_state').get().stale) refreshOccupancy();
+}
+
+// Rooms held at some point in [fromMin, toMin) by the weekly timetable of `day` (null on
+// holidays and the like) or by a booking on `date`, as a Set of room numbers
+function busyRooms(day, date, fromMin, toMin) {
+  ensureOccupancy();
+  return new Set(db.prepare(`
+    SELECT DISTINCT room_number FROM room_occupancy
+    WHERE (day_num = ? OR date = ?) AND start_min < ? AND end_min > ?
+  `).all(dayNumber(day), date || null, toMin, fromMin).map(o => o.room_number));
+}
+
+// Weekly busy stretches per "room|day_num", for the free-window search
+function weeklyOccupancy() {
+  ensureOccupancy();
+  const busy = new Map();
+  for (const o of db.prepare('SELECT * FROM room_occupancy WHERE date IS NULL').all()) {
+    const key = o.room_number + '|' + o.day_num;
+    if (!busy.has(key)) busy.set(key, []);
+    busy.get(key).push([o.start_min, o.end_min]);
+  }
+  return busy;
+}
+
+module.exports = { refreshOccupancy, ensureOccupancy, busyRooms, weeklyOccupancy };
@@ -0,0 +1,913 @@
+// Timetable PDF parser shared by the server and the CLI
+const fs = require('fs');
+const pdfjs = require('pdfjs-dist');
+pdfjs.disableWorker = true;
+const { slotGridFor, resolveClockTimes, slotLabel } = require('./slots');
+
+// ── Custom page renderer for position-aware text extraction ──
+function positionPageRender(pageData) {
+  return pageData.getTextContent({ normalizeWhitespace: false }).then(function(textContent) {
+    const items = textContent.items.map(item => ({
+      x: Math.round(item.transform[4]),
+      y: Math.round(item.transform[5]),
+      t: item.str.trim(),
+      w: Math.round(item.width)
+    })).filter(i => i.t.length > 0);
+    return JSON.stringify(items);
+  });
+}
+
+// ── Reading PDFs ──
+// Read a PDF into one JSON string of positioned text items per page. `onPage(page,
+// pageNum, pageCount)` is called as each page is read; returning false skips reading the
+// rest. A page pdf.js can't read becomes {"error": "…"}, so the pages after it keep
+// their numbers and are still parsed.
+async function readPdfPages(filePath, onPage) {
+  const doc = await pdfjs.getDocument(fs.readFileSync(filePath)).promise;
+  const pages = [];
+  try {
+    for (let pageNum = 1; pageNum <= doc.numPages; pageNum++) {
+      // pdf.js runs without a worker here; let the server answer other requests between pages
+      await new Promise(resolve => setImmediate(resolve));
+      let page;
+      try {
+        page = await positionPageRender(await doc.getPage(pageNum));
+      } catch (err) {
+        page = JSON.stringify({ error: err.message });
+      }
+      pages.push(page);
+      if (onPage && onPage(page, pageNum, doc.numPages) === false) break;
+    }
+  } finally {
+    await doc.destroy();
+  }
+  return pages;
+}
+
+// ══════════════════════════════════════════════════════════
+// Position-aware PDF Parser
+// Uses X/Y coordinates of pdf.js text items to correctly
+// map subjects to time slot columns, preserving free periods.
+// ══════════════════════════════════════════════════════════
+
+// Periods come from the department's slot grid (lib/slots.js); header times on the
+// page are mapped onto it. Saturday rows are parsed, but only Monday–Friday are part
+// of every week — Saturday shows up once some timetable has classes on it.
+const DAY_NAMES = { MON: 'Monday', TUE: 'Tuesday', WED: 'Wednesday', THU: 'Thursday', FRI: 'Friday', SAT: 'Saturday' };
+const REGULAR_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+const DAY_PATTERN = new RegExp(`^(${Object.keys(DAY_NAMES).join('|')})$`, 'i');
+const SKIP_WORDS = new Set(['B','R','E','A','K','L','U','N','C','H','BREAK','LUNCH','DAY','/HR','HOUR','TO','AM','PM']);
+
+// ── Header formats ──
+// Each page header is matched against an ordered registry of named formats.
+// A format's `pattern` finds the semester (and usually the section); `yearSem`
+// and `section` are templates over its match — $1..$9 are capture groups and
+// {dept} is the department abbreviation. Formats whose section sits elsewhere
+// on the line list `sectionPatterns` (first capture group wins), and
+// `defaultSection` is only used by the full-text fallback, so a later line can
+// still supply the real section. `scope` limits a format to 'line' or 'text'
+// matching; `requireSection` rejects a match that yields no section.
+// Formats from HEADER_FORMATS_FILE replace built-ins of the same name, can be
+// switched off with "disabled": true, and new ones go ahead of the catch-all
+// fallbacks unless "before" names another format.
+const BUILTIN_HEADER_FORMATS = [
+  {
+    name: 'cse', description: 'IV SEMESTER [SECTION-A1]',
+    pattern: /(\w+)\s+SEMESTER\s*\[SECTION[-\s]*(\w+)\]/i, yearSem: '$1 Semester', section: '$2'
+  },
+  {
+    name: 'eee', description: 'VI SEMESTER (SECTION - 01)',
+    pattern: /(\w+)\s+SEMESTER\s*\(SECTION[-\s]*(\w+)\)/i, yearSem: '$1 Semester', section: '$2'
+  },
+  {
+    name: 'ece-eie', description: 'IV Sem – Section – 1',
+    pattern: /(\w+)\s+Sem\w*\s*[–\-]\s*Section\s*[–\-]\s*(\w+)/i, yearSem: '$1 Semester', section: '$2'
+  },
+  {
+    name: 'civil', description: 'B.Tech VI Semester or B.Tech IV Semester [CE]',
+    pattern: /B\.?\s*Tech\s+(\w+)\s+Semester/i, yearSem: '$1 Semester',
+    sectionPatterns: [/Section[-\s]*(\w+)/i, /Semester\s*\[([^\]]+)\]/i], defaultSection: 'A'
+  },
+  {
+    name: 'ds-it-cs', description: 'IV Semester (DS-1) or VI Semester ( IT )',
+    pattern: /(\w+)\s+Semester\s*\(\s*([^)]+)\)/i, yearSem: '$1 Semester', section: '$2'
+  },
+  {
+    // Mechanical pages have no section name — derive one from the department
+    name: 'mechanical', description: '[ IV SEMESTER ]',
+    pattern: /\[\s*(\w+)\s+SEMESTER\s*\]/i, yearSem: '$1 Semester', section: '{dept}-1',
+    departmentAbbreviations: { MECH: 'ME' }
+  },
+  {
+    // Last resort: "IV Sem" anywhere plus a "Section 2" or "Sem - 2" elsewhere on the page
+    name: 'generic', description: 'IV Sem … Section 2 / IV Sem - 2', scope: 'text', fallback: true,
+    pattern: /(\w+)\s+Sem(?:ester)?/i, yearSem: '$1 Semester',
+    sectionPatterns: [/Section[-–\s]*(\w+)/i, /Sem\w*\s*[–\-]?\s*(\d+)/i], requireSection: true
+  }
+];
+
+const HEADER_FORMATS_FILE = process.env.HEADER_FORMATS_FILE || 'header-formats.json';
+let headerFormats = [];
+
+function toRegExp(value, flags) {
+  if (value instanceof RegExp) return value;
+  if (typeof value !== 'string' || !value) throw new Error('pattern must be a non-empty string');
+  return new RegExp(value, flags || 'i');
+}
+
+// Validate a format definition and compile its patterns
+function compileHeaderFormat(def, source) {
+  if (!def || typeof def !== 'object') throw new Error('format must be an object');
+  if (!def.name || typeof def.name !== 'string') throw new Error('format needs a name');
+  const where = `format "${def.name}"`;
+  if (def.scope && !['line', 'text', 'both'].includes(def.scope)) throw new Error(`${where}: scope must be line, text or both`);
+  if (!def.yearSem || typeof def.yearSem !== 'string') throw new Error(`${where}: yearSem template is required`);
+  if (!def.section && !def.sectionPatterns && !def.defaultSection) throw new Error(`${where}: needs section, sectionPatterns or defaultSection`);
+  try {
+    return {
+      name: def.name,
+      description: def.description || '',
+      source,
+      scope: def.scope || 'both',
+      fallback: !!def.fallback,
+      regex: toRegExp(def.pattern, def.flags),
+      yearSem: def.yearSem,
+      section: def.section || '',
+      sectionRegexes: (def.sectionPatterns || []).map(p => toRegExp(p, def.flags)),
+      defaultSection: def.defaultSection || '',
+      requireSection: !!def.requireSection,
+      departmentAbbreviations: def.departmentAbbreviations || {}
+    };
+  } catch (err) {
+    throw new Error(`${where}: ${err.message}`);
+  }
+}
+
+// Built-ins plus the admin's config file; a broken config keeps the previous registry
+function loadHeaderFormats() {
+  const formats = BUILTIN_HEADER_FORMATS.map(def => compileHeaderFormat(def, 'builtin'));
+  if (fs.existsSync(HEADER_FORMATS_FILE)) {
+    const config = JSON.parse(fs.readFileSync(HEADER_FORMATS_FILE, 'utf8'));
+    const defs = Array.isArray(config) ? config : config.formats;
+    if (!Array.isArray(defs)) throw new Error(`${HEADER_FORMATS_FILE} must hold an array of formats`);
+
+    for (const def of defs) {
+      const existing = formats.findIndex(f => f.name === (def && def.name));
+      if (def && def.disabled) {
+        if (existing !== -1) formats.splice(existing, 1);
+        continue;
+      }
+      const fmt = compileHeaderFormat(def, HEADER_FORMATS_FILE);
+      if (existing !== -1 && !def.before) { formats[existing] = fmt; continue; }
+      if (existing !== -1) formats.splice(existing, 1);
+
+      let at = def.before ? formats.findIndex(f => f.name === def.before) : formats.findIndex(f => f.fallback);
+      if (def.before && at === -1) throw new Error(`format "${def.name}": no format named "${def.before}" to go before`);
+      if (at === -1) at = formats.length;
+      formats.splice(at, 0, fmt);
+    }
+  }
+  headerFormats = formats;
+  return formats;
+}
+
+function departmentAbbreviation(department, fmt) {
+  for (const [needle, abbr] of Object.entries(fmt.departmentAbbreviations)) {
+    if (department.toUpperCase().includes(needle.toUpperCase())) return abbr;
+  }
+  return department.substring(0, 3).toUpperCase();
+}
+
+function expandHeaderTemplate(template, match, department, fmt) {
+  return template
+    .replace(/\$(\d)/g, (_, n) => (match[n] || '').trim())
+    .replace(/\{dept\}/g, () => departmentAbbreviation(department, fmt))
+    .trim();
+}
+
+// Try one format against a line (scope 'line') or the whole page text (scope 'text')
+function matchHeaderFormat(fmt, text, department, scope) {
+  if (fmt.scope !== 'both' && fmt.scope !== scope) return null;
+  const m = text.match(fmt.regex);
+  if (!m) return null;
+
+  let section = fmt.section ? expandHeaderTemplate(fmt.section, m, department, fmt) : '';
+  for (const re of fmt.sectionRegexes) {
+    if (section) break;
+    const sm = text.match(re);
+    if (sm) section = (sm[1] || '').trim();
+  }
+  if (!section && scope === 'text') section = fmt.defaultSection;
+  if (!section && fmt.requireSection) return null;
+
+  return {
+    format: fmt.name,
+    yearSem: expandHeaderTemplate(fmt.yearSem, m, department, fmt),
+    section,
+    text: scope === 'line' ? text.trim() : m[0]
+  };
+}
+
+try {
+  loadHeaderFormats();
+} catch (err) {
+  console.error(`Could not load ${HEADER_FORMATS_FILE}: ${err.message} — using built-in header formats`);
+  headerFormats = BUILTIN_HEADER_FORMATS.map(def => compileHeaderFormat(def, 'builtin'));
+}
+
+// The live registry (replaced wholesale on reload)
+function getHeaderFormats() {
+  return headerFormats;
+}
+
+// JSON-friendly view of a compiled format
+function describeHeaderFormat(fmt) {
+  return {
+    name: fmt.name,
+    description: fmt.description,
+    source: fmt.source,
+    scope: fmt.scope,
+    pattern: fmt.regex.source,
+    flags: fmt.regex.flags,
+    year_sem: fmt.yearSem,
+    section: fmt.section || null,
+    section_patterns: fmt.sectionRegexes.map(re => re.source),
+    default_section: fmt.defaultSection || null,
+    require_section: fmt.requireSection,
+    department_abbreviations: fmt.departmentAbbreviations
+  };
+}
+
+// Parse one page read by readPdfPages → { section } for a timetable, else { skipped }
+// saying why not, plus the page's parse report entry. A page that breaks the parser is
+// skipped like any other, so one bad page never costs the rest of the file.
+function parsePdfPage(page, pageNum) {
+  const skip = (reason, extra = {}) => ({
+    skipped: { page: pageNum, reason, ...extra },
+    report: { page: pageNum, outcome: 'skipped', reason, entries: 0, ...(extra.sample ? { sample: extra.sample.substring(0, 400) } : {}) }
+  });
+  let items;
+  try { items = JSON.parse(page); } catch { return skip('JSON parse failed'); }
+  if (!Array.isArray(items)) return skip('Could not read page' + (items && items.error ? ': ' + items.error : ''));
+  if (!items.length) return skip('Empty page');
+
+  let section;
+  try {
+    section = parseOnePage(items, pageNum);
+  } catch (err) {
+    return skip('Parser error: ' + err.message);
+  }
+  if (section && section.entries.length > 0) {
+    section.pageNum = pageNum;
+    return { section, report: { page: pageNum, outcome: 'parsed', reason: null, ...pageReportFields(section) } };
+  }
+  if (!section) {
+    // Grab first few text items to help identify the format
+    return skip('No section header found', { sample: items.slice(0, 40).map(i => i.t).join(' | ') });
+  }
+  return {
+    skipped: { page: pageNum, reason: '0 entries extracted', section: section.section },
+    report: { page: pageNum, outcome: 'empty', reason: '0 entries extracted', ...pageReportFields(section) }
+  };
+}
+
+// `log` writes one line; the CLI passes its own so stdout stays clean for --json
+function logSkippedPages(skippedPages, log = console.log) {
+  if (!skippedPages.length) return;
+  log(`\n=== SKIPPED PAGES (${skippedPages.length}) ===`);
+  for (const sp of skippedPages) {
+    log(`  Page ${sp.page}: ${sp.reason}${sp.sample ? '\n    Sample: ' + sp.sample.substring(0, 400) : ''}`);
+  }
+  log('=== END SKIPPED ===\n');
+}
+
+// Returns { sections, skippedPages, pageReports } — pageReports has one entry per page
+// describing what the parser did with it (persisted as the upload's parse report)
+function parsePdfPages(pages, log) {
+  const allSections = [];
+  const skippedPages = [];
+  const pageReports = [];
+
+  for (let p = 0; p < pages.length; p++) {
+    const { section, skipped, report } = parsePdfPage(pages[p], p + 1);
+    if (section) allSections.push(section);
+    if (skipped) skippedPages.push(skipped);
+    pageReports.push(report);
+  }
+
+  logSkippedPages(skippedPages, log);
+  return { sections: allSections, skippedPages, pageReports };
+}
+
+function pageReportFields(section) {
+  return {
+    department: section.department,
+    year_sem: section.year_sem,
+    section: section.section,
+    default_room: section.default_room,
+    entries: section.entries.length,
+    ...section.meta
+  };
+}
+
+// Normalize split/fragmented roman numerals and common word splits
+function normalizeRoman(text) {
+  return text
+    // VIII variants: "V I I I", "V II I", "V III", "VI I I", "VI II"
+    .replace(/\bV\s+I\s+I\s+I\b/g, 'VIII')
+    .replace(/\bV\s+II\s+I\b/g, 'VIII')
+    .replace(/\bV\s+III\b/g, 'VIII')
+    .replace(/\bVI\s+I\s+I\b/g, 'VIII')
+    .replace(/\bVI\s+II\b/g, 'VIII')
+    // VII variants: "V I I", "V II", "VI I"
+    .replace(/\bV\s+I\s+I\b/g, 'VII')
+    .replace(/\bV\s+II\b/g, 'VII')
+    .replace(/\bVI\s+I\b/g, 'VII')
+    // IV: "I V"
+    .replace(/\bI\s+V\b/g, 'IV')
+    // VI: "V I"
+    .replace(/\bV\s+I\b/g, 'VI')
+    // III: "I I I", "II I", "I II"
+    .replace(/\bI\s+I\s+I\b/g, 'III')
+    .replace(/\bII\s+I\b/g, 'III')
+    .replace(/\bI\s+II\b/g, 'III')
+    // II: "I I"
+    .replace(/\bI\s+I\b/g, 'II')
+    // Fix split words
+    .replace(/Sec\s*tion/gi, 'Section')
+    // OCR artifacts
+    .replace(/B\.?\s*Te\s*c\s*h/gi, 'B.Tech')
+    .replace(/Semeste\s*r/gi, 'Semester')
+    .replace(/ACADEM\s*I\s*C/gi, 'ACADEMIC')
+    .replace(/ENGINEER\s*ING/gi, 'ENGINEERING');
+}
+
+function parseOnePage(items, pageNum) {
+  // ── Step 1: Extract header info (department, semester, section, default room) ──
+  let department = '', yearSem = '', section = '', defaultRoom = '';
+  const rooms = new Set();
+  // For the parse report: the header text that gave us the semester/section, and where it was found
+  let headerText = '', headerMatch = '', headerFormat = '';
+
+  // Concatenate all text items sorted by Y desc (top first) then X asc
+  // to find header patterns
+  const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+
+  // Build full text lines by grouping items at similar Y
+  const yGroups = groupByY(sorted, 5);
+
+  // Also build full page text for fallback matching (handles split fragments across Y-groups)
+  const allText = items.map(i => i.t).join(' ');
+  const normAll = normalizeRoman(allText);
+
+  for (const group of yGroups) {
+    // Merge adjacent fragments within the group (e.g., "285" + "2" → "2852")
+    const mergedGroup = mergeAdjacentItems(group.sort((a, b) => a.x - b.x));
+    const lineText = mergedGroup.map(i => i.t).join(' ');
+
+    // Department
+    const deptMatch = lineText.match(/DEPARTMENT\s+OF\s+(.+)/i);
+    if (deptMatch && !department) { department = deptMatch[1].trim(); continue; }
+
+    const normLine = normalizeRoman(lineText);
+
+    // Semester/section: first registered format that matches this line
+    if (!section) {
+      let hit = null;
+      for (const fmt of headerFormats) {
+        hit = matchHeaderFormat(fmt, normLine, department, 'line');
+        // A format that found no section only counts if we have no semester yet
+        if (hit && (hit.section || !yearSem)) break;
+        hit = null;
+      }
+      if (hit) {
+        yearSem = hit.yearSem;
+        section = hit.section;
+        headerText = hit.text; headerMatch = 'line'; headerFormat = hit.format;
+        continue;
+      }
+    }
+
+    // Default room: "Room No: 322" or "Room No.: 2852" or "Room No: 2 702"
+    const roomHeaderMatch = normLine.match(/Room\s*No[.:]*\s*([\d\s]+\d)/i);
+    if (roomHeaderMatch && !defaultRoom) {
+      if (group[0].y > 590) {
+        defaultRoom = roomHeaderMatch[1].replace(/\s+/g, '');
+        rooms.add(defaultRoom);
+        continue;
+      }
+    }
+  }
+
+  // ── Fallback: if per-line matching failed, try full page text ──
+  if (!section) {
+    // Department from full text
+    const deptFull = normAll.match(/DEPARTMENT\s+OF\s+([\w\s&]+?)(?:\s+ACADEMIC|\s+CLASS|\s+TIME)/i);
+    if (deptFull && !department) department = deptFull[1].trim();
+
+    for (const fmt of headerFormats) {
+      const hit = matchHeaderFormat(fmt, normAll, department, 'text');
+      if (!hit) continue;
+      yearSem = hit.yearSem;
+      section = hit.section;
+      headerText = hit.text; headerFormat = hit.format;
+      break;
+    }
+    if (section) headerMatch = 'full text';
+
+    // Room from full text (handles split digits like "2 702")
+    if (!defaultRoom) {
+      const roomFull = normAll.match(/Room\s*No[.:]*\s*([\d\s]+\d)/i);
+      if (roomFull) {
+        defaultRoom = roomFull[1].replace(/\s+/g, '');
+        rooms.add(defaultRoom);
+      }
+    }
+
+    // Handle non-numeric room names like "Project Lab"
+    if (!defaultRoom) {
+      const roomName = normAll.match(/Room\s*(?:No)?[.:]*\s*([A-Za-z]+\s*Lab)/i);
+      if (roomName) {
+        defaultRoom = roomName[1].trim();
+        rooms.add(defaultRoom);
+      }
+    }
+  }
+
+  if (!section) return null;
+
+  // ── Step 2: Determine column boundaries and extract actual time slots ──
+  const grid = slotGridFor(department);
+  // Find time header items (08:00, 09:55, 02:15, 14:15, etc.) — also handle 9.00, 10.00 formats
+  const timeHeaderItems = items.filter(i =>
+    /^([01]?\d|2[0-3])[.:]\d{2}/.test(i.t) && i.y > 640
+  );
+
+  let colBoundaries;
+  let pageTimeSlots; // Will hold the actual time slots for this page
+  let columnStrategy = 'time headers';
+
+  if (timeHeaderItems.length >= 4) {
+    const result = computeColumnBoundariesWithSlots(timeHeaderItems, grid);
+    colBoundaries = result ? result.boundaries : null;
+    pageTimeSlots = result ? result.slots : null;
+  }
+
+  if (!colBoundaries) {
+    // Fallback: use BREAK/LUNCH column positions to infer boundaries
+    colBoundaries = inferColumnBoundaries(items);
+    columnStrategy = 'BREAK/LUNCH positions';
+  }
+
+  if (!colBoundaries) {
+    columnStrategy = 'fixed positions';
+    // Last resort: hardcoded boundaries
+    colBoundaries = [
+      { left: 95, right: 170 },   // Slot 1
+      { left: 170, right: 237 },  // Slot 2
+      { left: 255, right: 325 },  // Slot 3
+      { left: 325, right: 395 },  // Slot 4
+      { left: 410, right: 475 },  // Slot 5
+      { left: 475, right: 550 },  // Slot 6
+    ];
+  }
+
+  // If we couldn't extract real time slots, number the columns along the slot grid
+  let slotLabels = 'page header';
+  if (!pageTimeSlots || pageTimeSlots.length !== colBoundaries.length) {
+    pageTimeSlots = grid.slots.slice(0, colBoundaries.length).map(s => s.label);
+    slotLabels = `slot grid "${grid.name}"`;
+  }
+
+  // ── Step 3: Find day rows and extract schedule entries ──
+  const dayItems = items.filter(i => DAY_PATTERN.test(i.t));
+  const entries = [];
+
+  for (const dayItem of dayItems) {
+    const dayName = DAY_NAMES[dayItem.t.toUpperCase()];
+    if (!dayName) continue;
+
+    // Collect all items in this day's row (within Y tolerance)
+    const rowItems = items.filter(i =>
+      Math.abs(i.y - dayItem.y) <= 10 && i.x > 90
+    ).sort((a, b) => a.x - b.x);
+
+    // Also collect items slightly above/below (room refs, MOOC tags)
+    // that belong to this row (within ~14px Y range)
+    let extendedRowItems = items.filter(i =>
+      Math.abs(i.y - dayItem.y) <= 14 && i.x > 90
+    ).sort((a, b) => a.y - b.y || a.x - b.x);
+
+    // Merge adjacent text fragments at same Y that are very close in X
+    // (e.g., "2" + "406" → "2406", "80" + "3" + ")" → "803)")
+    extendedRowItems = mergeAdjacentItems(extendedRowItems);
+
+    // Assign each item to a column slot
+    const numSlots = colBoundaries.length;
+    const slotData = new Array(numSlots).fill(null);
+
+    for (const item of extendedRowItems) {
+      // Skip BREAK/LUNCH letters and day names
+      if (SKIP_WORDS.has(item.t.toUpperCase())) continue;
+      if (DAY_PATTERN.test(item.t)) continue;
+
+      const slotIdx = getSlotIndex(item.x, colBoundaries);
+      if (slotIdx === -1) continue;
+
+      if (!slotData[slotIdx]) {
+        slotData[slotIdx] = { subjects: [], roomOverride: null, mooc: false };
+      }
+
+      const txt = item.t;
+
+      // Room reference: "Room No. 704", "(R.No.605)", "(R.No.80" + "3" + ")"
+      if (/^Room\s*No[.:]/i.test(txt)) {
+        const m = txt.match(/Room\s*No[.:]+\s*(\d+)/i);
+        if (m) {
+          slotData[slotIdx].roomOverride = m[1];
+          rooms.add(m[1]);
+        }
+        continue;
+      }
+      if (/^\(R\.No[.:]/i.test(txt)) {
+        const m = txt.match(/\(R\.No[.:]\s*(\d+)/i);
+        if (m) {
+          slotData[slotIdx].roomOverride = m[1];
+          rooms.add(m[1]);
+        }
+        continue;
+      }
+      // Closing part of split R.No like "3)" or ")"
+      if (/^\d*\)$/.test(txt)) continue;
+
+      // MOOC tag
+      if (/^\(MOOC\)$/i.test(txt)) {
+        slotData[slotIdx].mooc = true;
+        continue;
+      }
+
+      // Bare room number (3-4 digits) appearing above/below subject
+      if (/^\d{3,4}$/.test(txt) && Math.abs(item.y - dayItem.y) > 5) {
+        slotData[slotIdx].roomOverride = txt;
+        rooms.add(txt);
+        continue;
+      }
+
+      // Skip single BREAK/LUNCH letters
+      if (txt.length === 1 && /[BREAKLUNCH]/i.test(txt)) continue;
+
+      // It's a subject name
+      slotData[slotIdx].subjects.push(txt);
+    }
+
+    // ── Step 4: Build entries from slot data ──
+    // LAB subjects span 2 consecutive slots. In the PDF, the merged cell
+    // places the text in the first column. The second column is empty.
+    // We detect LAB subjects and duplicate them into the next slot.
+    for (let s = 0; s < numSlots; s++) {
+      const sd = slotData[s];
+      if (!sd || sd.subjects.length === 0) continue;
+      if (sd.subjects[0] === '_FILLED_') continue; // Already filled by LAB span
+
+      let subjectName = sd.subjects.join(' ');
+      if (sd.mooc) subjectName += ' (MOOC)';
+
+      const roomNum = sd.roomOverride || defaultRoom;
+      // 2-hour subjects: LAB, QAVA, CP — they span 2 consecutive slots
+      const is2Hour = /\bLAB\b/i.test(subjectName) || /^QAVA$/i.test(subjectName) || /^CP$/i.test(subjectName);
+
+      entries.push({
+        day: dayName,
+        time_slot: pageTimeSlots[s] || `slot-${s+1}`,
+        room_number: roomNum,
+        subject: subjectName
+      });
+
+      // If it's a 2-hour subject and the next slot is empty, fill it too
+      if (is2Hour && s + 1 < numSlots && (!slotData[s + 1] || slotData[s + 1].subjects.length === 0)) {
+        // Also check if next slot has a room override we should use
+        const nextRoom = (slotData[s + 1] && slotData[s + 1].roomOverride) || roomNum;
+        entries.push({
+          day: dayName,
+          time_slot: pageTimeSlots[s + 1] || `slot-${s+2}`,
+          room_number: nextRoom,
+          subject: subjectName
+        });
+        slotData[s + 1] = { subjects: ['_FILLED_'], roomOverride: null, mooc: false };
+      }
+
+      if (roomNum) rooms.add(roomNum);
+    }
+  }
+
+  // ── Step 5: Subject legend below the grid ──
+  const lastRowY = dayItems.length ? Math.min(...dayItems.map(i => i.y)) : null;
+  const legend = lastRowY === null ? [] : parseLegend(items.filter(i => i.y < lastRowY - 18));
+
+  return {
+    department,
+    year_sem: yearSem,
+    section,
+    default_room: defaultRoom,
+    rooms: Array.from(rooms),
+    entries,
+    legend,
+    slot_grid: grid.name,
+    meta: {
+      header_text: headerText,
+      header_match: headerMatch,
+      header_format: headerFormat,
+      column_strategy: columnStrategy,
+      slot_labels: slotLabels,
+      slot_grid: grid.name,
+      columns: colBoundaries.length,
+      day_rows: dayItems.length,
+      legend_entries: legend.length
+    }
+  };
+}
+
+// ── Subject legends ──
+// Below the grid most pages list every subject with its course code, full title and
+// faculty. With a header row ("S.No | Course Code | Course Title | Abbr. | Faculty")
+// cells are read by column; without one, lines like "DBMS - Database Management
+// Systems (22CS102004) - Dr. K. Rao" are read. A legend without an abbreviation column
+// is keyed by the title's initials ("Database Management Systems" → DBMS), which is how
+// the grid usually abbreviates it. Returns [{ abbreviation, name, code, faculty: [names] }].
+const LEGEND_COLUMNS = [
+  ['sno', /^(s|sl)\.?\s*no\.?$/i],
+  ['faculty', /faculty|teacher|instructor|staff/i],
+  ['code', /code/i],
+  ['abbreviation', /abbr|acronym|short\s*(name|form)/i],
+  ['name', /title|name|course|subject/i]
+];
+const COURSE_CODE = /\b(?=[A-Z0-9]*\d)(?=[A-Z0-9]*[A-Z])[A-Z0-9]{5,12}\b/;
+const FACULTY_TITLE = /^(dr|mr|mrs|ms|prof)\b\.?/i;
+const LEGEND_FOOTER = /\b(hod|h\.o\.d|principal|dean|coordinator|signature)\b/i;
+
+// "Dr.K.Rao," → "Dr. K. Rao"
+function normalizeFacultyName(name) {
+  return String(name || '').replace(/\.(?=[A-Za-z])/g, '. ').replace(/\s+/g, ' ').replace(/^[\s,;:]+|[\s,;:]+$/g, '');
+}
+
+// "Dr. A / Mr. B", "Dr. A & Mr. B", "Dr. A, Mr. B" → ['Dr. A', 'Mr. B']
+function splitFaculty(text) {
+  return String(text || '')
+    .split(/\s*(?:\/|&|;|,(?=\s*(?:dr|mr|mrs|ms|prof)\b)|\band\b(?=\s*(?:dr|mr|mrs|ms|prof)\b))\s*/i)
+    .map(normalizeFacultyName)
+    .filter(Boolean);
+}
+
+// Initials of a course title: "Database Management Systems Lab" → "DBMS LAB"
+function subjectAcronym(name) {
+  const words = String(name || '').split(/[\s-]+/).filter(w => /\w/.test(w) && !/^(and|of|the|for|in|to|with|&)$/i.test(w));
+  const lab = words.length > 1 && /^lab(oratory)?$/i.test(words[words.length - 1]);
+  if (lab) words.pop();
+  if (!words.length) return '';
+  const acronym = words.length === 1 ? words[0].toUpperCase() : words.map(w => /^[IVX]+$/.test(w) ? w : w[0].toUpperCase()).join('');
+  return acronym + (lab ? ' LAB' : '');
+}
+
+// Join a line's items into cells: words closer than `gap` belong to the same cell
+function lineCells(group, gap = 6) {
+  const cells = [];
+  for (const item of [...group].sort((a, b) => a.x - b.x)) {
+    const prev = cells[cells.length - 1];
+    if (prev && item.x - (prev.x + prev.w) < gap) {
+      prev.t += ' ' + item.t;
+      prev.w = item.x + item.w - prev.x;
+    } else cells.push({ ...item });
+  }
+  return cells;
+}
+
+function legendColumn(text) {
+  const hit = LEGEND_COLUMNS.find(([, pattern]) => pattern.test(text.trim()));
+  return hit ? hit[0] : null;
+}
+
+function finishLegendRow(row) {
+  const name = (row.name || '').replace(/\s+/g, ' ').trim();
+  let code = (row.code || '').trim();
+  const inline = !code && COURSE_CODE.exec(name);
+  if (inline) code = inline[0];
+  const title = inline ? name.replace(/\(?\s*\b[A-Z0-9]{5,12}\b\s*\)?/, '').replace(/\s+/g, ' ').trim() : name;
+  const abbreviation = (row.abbreviation || '').replace(/\s+/g, ' ').trim().toUpperCase() || subjectAcronym(title);
+  if (!abbreviation || (!title && !code && !row.faculty)) return null;
+  return { abbreviation, name: title || null, code: code || null, faculty: splitFaculty(row.faculty) };
+}
+
+function parseLegend(items) {
+  const lines = groupByY([...items].sort((a, b) => b.y - a.y || a.x - b.x), 3).map(g => lineCells(g));
+  const rows = [];
+  const headerIndex = lines.findIndex(cells => {
+    const kinds = new Set(cells.map(c => legendColumn(c.t)).filter(k => k && k !== 'sno'));
+    return kinds.size >= 2 && (kinds.has('name') || kinds.has('abbreviation'));
+  });
+
+  if (headerIndex !== -1) {
+    const columns = lines[headerIndex].map(c => ({ x: c.x, kind: legendColumn(c.t) })).filter(c => c.kind);
+    let row = null;
+    for (const cells of lines.slice(headerIndex + 1)) {
+      if (cells.some(c => LEGEND_FOOTER.test(c.t))) break;
+      const fields = {};
+      for (const cell of cells) {
+        // A cell belongs to the right-most column starting at or before it
+        const col = [...columns].reverse().find(c => c.x <= cell.x + 12) || columns[0];
+        fields[col.kind] = fields[col.kind] ? fields[col.kind] + ' ' + cell.t : cell.t;
+      }
+      // A wrapped title or a second faculty line continues the previous row
+      if (row && !fields.sno && !fields.code && !fields.abbreviation) {
+        if (fields.name) row.name = (row.name || '') + ' ' + fields.name;
+        if (fields.faculty) row.faculty = row.faculty ? row.faculty + ' / ' + fields.faculty : fields.faculty;
+        continue;
+      }
+      row = fields;
+      rows.push(row);
+    }
+  } else {
+    for (const cells of lines) {
+      const text = cells.map(c => c.t).join(' ').replace(/\s+/g, ' ').trim();
+      const m = /^(?:\d+[.)]?\s+)?([A-Z][A-Z0-9&\/.+]{0,11}(?:\s+LAB)?)\s*[:=–—-]\s*(.+)$/.exec(text);
+      if (!m || LEGEND_FOOTER.test(text)) continue;
+      const row = { abbreviation: m[1] };
+      const parts = m[2].split(/\s+[–—-]\s+|\s*\|\s*/).map(p => p.trim()).filter(Boolean);
+      for (const part of parts) {
+        if (!row.code && /^\(?[A-Z0-9]{5,12}\)?$/.test(part) && COURSE_CODE.test(part)) row.code = part.replace(/[()]/g, '');
+        else if (FACULTY_TITLE.test(part) || (row.name && parts.length > 2 && part === parts[parts.length - 1])) row.faculty = row.faculty ? row.faculty + ' / ' + part : part;
+        else row.name = row.name ? row.name + ' - ' + part : part;
+      }
+      rows.push(row);
+    }
+  }
+
+  // One entry per abbreviation; the first wins
+  const legend = [];
+  for (const row of rows) {
+    const entry = finishLegendRow(row);
+    if (entry && !legend.some(e => e.abbreviation === entry.abbreviation)) legend.push(entry);
+  }
+  return legend;
+}
+
+// Merge adjacent text items that are very close in X and at similar Y
+// This handles split numbers like "2" + "406" → "2406"
+function mergeAdjacentItems(items) {
+  if (items.length <= 1) return items;
+  const merged = [{ ...items[0] }];
+  for (let i = 1; i < items.length; i++) {
+    const prev = merged[merged.length - 1];
+    const curr = items[i];
+    const prevEnd = prev.x + prev.w;
+    const gap = curr.x - prevEnd;
+    // Merge only if same Y (within 2px), gap is tiny (< 3px),
+    // AND at least one item is short (≤3 chars) — indicating a fragment
+    // This merges "285"+"2" and "(R.No.80"+"3"+")" but not "DEPARTMENT OF"+"COMPUTER..."
+    const isFragment = curr.t.length <= 3 || prev.t.length <= 3;
+    if (Math.abs(curr.y - prev.y) <= 2 && gap < 3 && gap >= -3 && isFragment) {
+      prev.t = prev.t + curr.t;
+      prev.w = (curr.x + curr.w) - prev.x;
+      continue;
+    }
+    merged.push({ ...curr });
+  }
+  return merged;
+}
+
+// Group items by Y coordinate (within tolerance)
+function groupByY(items, tolerance) {
+  const groups = [];
+  let currentGroup = [];
+  let currentY = null;
+
+  for (const item of items) {
+    if (currentY === null || Math.abs(item.y - currentY) <= tolerance) {
+      currentGroup.push(item);
+      if (currentY === null) currentY = item.y;
+    } else {
+      if (currentGroup.length) groups.push(currentGroup);
+      currentGroup = [item];
+      currentY = item.y;
+    }
+  }
+  if (currentGroup.length) groups.push(currentGroup);
+  return groups;
+}
+
+// Compute column boundaries AND extract actual time slot labels from time header positions.
+// Header times have no am/pm, so they are read in order and mapped onto `grid` (see resolveClockTimes).
+function computeColumnBoundariesWithSlots(timeHeaders, grid) {
+  // Normalize time text: "9.00" → "09:00", "1.00" → "01:00"; an item holding a whole
+  // "09:00 To 09:55" range gives both times
+  const normalized = timeHeaders.map(th => {
+    const times = [...th.t.matchAll(/(\d{1,2})[.:](\d{2})/g)].map(m => m[1].padStart(2, '0') + ':' + m[2]);
+    return { ...th, times, origT: th.t };
+  });
+
+  // Sort by X position
+  const sorted = [...normalized].sort((a, b) => a.x - b.x);
+
+  // Group time headers into columns by X proximity
+  const columns = []; // Each column: { x, items: [header items] }
+  for (const th of sorted) {
+    const existing = columns.find(c => Math.abs(c.x - th.x) < 40);
+    if (existing) {
+      existing.items.push(th);
+    } else {
+      columns.push({ x: th.x, items: [th] });
+    }
+  }
+  columns.sort((a, b) => a.x - b.x);
+
+  if (columns.length < Math.min(6, grid.slots.length)) return null;
+
+  // Each column reads "HH:MM To HH:MM": the start comes first in reading order (top to
+  // bottom, then left to right). Sorting the strings instead would put "01:00" before
+  // "12:05" and turn the 12:05–01:00 period into "01:00-12:05".
+  const cols = columns.map(c => ({ x: c.x, times: [...c.items].sort((a, b) => b.y - a.y || a.x - b.x).flatMap(i => i.times) }));
+  const minutes = resolveClockTimes(cols.flatMap(c => c.times), grid);
+  let k = 0;
+  for (const c of cols) c.minutes = c.times.map(() => minutes[k++]);
+
+  // Build slot labels: "start-end" for each column. If any column doesn't read as a time
+  // range the boundaries still stand and the caller labels the columns from the grid.
+  let slots = [];
+  for (let i = 0; i < cols.length; i++) {
+    const [start, end] = cols[i].minutes;
+    // Single time — use it as start, next column's first time as end
+    const until = end ?? (i + 1 < cols.length ? cols[i + 1].minutes[0] : null);
+    if (start === null || until === null || until === undefined || until <= start) { slots = null; break; }
+    slots.push(slotLabel(start, until));
+  }
+
+  // Build boundaries
+  const boundaries = [];
+  for (let i = 0; i < cols.length; i++) {
+    const left = i === 0 ? cols[i].x - 25 : cols[i].x - 10;
+    const right = i < cols.length - 1 ? cols[i + 1].x - 11 : cols[i].x + 50;
+    boundaries.push({ left, right });
+  }
+
+  return { boundaries, slots };
+}
+
+// Infer column boundaries from BREAK/LUNCH positions
+function inferColumnBoundaries(items) {
+  // BREAK letters appear between slots 2 and 3
+  // LUNCH letters appear between slots 4 and 5
+  const breakLetters = items.filter(i => i.t === 'B' || i.t === 'E' || i.t === 'K');
+  const lunchLetters = items.filter(i => i.t === 'L' || i.t === 'U' || i.t === 'H');
+
+  if (breakLetters.length < 2) return null;
+
+  // Compute LUNCH X first
+  let lunchX = null;
+  if (lunchLetters.length >= 2) {
+    lunchX = Math.round(lunchLetters.reduce((s, i) => s + i.x, 0) / lunchLetters.length);
+  }
+
+  // Filter BREAK items to only morning BREAK (not near LUNCH position)
+  let morningBreak = breakLetters;
+  if (lunchX !== null) {
+    morningBreak = breakLetters.filter(i => Math.abs(i.x - lunchX) > 50);
+  }
+  if (morningBreak.length < 2) morningBreak = breakLetters;
+
+  const breakX = Math.round(morningBreak.reduce((s, i) => s + i.x, 0) / morningBreak.length);
+
+  if (lunchX === null || Math.abs(lunchX - breakX) < 50) {
+    lunchX = breakX + 150;
+  }
+
+  // BREAK at breakX means: slots 1-2 are to the left, slots 3-4 between BREAK and LUNCH
+  // Use the gap positions to define column boundaries
+  // Slot widths: before BREAK ~70px each, between BREAK-LUNCH ~70px each, after LUNCH ~65px each
+  const preBreakWidth = (breakX - 100) / 2;  // 2 slots before BREAK
+  const midWidth = (lunchX - breakX - 20) / 2; // 2 slots between BREAK and LUNCH
+  const postWidth = 65; // estimate for after LUNCH
+
+  return [
+    { left: 95, right: 95 + preBreakWidth },                                    // Slot 1
+    { left: 95 + preBreakWidth, right: breakX - 5 },                            // Slot 2
+    { left: breakX + 10, right: breakX + 10 + midWidth },                       // Slot 3
+    { left: breakX + 10 + midWidth, right: lunchX - 5 },                        // Slot 4
+    { left: lunchX + 10, right: lunchX + 10 + postWidth },                      // Slot 5
+    { left: lunchX + 10 + postWidth, right: lunchX + 10 + 2 * postWidth + 10 }, // Slot 6
+  ];
+}
+
+
+// Determine which time slot (0-5) an X coordinate falls into
+function getSlotIndex(x, boundaries) {
+  for (let i = 0; i < boundaries.length; i++) {
+    if (x >= boundaries[i].left && x <= boundaries[i].right) return i;
+  }
+  // If between boundaries (in BREAK/LUNCH gap), skip
+  return -1;
+}
+
+module.exports = {
+  DAY_NAMES, REGULAR_DAYS, HEADER_FORMATS_FILE,
+  positionPageRender, readPdfPages, parsePdfPage, parsePdfPages, logSkippedPages, parseOnePage, parseLegend, splitFaculty, normalizeFacultyName, subjectAcronym,
+  loadHeaderFormats, getHeaderFormats, describeHeaderFormat
+};
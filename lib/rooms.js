@@ -0,0 +1,124 @@
+// Room occupancy: time helpers, approved bookings and the free-room search
+const { db } = require('./db');
+const { REGULAR_DAYS } = require('./parser');
+const { parseTime, parseSlot, defaultSlotGrid } = require('./slots');
+const { WEEKDAYS, dayNumber, resolveDate } = require('./calendar');
+const { busyRooms } = require('./occupancy');
+
+// Shape a rooms row for the API: facilities as an array, bookable as a boolean
+function serializeRoom(r) {
+  let facilities = [];
+  try { facilities = JSON.parse(r.facilities || '[]'); } catch {}
+  return { ...r, facilities, bookable: r.bookable !== 0 };
+}
+
+// Accept facilities as an array or a "projector, ac; mic" string → sorted unique lowercase tags
+function normalizeFacilities(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[,;|]/);
+  return [...new Set(list.map(f => String(f).trim().toLowerCase()).filter(Boolean))].sort();
+}
+
+// Convert a 24-hour "HH:MM" to minutes since midnight for comparison (NaN if it isn't one)
+function timeToMinutes(t) {
+  const min = parseTime(t);
+  return min === null ? NaN : min;
+}
+
+// Two [start, end) ranges in minutes overlap if each starts before the other ends
+function rangesOverlap(aStart, aEnd, bStart, bEnd) {
+  return aStart < bEnd && aEnd > bStart;
+}
+
+// "HH:MM-HH:MM" → [start, end] in minutes, or null if the slot isn't a time range
+function slotRange(timeSlot) {
+  const t = parseSlot(timeSlot);
+  return t ? [t.start, t.end] : null;
+}
+
+// Sort "HH:MM-HH:MM" slot strings chronologically (labels without times go last)
+function compareSlots(a, b) {
+  const start = slot => (slotRange(slot) || [Infinity])[0];
+  return start(a) - start(b) || a.localeCompare(b);
+}
+
+// Days and slots of the teaching week: Monday–Friday and the periods of `grid` (the
+// default slot grid unless given), plus any days (Saturday) and slots that appear in `rows`
+function weekAxes(rows, grid = defaultSlotGrid()) {
+  const days = [...new Set([...REGULAR_DAYS, ...rows.map(r => r.day)])]
+    .sort((a, b) => WEEKDAYS.indexOf(a) - WEEKDAYS.indexOf(b));
+  const slots = [...new Set([...grid.slots.map(s => s.label), ...rows.map(r => r.time_slot)])].sort(compareSlots);
+  return { days, slots };
+}
+
+// Approved bookings in effect on a timetable day, or on a specific date (where `day` is
+// the timetable day that date follows, null if no classes run)
+function approvedBookingsOn(day, date) {
+  if (date) {
+    return db.prepare(
+      "SELECT * FROM bookings WHERE status = 'approved' AND (date = ? OR (date IS NULL AND day_num = ?))"
+    ).all(date, dayNumber(day));
+  }
+  return db.prepare(
+    "SELECT * FROM bookings WHERE status = 'approved' AND date IS NULL AND day_num = ?"
+  ).all(dayNumber(day));
+}
+
+// Inventory filters shared by the room searches: min_capacity, building, facilities,
+// sort. Rooms flagged not bookable are dropped unless include_unbookable=1.
+const ROOM_SORTERS = {
+  capacity: (a, b) => (a.capacity || 0) - (b.capacity || 0),
+  '-capacity': (a, b) => (b.capacity || 0) - (a.capacity || 0),
+  building: (a, b) => (a.building || '').localeCompare(b.building || '') || (a.floor || 0) - (b.floor || 0),
+  room: (a, b) => a.room_number.localeCompare(b.room_number, undefined, { numeric: true })
+};
+
+function filterRooms(rooms, query) {
+  const minCapacity = Number(query.min_capacity) || 0;
+  const building = (query.building || '').trim().toLowerCase();
+  const wanted = normalizeFacilities(query.facilities);
+  const result = rooms.filter(r =>
+    (r.bookable || String(query.include_unbookable) === '1') &&
+    (!minCapacity || (r.capacity || 0) >= minCapacity) &&
+    (!building || (r.building || '').toLowerCase() === building) &&
+    wanted.every(f => r.facilities.includes(f))
+  );
+  if (ROOM_SORTERS[query.sort]) result.sort(ROOM_SORTERS[query.sort]);
+  return result;
+}
+
+// Rooms free for the whole of from–to on a timetable day or a calendar date.
+// `query` takes the /api/free-rooms parameters (day or date, from, to, min_capacity,
+// building, facilities, sort, include_unbookable); returns the result or { error }.
+function findFreeRooms(query) {
+  const { from, to, date } = query;
+  let day = query.day;
+  if ((!day && !date) || !from || !to) return { error: 'day (or date), from, and to are required' };
+
+  // A date resolves through the academic calendar to the timetable day that runs on it,
+  // or to no day at all (holiday, exams, weekend, outside the term) — then no classes block rooms
+  let calendar = null;
+  if (date) {
+    calendar = resolveDate(date);
+    if (calendar.error) return { error: calendar.error };
+    day = calendar.day;
+  }
+
+  const fromMin = parseTime(from);
+  const toMin = parseTime(to);
+  if (fromMin === null || toMin === null) return { error: 'from and to must be 24-hour HH:MM times' };
+  if (fromMin >= toMin) return { error: '"from" must be before "to"' };
+
+  // Slots of the classes overlapping the requested range, to show what the range runs into
+  const overlapping = !day ? [] : db.prepare(
+    'SELECT DISTINCT time_slot FROM schedules WHERE day_num = ? AND start_min < ? AND end_min > ?'
+  ).all(dayNumber(day), toMin, fromMin).map(r => r.time_slot).sort(compareSlots);
+
+  // A room is free only if no class or approved booking holds it during the range
+  // (one lookup in the occupancy map, see lib/occupancy.js)
+  const busy = busyRooms(day, date, fromMin, toMin);
+  const freeRooms = filterRooms(db.prepare('SELECT * FROM rooms').all().filter(r => !busy.has(r.room_number)).map(serializeRoom), query);
+
+  return { day, date: date || null, calendar, from, to, overlapping_slots: overlapping, free_rooms: freeRooms, occupied_rooms: [...busy] };
+}
+
+module.exports = { serializeRoom, normalizeFacilities, timeToMinutes, rangesOverlap, slotRange, compareSlots, weekAxes, approvedBookingsOn, filterRooms, findFreeRooms };
@@ -0,0 +1,260 @@
+// Global search over sections, rooms and subjects for the search box and /api/search.
+// Queries are loose on purpose: "a7", "cse 4 sem", "2 702", "dbms lab", "where does cse
+// section a7 meet on wednesday". The query is read into
+//   terms     — words matched against names, with prefix and typo tolerance
+//   day       — a weekday ("wed"), which narrows the classes listed
+//   semester  — a number next to "sem"/"semester" ("4 sem", "sem iv", "4th semester")
+//   section   — the word after "section"/"sec"
+//   room      — the word after "room", or words that together spell a room ("2 702" → 2702)
+// and every section, room and subject is scored by how well it matches, 0–1.
+const { db } = require('./db');
+const { WEEKDAYS, toDayName } = require('./calendar');
+const { sectionName } = require('./audit');
+const { SUBJECT_FACULTY, subjectKey } = require('./subjects');
+
+// Words that carry no meaning in a question like "which rooms host dbms lab"
+const STOP_WORDS = new Set(['where', 'when', 'which', 'what', 'who', 'does', 'do', 'is', 'are', 'the', 'a', 'an', 'on', 'in', 'at',
+  'of', 'for', 'and', 'meet', 'meets', 'held', 'host', 'hosts', 'rooms', 'class', 'classes', 'timetable', 'schedule', 'year']);
+const SECTION_WORDS = new Set(['section', 'sec']);
+const ROOM_WORDS = new Set(['room', 'rm', 'hall']);
+const SEMESTER_WORDS = new Set(['sem', 'semester']);
+const ROMAN = ['i', 'ii', 'iii', 'iv', 'v', 'vi', 'vii', 'viii', 'ix', 'x'];
+const DEFAULT_LIMIT = 10;
+const MAX_OCCURRENCES = 50;
+
+const compact = text => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+const words = text => String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+// "4", "4th" or "iv" → 4; anything else → null
+function semesterNumber(word) {
+  const m = /^(\d{1,2})(?:st|nd|rd|th)?$/.exec(word);
+  if (m) return Number(m[1]);
+  const roman = ROMAN.indexOf(word);
+  return roman === -1 ? null : roman + 1;
+}
+
+// The semester in a year_sem label: "IV Semester" → 4
+function labelSemester(yearSem) {
+  const parts = words(yearSem);
+  const at = parts.findIndex(w => SEMESTER_WORDS.has(w));
+  const near = at === -1 ? parts : [parts[at - 1], parts[at + 1]].filter(Boolean);
+  for (const w of near) if (semesterNumber(w) !== null) return semesterNumber(w);
+  return null;
+}
+
+// Initials of a department: "COMPUTER SCIENCE AND ENGINEERING" → "cse"
+function acronym(name) {
+  return words(name).filter(w => !['and', 'of', 'the', 'in'].includes(w)).map(w => w[0]).join('');
+}
+
+// Edits to turn a into b, counting a swap of neighbours ("dbsm") as one
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// How well a query term matches any of `candidates`: 1 exact, 0.75 prefix, 0.5 a typo away.
+// Numbers only match exactly or, from three digits, as a prefix ("270" → 2702), never by typo.
+function termQuality(term, candidates) {
+  let best = 0;
+  const numeric = /^\d+$/.test(term);
+  for (const c of candidates) {
+    if (!c) continue;
+    if (c === term) return 1;
+    if (c.startsWith(term) && term.length >= (numeric ? 3 : 2)) best = Math.max(best, 0.75);
+    else if (!numeric && term.length >= 4 && c.length >= 4 && editDistance(term, c) <= (term.length >= 7 ? 2 : 1)) best = Math.max(best, 0.5);
+  }
+  return best;
+}
+
+// Split the query into terms and the day/semester/section/room it names.
+// `known` is the set of compact section and room names, for joining split words.
+function parseQuery(q, known) {
+  const tokens = String(q || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  const parsed = { terms: [], day: null, semester: null, section: null, room: null };
+  // Join neighbours that together spell a section or room: "2 702", "ae 2", "ece lab 2"
+  const joined = [];
+  for (let i = 0; i < tokens.length; i++) {
+    let taken = 1;
+    for (const n of [3, 2]) {
+      if (i + n <= tokens.length && known.has(tokens.slice(i, i + n).join(''))) { taken = n; break; }
+    }
+    joined.push(tokens.slice(i, i + taken).join(''));
+    i += taken - 1;
+  }
+  for (let i = 0; i < joined.length; i++) {
+    const word = joined[i];
+    const next = joined[i + 1];
+    if (SECTION_WORDS.has(word) && next) { parsed.section = next; i++; continue; }
+    if (ROOM_WORDS.has(word) && next) { parsed.room = next; i++; continue; }
+    if (SEMESTER_WORDS.has(word)) {
+      // "4 sem" (the number was read as a term just before) or "sem 4"
+      const before = parsed.terms.length ? semesterNumber(parsed.terms[parsed.terms.length - 1]) : null;
+      if (before !== null) {
+        parsed.semester = before;
+        parsed.terms.pop();
+      } else if (next && semesterNumber(next) !== null) {
+        parsed.semester = semesterNumber(next);
+        i++;
+      }
+      continue;
+    }
+    if (STOP_WORDS.has(word)) continue;
+    const day = word.length >= 3 && toDayName(word);
+    if (day && !parsed.day) { parsed.day = day; continue; }
+    parsed.terms.push(word);
+  }
+  return parsed;
+}
+
+// Average of the best quality per term (constraints that matched count as exact terms)
+function average(qualities, constraints) {
+  const n = qualities.length + constraints;
+  return n ? (qualities.reduce((a, b) => a + b, 0) + constraints) / n : 0;
+}
+
+const dayOrder = day => (WEEKDAYS.indexOf(day) + 6) % 7;
+const byTime = (a, b) => dayOrder(a.day) - dayOrder(b.day) || (a.start_min ?? 0) - (b.start_min ?? 0);
+const round = score => Math.round(score * 100) / 100;
+
+// Keep the results that matched every term when there are any, else all partial matches,
+// best first, without the internal `complete` flag
+function rank(results, limit, compare) {
+  const pool = results.some(r => r.complete) ? results.filter(r => r.complete) : results;
+  return { total: pool.length, top: pool.sort(compare).slice(0, limit).map(({ complete, ...r }) => r) };
+}
+
+function describeClass(c) {
+  return {
+    schedule_id: c.id, timetable_id: c.timetable_id, section: sectionName(c), day: c.day, time_slot: c.time_slot,
+    room_number: c.room_number, subject: c.subject, subject_name: c.subject_name, faculty: c.faculty
+  };
+}
+
+// Ranked, grouped matches for a search query; `limit` caps each group (default 10).
+// Returns { query, interpreted, counts, sections, rooms, subjects } or { error }.
+function search(q, { limit } = {}) {
+  if (!String(q || '').trim()) return { error: 'q is required' };
+  const max = Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), 50);
+
+  const timetables = db.prepare('SELECT * FROM timetables').all();
+  const rooms = db.prepare('SELECT * FROM rooms').all();
+  const classes = db.prepare(`SELECT s.*, t.department, t.year_sem, t.section, sub.name AS subject_name, sub.code AS subject_code,
+    ${SUBJECT_FACULTY} AS faculty FROM schedules s JOIN timetables t ON t.id = s.timetable_id LEFT JOIN subjects sub ON sub.id = s.subject_id`).all();
+  const groupBy = key => {
+    const map = new Map();
+    for (const c of classes) {
+      if (!map.has(c[key])) map.set(c[key], []);
+      map.get(c[key]).push(c);
+    }
+    return map;
+  };
+  const bySection = groupBy('timetable_id');
+  const byRoom = groupBy('room_number');
+  const known = new Set([...timetables.map(t => compact(t.section)), ...rooms.map(r => compact(r.room_number))].filter(Boolean));
+  const query = parseQuery(q, known);
+  const { terms } = query;
+
+  // ── Sections ──
+  const sectionFields = new Map(timetables.map(t => [t.id, {
+    semester: labelSemester(t.year_sem),
+    candidates: [...words(t.department), acronym(t.department), ...words(t.year_sem), compact(t.section), compact(t.default_room), String(labelSemester(t.year_sem) ?? '')]
+  }]));
+  const subjectCandidates = c => [...words(c.subject), compact(c.subject), ...words(c.subject_name), compact(c.subject_code), ...words(c.faculty)];
+  const sectionOk = (t, fields) => (query.semester === null || fields.semester === query.semester) &&
+    (query.section === null || compact(t.section) === query.section);
+
+  const sections = [];
+  for (const t of timetables) {
+    const fields = sectionFields.get(t.id);
+    if (!sectionOk(t, fields)) continue;
+    const direct = terms.map(term => termQuality(term, fields.candidates));
+    const constraints = (query.semester !== null) + (query.section !== null);
+    if (!constraints && !direct.some(Boolean)) continue;
+    // Terms the section's own name doesn't explain may name one of its subjects ("cse a7 dbms"); those count half
+    const own = bySection.get(t.id) || [];
+    const viaSubject = terms.map((term, i) => direct[i] ? 0 : Math.max(0, ...own.map(c => termQuality(term, subjectCandidates(c)))));
+    const qualities = direct.map((d, i) => d || viaSubject[i] / 2);
+    const score = average(qualities, constraints);
+    const subjectTerms = terms.filter((_, i) => viaSubject[i]);
+    const listed = query.day || subjectTerms.length
+      ? own.filter(c => (!query.day || c.day === query.day) &&
+        subjectTerms.every(term => termQuality(term, subjectCandidates(c)))).sort(byTime).map(describeClass)
+      : undefined;
+    sections.push({
+      timetable_id: t.id, department: t.department, year_sem: t.year_sem, section: t.section, default_room: t.default_room,
+      name: sectionName(t), score: round(score), complete: qualities.every(Boolean), entries: own.length,
+      rooms: [...new Set(own.map(c => c.room_number))].sort(),
+      ...(listed ? { classes: listed } : {})
+    });
+  }
+
+  // ── Rooms ──
+  const roomResults = [];
+  for (const r of rooms) {
+    const number = compact(r.room_number);
+    if (query.room !== null && number !== query.room && !number.startsWith(query.room)) continue;
+    const qualities = terms.map(term => termQuality(term, [number, ...words(r.building), r.room_type]));
+    if (query.room === null && !qualities.some(Boolean)) continue;
+    const held = byRoom.get(r.room_number) || [];
+    roomResults.push({
+      room_number: r.room_number, room_type: r.room_type, building: r.building, capacity: r.capacity,
+      score: round(average(qualities, query.room === null ? 0 : number === query.room ? 1 : 0.75)), complete: qualities.every(Boolean),
+      classes_per_week: held.length,
+      sections: [...new Set(held.map(sectionName))].sort(),
+      ...(query.day ? { classes: held.filter(c => c.day === query.day).sort(byTime).map(describeClass) } : {})
+    });
+  }
+
+  // ── Subjects: every class of a subject, grouped across sections ──
+  // A class scores on its subject and its section's name together, and a group keeps
+  // only its best-scoring classes, so "cse dbms" lists the DBMS classes of CSE sections.
+  const groups = new Map();
+  for (const c of classes) {
+    if (!terms.length || !c.subject) continue;
+    const fields = sectionFields.get(c.timetable_id);
+    if (!sectionOk(c, fields) || (query.day && c.day !== query.day)) continue;
+    if (query.room !== null && compact(c.room_number) !== query.room) continue;
+    const own = terms.map(term => termQuality(term, subjectCandidates(c)));
+    if (!own.some(Boolean)) continue;
+    const qualities = terms.map((term, i) => Math.max(own[i], termQuality(term, [...fields.candidates, compact(c.room_number)])));
+    const score = average(qualities, 0);
+    const key = subjectKey(c.subject);
+    const group = groups.get(key);
+    if (!group || score > group.score) groups.set(key, { score, complete: qualities.every(Boolean), classes: [c] });
+    else if (score === group.score) group.classes.push(c);
+  }
+  const subjects = [...groups.values()].map(({ score, complete, classes: list }) => {
+    const named = list.find(c => c.subject_name) || list[0];
+    return {
+      subject: list[0].subject, subject_name: named.subject_name || null, subject_code: named.subject_code || null,
+      score: round(score), complete, classes: list.length,
+      rooms: [...new Set(list.map(c => c.room_number))].sort(),
+      sections: [...new Map(list.map(c => [c.timetable_id, { timetable_id: c.timetable_id, name: sectionName(c) }])).values()],
+      occurrences: list.sort(byTime).slice(0, MAX_OCCURRENCES).map(describeClass)
+    };
+  });
+
+  const ranked = {
+    sections: rank(sections, max, (a, b) => b.score - a.score || a.name.localeCompare(b.name)),
+    rooms: rank(roomResults, max, (a, b) => b.score - a.score || a.room_number.localeCompare(b.room_number, undefined, { numeric: true })),
+    subjects: rank(subjects, max, (a, b) => b.score - a.score || b.classes - a.classes || a.subject.localeCompare(b.subject))
+  };
+  return {
+    query: q,
+    interpreted: query,
+    counts: { sections: ranked.sections.total, rooms: ranked.rooms.total, subjects: ranked.subjects.total },
+    sections: ranked.sections.top,
+    rooms: ranked.rooms.top,
+    subjects: ranked.subjects.top
+  };
+}
+
+module.exports = { search, parseQuery };
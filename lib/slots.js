@@ -0,0 +1,172 @@
+// Slot grids: the named sets of teaching periods a timetable runs on. Times are
+// canonical 24-hour "HH:MM"; schedules store each class as a "HH:MM-HH:MM" label
+// plus start_min/end_min (minutes since midnight) for range queries.
+// The built-in `default` grid is the six-period day. SLOT_GRIDS_FILE can replace it
+// and add grids for departments with 08:00 labs, a seventh period and so on: a grid's
+// `departments` are matched as case-insensitive substrings of the parsed department,
+// first grid wins, and `default` covers everyone else.
+const fs = require('fs');
+
+const BUILTIN_SLOT_GRIDS = [
+  {
+    name: 'default', description: 'Six periods, 09:00–16:05, with a break at 10:50 and lunch at 13:00',
+    slots: ['09:00-09:55', '09:55-10:50', '11:10-12:05', '12:05-13:00', '14:15-15:10', '15:10-16:05']
+  }
+];
+
+const SLOT_GRIDS_FILE = process.env.SLOT_GRIDS_FILE || 'slot-grids.json';
+// Header times carry no am/pm; nothing is read as starting before this
+const EARLIEST_CLASS = 7 * 60;
+let slotGrids = [];
+
+// "9:05", "09:05" or "14:15" → minutes since midnight; null unless it is a real 24-hour time
+function parseTime(value) {
+  const m = /^(\d{1,2})[:.](\d{2})$/.exec(String(value ?? '').trim());
+  if (!m || +m[1] > 23 || +m[2] > 59) return null;
+  return +m[1] * 60 + +m[2];
+}
+
+function formatTime(min) {
+  return String(Math.floor(min / 60)).padStart(2, '0') + ':' + String(min % 60).padStart(2, '0');
+}
+
+// "09:00-09:55" → { start, end } in minutes; null unless both are times and it ends after it starts
+function parseSlot(label) {
+  const [a, b, extra] = String(label ?? '').replace(/\s+/g, '').split('-');
+  if (extra !== undefined) return null;
+  const start = parseTime(a), end = parseTime(b);
+  return start !== null && end !== null && end > start ? { start, end } : null;
+}
+
+function slotLabel(start, end) {
+  return formatTime(start) + '-' + formatTime(end);
+}
+
+// How labels were read before times were 24-hour: 01:00–04:59 meant the afternoon.
+// Slots stored end-first (the old header sort turned 12:05–01:00 into "01:00-12:05") are flipped.
+function legacySlotTimes(label) {
+  const clock = t => {
+    const min = parseTime(t);
+    return min !== null && min >= 60 && min < 5 * 60 ? min + 12 * 60 : min;
+  };
+  const [a, b] = String(label ?? '').replace(/\s+/g, '').split('-');
+  const start = clock(a), end = clock(b);
+  if (start === null || end === null || start === end) return null;
+  return start < end ? { start, end } : { start: end, end: start };
+}
+
+// Header clock times ("02:15") come without am/pm. Read a page's times in order: a
+// time the grid has (either way round the clock) takes the grid's reading; any other
+// takes the earliest reading that isn't before the previous time.
+function resolveClockTimes(times, grid) {
+  const known = grid.slots.flatMap(s => [s.start, s.end]);
+  let previous = EARLIEST_CLASS;
+  return times.map(t => {
+    const min = parseTime(t);
+    if (min === null) return null;
+    const onGrid = known.find(k => k % 720 === min % 720);
+    let value = onGrid;
+    if (value === undefined) {
+      const readings = min < 12 * 60 ? [min, min + 12 * 60] : [min];
+      value = readings.find(r => r >= previous) ?? readings[readings.length - 1];
+    }
+    previous = value;
+    return value;
+  });
+}
+
+// Validate a grid definition: slots in order, none overlapping
+function compileSlotGrid(def, source) {
+  if (!def || typeof def !== 'object') throw new Error('grid must be an object');
+  if (!def.name || typeof def.name !== 'string') throw new Error('grid needs a name');
+  const where = `grid "${def.name}"`;
+  if (!Array.isArray(def.slots) || !def.slots.length) throw new Error(`${where}: slots must be a non-empty array`);
+  const slots = def.slots.map(label => {
+    const times = parseSlot(label);
+    if (!times) throw new Error(`${where}: "${label}" is not a 24-hour HH:MM-HH:MM slot`);
+    return { label: slotLabel(times.start, times.end), ...times };
+  });
+  for (let i = 1; i < slots.length; i++) {
+    if (slots[i].start < slots[i - 1].end) throw new Error(`${where}: ${slots[i].label} starts before ${slots[i - 1].label} ends`);
+  }
+  if (def.departments !== undefined && !Array.isArray(def.departments)) throw new Error(`${where}: departments must be an array`);
+  return {
+    name: def.name,
+    description: def.description || '',
+    source,
+    departments: (def.departments || []).map(d => String(d).toUpperCase()),
+    slots
+  };
+}
+
+// Built-ins plus the admin's config file (same name replaces, "disabled": true removes);
+// a broken config keeps the previous registry
+function loadSlotGrids() {
+  const grids = BUILTIN_SLOT_GRIDS.map(def => compileSlotGrid(def, 'builtin'));
+  if (fs.existsSync(SLOT_GRIDS_FILE)) {
+    const config = JSON.parse(fs.readFileSync(SLOT_GRIDS_FILE, 'utf8'));
+    const defs = Array.isArray(config) ? config : config.grids;
+    if (!Array.isArray(defs)) throw new Error(`${SLOT_GRIDS_FILE} must hold an array of grids`);
+    for (const def of defs) {
+      const existing = grids.findIndex(g => g.name === (def && def.name));
+      if (def && def.disabled) {
+        if (def.name === 'default') throw new Error('grid "default" cannot be disabled');
+        if (existing !== -1) grids.splice(existing, 1);
+        continue;
+      }
+      const grid = compileSlotGrid(def, SLOT_GRIDS_FILE);
+      if (existing !== -1) grids[existing] = grid;
+      else grids.push(grid);
+    }
+  }
+  slotGrids = grids;
+  return grids;
+}
+
+try {
+  loadSlotGrids();
+} catch (err) {
+  console.error(`Could not load ${SLOT_GRIDS_FILE}: ${err.message} — using the built-in slot grid`);
+  slotGrids = BUILTIN_SLOT_GRIDS.map(def => compileSlotGrid(def, 'builtin'));
+}
+
+// The live registry (replaced wholesale on reload)
+function getSlotGrids() {
+  return slotGrids;
+}
+
+function getSlotGrid(name) {
+  return slotGrids.find(g => g.name === name) || null;
+}
+
+function defaultSlotGrid() {
+  return getSlotGrid('default');
+}
+
+// The grid a department's timetables run on
+function slotGridFor(department) {
+  const dept = String(department || '').toUpperCase();
+  return slotGrids.find(g => g.departments.some(d => dept.includes(d))) || defaultSlotGrid();
+}
+
+// JSON-friendly view of a grid, with the gaps between its periods
+function describeSlotGrid(grid) {
+  const gaps = [];
+  for (let i = 1; i < grid.slots.length; i++) {
+    if (grid.slots[i].start > grid.slots[i - 1].end) gaps.push(slotLabel(grid.slots[i - 1].end, grid.slots[i].start));
+  }
+  return {
+    name: grid.name,
+    description: grid.description,
+    source: grid.source,
+    departments: grid.departments,
+    slots: grid.slots.map(s => s.label),
+    gaps
+  };
+}
+
+module.exports = {
+  SLOT_GRIDS_FILE,
+  parseTime, formatTime, parseSlot, slotLabel, legacySlotTimes, resolveClockTimes,
+  loadSlotGrids, getSlotGrids, getSlotGrid, defaultSlotGrid, slotGridFor, describeSlotGrid
+};
@@ -0,0 +1,130 @@
+// Subject and faculty directory, built from the legend under each timetable grid (see
+// parseLegend in lib/parser.js). A section's legend maps the abbreviations in its grid
+// ("DBMS", "DBMS LAB") to the full course name, code and faculty; every class points at
+// its legend entry through schedules.subject_id. Faculty are shared across sections.
+const { db } = require('./db');
+const { splitFaculty, normalizeFacultyName } = require('./parser');
+
+// Faculty of a subject, "Dr. A / Mr. B", for joins over schedules
+const SUBJECT_FACULTY = `(SELECT GROUP_CONCAT(f.name, ' / ') FROM subject_faculty sf JOIN faculty f ON f.id = sf.faculty_id
+  WHERE sf.subject_id = s.subject_id)`;
+
+// "DBMS Lab (MOOC)" → "DBMS LAB"
+function subjectKey(text) {
+  return String(text || '').toUpperCase().replace(/\(MOOC\)/g, '').replace(/[^A-Z0-9]+/g, ' ').trim();
+}
+
+// "Dr. K. Ramesh" → "k ramesh", so titles and punctuation don't matter when looking someone up
+function facultyKey(name) {
+  return String(name || '').toLowerCase().replace(/^\s*(dr|mr|mrs|ms|prof)\b\.?/, '').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// The legend entry a class subject refers to: its exact abbreviation, else the course a
+// "… LAB" belongs to
+function matchSubject(subject, byKey) {
+  const key = subjectKey(subject);
+  if (!key) return null;
+  return byKey.get(key) ?? byKey.get(key.replace(/\s+LAB$/, '')) ?? null;
+}
+
+// Point every class of a timetable at its legend entry (after either changes)
+function linkSubjects(timetableId) {
+  const byKey = new Map(db.prepare('SELECT id, abbreviation FROM subjects WHERE timetable_id = ? ORDER BY id')
+    .all(timetableId).map(s => [subjectKey(s.abbreviation), s.id]));
+  const update = db.prepare('UPDATE schedules SET subject_id = ? WHERE id = ?');
+  for (const e of db.prepare('SELECT id, subject FROM schedules WHERE timetable_id = ?').all(timetableId)) {
+    update.run(matchSubject(e.subject, byKey), e.id);
+  }
+}
+
+// Remove the legends of these timetables, and faculty who no longer teach anything
+function clearLegends(timetableIds) {
+  for (const id of timetableIds) {
+    db.prepare('DELETE FROM subject_faculty WHERE subject_id IN (SELECT id FROM subjects WHERE timetable_id = ?)').run(id);
+    db.prepare('DELETE FROM subjects WHERE timetable_id = ?').run(id);
+  }
+  db.prepare('DELETE FROM faculty WHERE id NOT IN (SELECT faculty_id FROM subject_faculty)').run();
+}
+
+// Replace a timetable's legend and relink its classes (call inside a transaction).
+// `legend` is [{ abbreviation, name, code, faculty }] with faculty as a list or "A / B".
+function saveLegend(timetableId, legend) {
+  clearLegends([timetableId]);
+  const insertSubject = db.prepare('INSERT INTO subjects (timetable_id, abbreviation, name, code) VALUES (?, ?, ?, ?)');
+  const insertFaculty = db.prepare('INSERT OR IGNORE INTO faculty (name) VALUES (?)');
+  const link = db.prepare('INSERT OR IGNORE INTO subject_faculty (subject_id, faculty_id) SELECT ?, id FROM faculty WHERE name = ?');
+  for (const entry of legend || []) {
+    const abbreviation = String(entry.abbreviation || '').trim();
+    if (!abbreviation) continue;
+    const subjectId = insertSubject.run(timetableId, abbreviation, entry.name || null, entry.code || null).lastInsertRowid;
+    const faculty = Array.isArray(entry.faculty) ? entry.faculty.map(normalizeFacultyName) : splitFaculty(entry.faculty);
+    for (const name of faculty.filter(Boolean)) {
+      insertFaculty.run(name);
+      link.run(subjectId, name);
+    }
+  }
+  linkSubjects(timetableId);
+}
+
+// A timetable's legend in the shape saveLegend takes, for archives and version history
+function timetableLegend(timetableId) {
+  return db.prepare(`SELECT s.id, s.abbreviation, s.name, s.code FROM subjects s WHERE s.timetable_id = ? ORDER BY s.id`).all(timetableId)
+    .map(({ id, ...s }) => ({ ...s, faculty: subjectFaculty(id) }));
+}
+
+function subjectFaculty(subjectId) {
+  return db.prepare(`SELECT f.name FROM subject_faculty sf JOIN faculty f ON f.id = sf.faculty_id
+    WHERE sf.subject_id = ? ORDER BY f.name`).all(subjectId).map(f => f.name);
+}
+
+// Every legend entry, with its section and how many classes use it. `query` takes
+// q (abbreviation, name or code), department, timetable_id and faculty.
+function listSubjects(query = {}) {
+  const where = [];
+  const params = [];
+  if (query.q) {
+    where.push('(s.abbreviation LIKE ? OR s.name LIKE ? OR s.code LIKE ?)');
+    params.push(...Array(3).fill('%' + query.q + '%'));
+  }
+  if (query.department) { where.push('LOWER(t.department) LIKE LOWER(?)'); params.push('%' + query.department + '%'); }
+  if (query.timetable_id) { where.push('s.timetable_id = ?'); params.push(Number(query.timetable_id)); }
+  if (query.faculty) {
+    const ids = matchFaculty(query.faculty).map(f => f.id);
+    where.push(`s.id IN (SELECT subject_id FROM subject_faculty WHERE faculty_id IN (${ids.map(() => '?').join(', ') || 'NULL'}))`);
+    params.push(...ids);
+  }
+  return db.prepare(`
+    SELECT s.*, t.department, t.year_sem, t.section, (SELECT COUNT(*) FROM schedules WHERE subject_id = s.id) AS classes
+    FROM subjects s JOIN timetables t ON t.id = s.timetable_id
+    ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    ORDER BY t.department, t.year_sem, t.section, s.id
+  `).all(...params).map(s => ({ ...s, faculty: subjectFaculty(s.id) }));
+}
+
+// Faculty with the subjects they teach and their weekly class count; `q` filters by name
+function listFaculty(q) {
+  const faculty = q ? matchFaculty(q) : db.prepare('SELECT * FROM faculty').all();
+  return faculty.map(f => ({
+    id: f.id,
+    name: f.name,
+    subjects: db.prepare(`SELECT DISTINCT s.abbreviation, s.name FROM subject_faculty sf JOIN subjects s ON s.id = sf.subject_id
+      WHERE sf.faculty_id = ? ORDER BY s.abbreviation`).all(f.id),
+    classes: db.prepare(`SELECT COUNT(*) AS n FROM schedules s JOIN subject_faculty sf ON sf.subject_id = s.subject_id
+      WHERE sf.faculty_id = ?`).get(f.id).n
+  })).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Faculty whose name matches: the same name ignoring titles and punctuation, else every
+// name containing it ("ramesh" finds "Dr. K. Ramesh")
+function matchFaculty(name) {
+  const key = facultyKey(name);
+  if (!key) return [];
+  const all = db.prepare('SELECT * FROM faculty ORDER BY name').all();
+  const exact = all.filter(f => facultyKey(f.name) === key);
+  return exact.length ? exact : all.filter(f => facultyKey(f.name).includes(key));
+}
+
+module.exports = {
+  SUBJECT_FACULTY,
+  subjectKey, linkSubjects, clearLegends, saveLegend, timetableLegend, listSubjects, listFaculty, matchFaculty
+};
@@ -0,0 +1,222 @@
+// Saving parsed sections, section version history and upload bookkeeping
+const fs = require('fs');
+const { db, insertRoom, insertTimetable, insertSchedule } = require('./db');
+const { parseSlot } = require('./slots');
+const { saveLegend, linkSubjects, timetableLegend, clearLegends } = require('./subjects');
+
+// start_min/end_min for an entry's slot label (null for labels that aren't time ranges)
+function slotTimes(e) {
+  const t = parseSlot(e.time_slot);
+  return t ? [t.start, t.end] : [null, null];
+}
+
+// Write parsed sections into rooms/timetables/schedules in one transaction.
+// A section matching an existing one (same department, year_sem and section) supersedes
+// it: the old version is archived and the timetable keeps its id, so links stay valid.
+function commitSections(sections, filename) {
+  let totalEntries = 0;
+  let totalRooms = 0;
+  let replacedEntries = 0;
+  const superseded = [];
+  const timetableIds = [];
+  db.transaction(() => {
+    for (const sec of sections) {
+      for (const room of sec.rooms) {
+        const r = insertRoom.run(room, /lab/i.test(room) ? 'lab' : 'classroom');
+        if (r.changes) totalRooms++;
+      }
+      const existing = findMatchingTimetable(sec);
+      if (existing) {
+        const previous = timetableEntries(existing.id);
+        const diff = diffEntries(previous, sec.entries);
+        replacedEntries += previous.length;
+        replaceTimetable(existing, sec, filename);
+        superseded.push({
+          timetable_id: existing.id, department: existing.department, year_sem: existing.year_sem, section: existing.section,
+          previous_filename: existing.filename, from_version: existing.version || 1, to_version: (existing.version || 1) + 1, diff
+        });
+        timetableIds.push(existing.id);
+      } else {
+        const tt = insertTimetable.run(sec.department, sec.year_sem, sec.section, sec.default_room, filename, '', sec.pageNum || null, sec.slot_grid || 'default');
+        const ttId = Number(tt.lastInsertRowid);
+        for (const e of sec.entries) insertSchedule.run(ttId, e.day, e.time_slot, e.room_number, e.subject, ...slotTimes(e));
+        if (sec.legend) saveLegend(ttId, sec.legend);
+        timetableIds.push(ttId);
+      }
+      totalEntries += sec.entries.length;
+    }
+  })();
+  return { totalEntries, totalRooms, replacedEntries, superseded, timetableIds };
+}
+
+// Persist the per-page parse report for an upload. Pages whose section was dropped
+// during review are marked as such.
+function saveParseReport(filename, pageReports, droppedPages = []) {
+  const dropped = new Set(droppedPages);
+  const pages = pageReports.map(p => dropped.has(p.page) ? { ...p, outcome: 'dropped', reason: 'Dropped during review' } : p);
+  const count = outcome => pages.filter(p => p.outcome === outcome).length;
+  db.prepare(`INSERT INTO parse_reports (filename, pages, sections, entries, skipped_pages, empty_sections, report)
+    VALUES (?, ?, ?, ?, ?, ?, ?)`).run(filename, pages.length, count('parsed'),
+    pages.filter(p => p.outcome === 'parsed').reduce((n, p) => n + p.entries, 0),
+    count('skipped'), count('empty'), JSON.stringify(pages));
+}
+
+function summarizeSection(s) {
+  return { department: s.department, year_sem: s.year_sem, section: s.section, default_room: s.default_room, entries: s.entries.length };
+}
+
+// ── Timetable versions ──
+// Re-uploading a section archives the live version as a JSON snapshot in
+// timetable_versions (entries and subject legend) and replaces the schedules rows in place.
+
+function findMatchingTimetable(sec) {
+  return db.prepare(`SELECT * FROM timetables WHERE LOWER(department) = LOWER(?) AND LOWER(year_sem) = LOWER(?)
+    AND LOWER(COALESCE(section, '')) = LOWER(?) ORDER BY id LIMIT 1`).get(sec.department || '', sec.year_sem || '', sec.section || '');
+}
+
+function timetableEntries(ttId) {
+  return db.prepare('SELECT day, time_slot, room_number, subject, source FROM schedules WHERE timetable_id = ? ORDER BY id').all(ttId);
+}
+
+function archiveTimetable(tt) {
+  db.prepare(`INSERT INTO timetable_versions (timetable_id, version, department, year_sem, section, default_room, filename, page, slot_grid, uploaded_at, entries, legend)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`).run(tt.id, tt.version || 1, tt.department, tt.year_sem, tt.section, tt.default_room,
+    tt.filename, tt.page, tt.slot_grid, tt.uploaded_at, JSON.stringify(timetableEntries(tt.id)), JSON.stringify(timetableLegend(tt.id)));
+}
+
+// Archive `tt` and swap in a new header + entries as the next version (call inside a transaction).
+// `sec` is a parsed section (pageNum, slot_grid) or an archived version row (page), with its legend.
+function replaceTimetable(tt, sec, filename) {
+  archiveTimetable(tt);
+  db.prepare(`UPDATE timetables SET department = ?, year_sem = ?, section = ?, default_room = ?, filename = ?, page = ?,
+    slot_grid = ?, uploaded_at = CURRENT_TIMESTAMP, edited_at = NULL, version = ? WHERE id = ?`)
+    .run(sec.department, sec.year_sem, sec.section, sec.default_room, filename, sec.pageNum || sec.page || null,
+      sec.slot_grid || tt.slot_grid || 'default', (tt.version || 1) + 1, tt.id);
+  db.prepare('DELETE FROM schedules WHERE timetable_id = ?').run(tt.id);
+  const insert = db.prepare('INSERT INTO schedules (timetable_id, day, time_slot, room_number, subject, source, start_min, end_min) VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+  for (const e of sec.entries) insert.run(tt.id, e.day, e.time_slot, e.room_number, e.subject, e.source || 'parsed', ...slotTimes(e));
+  // A section without a legend (a CSV without subject columns) keeps the one it had
+  if (sec.legend) saveLegend(tt.id, sec.legend);
+  else linkSubjects(tt.id);
+}
+
+// What changed between two versions of a section, per day/slot:
+//   added / removed — classes only in the new / old version
+//   moved           — a subject that left one slot and appeared in another
+//   changed         — same slot, different subject
+//   room_changes    — same slot and subject, different room
+// A slot can hold several classes (parallel batches), so each slot's old and new classes
+// are matched as multisets: identical classes first, then same subject, then what's left.
+function diffEntries(oldEntries, newEntries) {
+  const key = e => e.day + ' ' + e.time_slot;
+  const bySlot = entries => {
+    const slots = new Map();
+    for (const e of entries) {
+      if (!slots.has(key(e))) slots.set(key(e), []);
+      slots.get(key(e)).push(e);
+    }
+    return slots;
+  };
+  const oldBySlot = bySlot(oldEntries);
+  const newBySlot = bySlot(newEntries);
+  const pick = e => ({ day: e.day, time_slot: e.time_slot, subject: e.subject, room_number: e.room_number });
+  const sameSubject = (a, b) => (a.subject || '') === (b.subject || '');
+  // Remove and return the first entry of `list` passing `test`
+  const take = (list, test) => {
+    const i = list.findIndex(test);
+    return i === -1 ? undefined : list.splice(i, 1)[0];
+  };
+  let added = [], removed = [];
+  const changed = [], roomChanges = [];
+
+  for (const k of new Set([...oldBySlot.keys(), ...newBySlot.keys()])) {
+    const news = [...(newBySlot.get(k) || [])];
+    const olds = (oldBySlot.get(k) || [])
+      .filter(o => !take(news, n => sameSubject(o, n) && n.room_number === o.room_number))
+      .filter(o => {
+        const n = take(news, n => sameSubject(o, n));
+        if (n) roomChanges.push({ day: o.day, time_slot: o.time_slot, subject: o.subject, from: o.room_number, to: n.room_number });
+        return !n;
+      });
+    olds.forEach((o, i) => {
+      const n = news[i];
+      if (n) changed.push({ day: o.day, time_slot: o.time_slot, from: o.subject, to: n.subject, room_number: n.room_number });
+      else removed.push(pick(o));
+    });
+    for (const n of news.slice(olds.length)) added.push(pick(n));
+  }
+
+  // Pair each removed class with an added one of the same subject → moved
+  const moved = [];
+  for (const r of [...removed]) {
+    const a = added.find(x => (x.subject || '') === (r.subject || ''));
+    if (!a) continue;
+    moved.push({ subject: r.subject, from: { day: r.day, time_slot: r.time_slot, room_number: r.room_number }, to: { day: a.day, time_slot: a.time_slot, room_number: a.room_number } });
+    removed = removed.filter(x => x !== r);
+    added = added.filter(x => x !== a);
+  }
+  const total = added.length + removed.length + moved.length + changed.length + roomChanges.length;
+  return { unchanged: total === 0, added, removed, moved, changed, room_changes: roomChanges };
+}
+
+// ── Uploads ──
+// One row per uploaded file, with the latest parse report's at-a-glance skipped/empty counts
+function listUploads() {
+  return db.prepare(`
+    SELECT u.*, r.pages, r.skipped_pages, r.empty_sections, r.id IS NOT NULL AS has_report
+    FROM (SELECT filename, MIN(uploaded_at) as uploaded_at, COUNT(*) as sections FROM timetables GROUP BY filename) u
+    LEFT JOIN parse_reports r ON r.id = (SELECT MAX(id) FROM parse_reports WHERE filename = u.filename)
+    ORDER BY u.uploaded_at DESC
+  `).all();
+}
+
+// Remove the sections last uploaded from `filename`. A section that superseded another
+// upload goes back to the latest archived version from a different file, and the versions
+// from there on leave the history; a section with no such version is deleted with its history.
+// Returns { reverted, deleted } section counts.
+function removeUpload(filename) {
+  const tts = db.prepare('SELECT * FROM timetables WHERE filename = ?').all(filename);
+  let reverted = 0;
+  const deleted = [];
+  db.transaction(() => {
+    for (const tt of tts) {
+      const previous = db.prepare(`SELECT * FROM timetable_versions WHERE timetable_id = ? AND COALESCE(filename, '') != ?
+        ORDER BY version DESC, id DESC`).get(tt.id, filename);
+      if (!previous) {
+        deleted.push(tt);
+        continue;
+      }
+      const entries = JSON.parse(previous.entries);
+      for (const e of entries) insertRoom.run(e.room_number, /lab/i.test(e.room_number) ? 'lab' : 'classroom');
+      replaceTimetable(tt, { ...previous, entries, legend: previous.legend ? JSON.parse(previous.legend) : null }, previous.filename);
+      // replaceTimetable archived the removed version and numbered the restored one as new;
+      // put the restored version's number and upload time back and drop the later rows
+      db.prepare('UPDATE timetables SET version = ?, uploaded_at = ? WHERE id = ?').run(previous.version, previous.uploaded_at, tt.id);
+      db.prepare('DELETE FROM timetable_versions WHERE timetable_id = ? AND version >= ?').run(tt.id, previous.version);
+      reverted++;
+    }
+    clearLegends(deleted.map(tt => tt.id));
+    for (const tt of deleted) {
+      db.prepare('DELETE FROM schedules WHERE timetable_id = ?').run(tt.id);
+      db.prepare('DELETE FROM timetable_versions WHERE timetable_id = ?').run(tt.id);
+      db.prepare('DELETE FROM timetables WHERE id = ?').run(tt.id);
+      if (tt.filepath && fs.existsSync(tt.filepath)) fs.unlinkSync(tt.filepath);
+    }
+    db.prepare('DELETE FROM parse_reports WHERE filename = ?').run(filename);
+  })();
+  return { reverted, deleted: deleted.length };
+}
+
+// Latest parse report for a file, or undefined
+function getParseReport(filename) {
+  const row = db.prepare('SELECT * FROM parse_reports WHERE filename = ? ORDER BY id DESC').get(filename);
+  if (!row) return undefined;
+  const { report, ...summary } = row;
+  return { ...summary, page_reports: JSON.parse(report) };
+}
+
+module.exports = {
+  commitSections, saveParseReport, summarizeSection,
+  findMatchingTimetable, timetableEntries, archiveTimetable, replaceTimetable, diffEntries,
+  listUploads, removeUpload, getParseReport
+};
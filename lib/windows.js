@@ -0,0 +1,235 @@
+// Free windows: the contiguous stretches of time each room is free across the teaching
+// week, and a ranking of room + day + start time options for an event of a given length.
+// Windows run on the clock rather than on slot boundaries. The BREAK and LUNCH gaps
+// between the default slot grid's periods have no classes in any room, so a window runs
+// straight through a gap between two free slots and starts as soon as the class before it ends.
+// Only the weekly timetable and weekly approved bookings count; one-off bookings on a
+// date are left to /api/free-rooms?date=…
+const { db } = require('./db');
+const { toDayName, dayNumber } = require('./calendar');
+const { weeklyOccupancy } = require('./occupancy');
+const { defaultSlotGrid, parseTime, formatTime } = require('./slots');
+const { serializeRoom, filterRooms, weekAxes } = require('./rooms');
+
+// A gap between slots this long or longer is lunch; shorter ones are breaks
+const LUNCH_MINUTES = 45;
+const DAY_MISS_PENALTY = 120;
+
+// The teaching day: the default grid's periods and the gaps between them, stretched to
+// cover classes stored outside it (08:00 labs, a seventh period on another grid)
+function teachingDay() {
+  const slots = defaultSlotGrid().slots.map(s => ({ slot: s.label, range: [s.start, s.end] }));
+  const breaks = [];
+  for (let i = 1; i < slots.length; i++) {
+    const [start, end] = [slots[i - 1].range[1], slots[i].range[0]];
+    if (end > start) breaks.push({ name: end - start >= LUNCH_MINUTES ? 'LUNCH' : 'BREAK', start, end });
+  }
+  const span = db.prepare('SELECT MIN(start_min) AS first, MAX(end_min) AS last FROM schedules').get();
+  return {
+    start: Math.min(slots[0].range[0], span.first ?? Infinity),
+    end: Math.max(slots[slots.length - 1].range[1], span.last ?? -Infinity),
+    slots,
+    breaks
+  };
+}
+
+// "Mon,wednesday" → ['Monday', 'Wednesday']; empty → every timetable day. Returns { days } or { error }.
+function parseDays(value, allDays) {
+  const list = String(value || '').split(',').map(d => d.trim()).filter(Boolean);
+  if (!list.length) return { days: allDays };
+  const days = [];
+  for (const d of list) {
+    const name = toDayName(d);
+    if (!name) return { error: `Unknown day: ${d}` };
+    if (!days.includes(name)) days.push(name);
+  }
+  return { days };
+}
+
+// Free stretches of [dayStart, dayEnd) around the busy ranges. A stretch that lies
+// entirely inside a break is dropped: every room is free then.
+function freeStretches(busy, teaching) {
+  const stretches = [];
+  let cursor = teaching.start;
+  for (const [start, end] of [...busy].sort((a, b) => a[0] - b[0])) {
+    if (start > cursor) stretches.push([cursor, Math.min(start, teaching.end)]);
+    cursor = Math.max(cursor, end);
+    if (cursor >= teaching.end) break;
+  }
+  if (cursor < teaching.end) stretches.push([cursor, teaching.end]);
+  return stretches.filter(([start, end]) => end > start &&
+    !teaching.breaks.some(b => start >= b.start && end <= b.end));
+}
+
+function describeWindow(day, [start, end], teaching) {
+  return {
+    day,
+    start: formatTime(start),
+    end: formatTime(end),
+    minutes: end - start,
+    slots: teaching.slots.filter(s => s.range[0] >= start && s.range[1] <= end).map(s => s.slot),
+    breaks: breaksWithin(start, end, teaching)
+  };
+}
+
+// Names of the breaks a [start, end) range runs through
+function breaksWithin(start, end, teaching) {
+  return teaching.breaks.filter(b => start < b.end && end > b.start).map(b => b.name);
+}
+
+// Rooms matching the inventory filters (and `room`, if given) with their free windows per day
+function roomWindows(query, days, teaching) {
+  const busy = weeklyOccupancy();
+  let rooms = filterRooms(db.prepare('SELECT * FROM rooms').all().map(serializeRoom), { sort: 'room', ...query });
+  if (query.room) rooms = rooms.filter(r => r.room_number === query.room);
+  return rooms.map(room => ({
+    room,
+    days: days.map(day => ({ day, stretches: freeStretches(busy.get(room.room_number + '|' + dayNumber(day)) || [], teaching) }))
+  }));
+}
+
+function weekDays() {
+  return weekAxes(db.prepare('SELECT DISTINCT day, time_slot FROM schedules').all()).days;
+}
+
+// Contiguous free windows per room. `query` takes the /api/free-windows parameters
+// (days, min_duration, room, plus the free-room inventory filters); returns the result or { error }.
+function findFreeWindows(query) {
+  const { days, error } = parseDays(query.days, weekDays());
+  if (error) return { error };
+  const minDuration = query.min_duration === undefined || query.min_duration === '' ? 0 : Number(query.min_duration);
+  if (!Number.isFinite(minDuration) || minDuration < 0) return { error: 'min_duration must be a number of minutes' };
+
+  const teaching = teachingDay();
+  const rooms = roomWindows(query, days, teaching).map(({ room, days }) => {
+    const windows = days.flatMap(({ day, stretches }) => stretches
+      .filter(([start, end]) => end - start >= minDuration)
+      .map(range => describeWindow(day, range, teaching)));
+    return { ...room, free_minutes: windows.reduce((n, w) => n + w.minutes, 0), windows };
+  }).filter(r => r.windows.length);
+
+  return {
+    days,
+    day_start: formatTime(teaching.start),
+    day_end: formatTime(teaching.end),
+    breaks: teaching.breaks.map(b => ({ name: b.name, start: formatTime(b.start), end: formatTime(b.end) })),
+    min_duration: minDuration,
+    rooms
+  };
+}
+
+// Turn "morning", "afternoon" or a 24-hour "HH:MM" into the start time an event would ideally have
+function preferredStart(prefer, teaching) {
+  if (!prefer) return null;
+  if (prefer === 'morning') return teaching.start;
+  if (prefer === 'afternoon') {
+    const lunch = teaching.breaks.find(b => b.name === 'LUNCH');
+    return lunch ? lunch.end : Math.round((teaching.start + teaching.end) / 2);
+  }
+  return parseTime(prefer) ?? undefined;
+}
+
+// Score one placement of the event; lower is better. Penalties are in minutes so they
+// read as "this far from ideal": distance from the preferred start, a day outside
+// prefer_days, starting mid-period, running through a break, and seats to spare.
+function scoreOption({ room, day, start, end, window }, prefs, teaching) {
+  let score = 0;
+  const reasons = [`free ${formatTime(window[0])}–${formatTime(window[1])}`];
+  if (prefs.preferDays.length) {
+    if (prefs.preferDays.includes(day)) reasons.push(`${day} is a preferred day`);
+    else score += DAY_MISS_PENALTY;
+  }
+  if (prefs.target !== null) {
+    const off = Math.abs(start - prefs.target);
+    score += off;
+    reasons.push(off ? `starts ${off} min ${start > prefs.target ? 'after' : 'before'} the preferred time` : 'starts at the preferred time');
+  }
+  if (!teaching.slots.some(s => s.range.includes(start))) {
+    score += 15;
+    reasons.push('starts mid-period');
+  }
+  for (const name of breaksWithin(start, end, teaching)) {
+    score += 20;
+    reasons.push(`runs through ${name}`);
+  }
+  if (prefs.minCapacity && room.capacity) {
+    const spare = room.capacity - prefs.minCapacity;
+    score += Math.round(spare / 10);
+    if (spare) reasons.push(`${spare} seat(s) more than needed`);
+  }
+  return { score, reasons };
+}
+
+// Ranked room + day + time options for an event of `duration` minutes. `query` takes the
+// /api/free-windows/best parameters (duration, days, prefer_days, earliest, latest, prefer,
+// limit, plus the inventory filters); returns the result or { error }.
+// Each room gets at most one option per day: its best-scoring start.
+function findBestSlots(query) {
+  const duration = Number(query.duration);
+  if (!Number.isInteger(duration) || duration <= 0) return { error: 'duration must be a whole number of minutes' };
+  const allDays = weekDays();
+  const { days, error } = parseDays(query.days, allDays);
+  if (error) return { error };
+  const preferred = query.prefer_days ? parseDays(query.prefer_days, allDays) : { days: [] };
+  if (preferred.error) return { error: preferred.error };
+
+  const teaching = teachingDay();
+  for (const key of ['earliest', 'latest']) {
+    if (query[key] && parseTime(query[key]) === null) return { error: `${key} must be a 24-hour HH:MM time` };
+  }
+  const earliest = query.earliest ? parseTime(query.earliest) : teaching.start;
+  const latest = query.latest ? parseTime(query.latest) : teaching.end;
+  if (latest - earliest < duration) return { error: `${duration} minutes do not fit between earliest and latest` };
+  const target = preferredStart(query.prefer, teaching);
+  if (target === undefined) return { error: 'prefer must be morning, afternoon or an HH:MM time' };
+  const limit = Math.min(Number(query.limit) || 10, 100);
+
+  const prefs = { preferDays: preferred.days, target, minCapacity: Number(query.min_capacity) || 0 };
+  const starts = teaching.slots.map(s => s.range[0]);
+  const options = [];
+  for (const { room, days: roomDays } of roomWindows(query, days, teaching)) {
+    for (const { day, stretches } of roomDays) {
+      let best = null;
+      for (const window of stretches) {
+        const lo = Math.max(window[0], earliest);
+        const hi = Math.min(window[1], latest);
+        if (hi - lo < duration) continue;
+        // Try the start of the window, every period start inside it and the latest start that still fits
+        const candidates = new Set([lo, hi - duration, ...starts.filter(s => s > lo && s + duration <= hi)]);
+        if (target !== null && target > lo && target + duration <= hi) candidates.add(target);
+        for (const start of candidates) {
+          const option = { room, day, start, end: start + duration, window };
+          const { score, reasons } = scoreOption(option, prefs, teaching);
+          // Ties go to the tighter window, keeping long free stretches for longer events
+          const slack = window[1] - window[0] - duration;
+          if (!best || score < best.score || (score === best.score && slack < best.slack)) best = { ...option, score, reasons, slack };
+        }
+      }
+      if (best) options.push(best);
+    }
+  }
+
+  options.sort((a, b) => a.score - b.score || a.slack - b.slack || days.indexOf(a.day) - days.indexOf(b.day) || a.start - b.start);
+  return {
+    duration,
+    days,
+    prefer_days: preferred.days,
+    earliest: formatTime(earliest),
+    latest: formatTime(latest),
+    prefer: query.prefer || null,
+    total_options: options.length,
+    options: options.slice(0, limit).map((o, i) => ({
+      rank: i + 1,
+      ...o.room,
+      day: o.day,
+      start: formatTime(o.start),
+      end: formatTime(o.end),
+      window: { start: formatTime(o.window[0]), end: formatTime(o.window[1]) },
+      breaks: breaksWithin(o.start, o.end, teaching),
+      score: o.score,
+      reasons: o.reasons
+    }))
+  };
+}
+
+module.exports = { teachingDay, findFreeWindows, findBestSlots };
@@ -0,0 +1,103 @@
+const API = '';
+let analytics = null;
+
+async function loadAnalytics() {
+  const prefix = document.getElementById('prefixLength').value;
+  const res = await fetch(API + '/api/analytics?prefix_length=' + prefix);
+  analytics = await res.json();
+  if (!res.ok) return alert(analytics.error);
+  // CSV links follow the chosen building prefix
+  document.querySelectorAll('.csv-link').forEach(a => {
+    a.href = a.getAttribute('href').replace(/&prefix_length=\d+/, '') + '&prefix_length=' + prefix;
+  });
+  renderSummary();
+  renderHeatmap();
+  renderTables();
+}
+
+function renderSummary() {
+  const a = analytics;
+  const average = a.rooms.length ? (a.rooms.reduce((n, r) => n + r.occupancy, 0) / a.rooms.length).toFixed(1) : 0;
+  const peak = a.peak_slots[0];
+  document.getElementById('summary').innerHTML = `
+    <div class="stat"><strong>${a.total_rooms}</strong><span>rooms</span></div>
+    <div class="stat"><strong>${average}%</strong><span>average occupancy</span></div>
+    <div class="stat"><strong>${a.unused_rooms.length}</strong><span>never used</span></div>
+    <div class="stat"><strong>${a.weekly_periods}</strong><span>periods a week</span></div>
+    ${peak ? `<div class="stat"><strong>${peak.free_rooms}</strong><span>free at the peak, ${escapeHtml(`${peak.day} ${peak.time_slot}`)}</span></div>` : ''}`;
+}
+
+// ── Heatmap ──
+function heatColor(pct) {
+  if (!pct) return '#f7f8fc';
+  return `hsl(${230 - pct * 2.3}, 70%, ${92 - pct * 0.45}%)`;
+}
+
+function renderHeatmap() {
+  const a = analytics;
+  const mode = document.getElementById('heatmapMode').value;
+  const filter = document.getElementById('heatmapFilter').value.trim().toLowerCase();
+  const label = { rooms: r => r.room_number, buildings: b => 'Block ' + b.building, departments: d => d.department }[mode];
+  const rows = a[mode].filter(r => !filter || label(r).toLowerCase().includes(filter));
+
+  const head = `<tr><th></th>${a.days.map(d => `<th colspan="${a.slots.length}" class="day-head">${d.slice(0, 3)}</th>`).join('')}<th>%</th></tr>`;
+  const body = rows.map(r => `<tr>
+    <th title="${escapeHtml(label(r))}">${escapeHtml(label(r))}</th>
+    ${r.grid.map((day, d) => day.map((pct, s) =>
+      `<td class="${s === 0 ? 'day-start' : ''}" style="background:${heatColor(pct)}" title="${escapeHtml(`${a.days[d]} ${a.slots[s]}`)}: ${pct}%"></td>`).join('')).join('')}
+    <td class="pct">${r.occupancy}</td>
+  </tr>`).join('');
+  document.getElementById('heatmap').innerHTML = rows.length
+    ? `<table class="heatmap">${head}${body}</table>`
+    : '<p class="hint">Nothing matches.</p>';
+}
+
+// ── Sortable tables ──
+const tableSort = {};
+
+function renderTable(id, rows, columns) {
+  const sort = tableSort[id];
+  if (sort) {
+    const col = columns.find(c => c.key === sort.key);
+    rows = [...rows].sort((x, y) => {
+      const a = col.value ? col.value(x) : x[sort.key];
+      const b = col.value ? col.value(y) : y[sort.key];
+      const cmp = typeof a === 'number' && typeof b === 'number' ? a - b : String(a ?? '').localeCompare(String(b ?? ''), undefined, { numeric: true });
+      return sort.desc ? -cmp : cmp;
+    });
+  }
+  const arrow = key => sort && sort.key === key ? (sort.desc ? ' ▼' : ' ▲') : '';
+  document.getElementById(id).innerHTML = rows.length ? `<table class="sortable">
+    <tr>${columns.map(c => `<th onclick="sortTable('${id}', '${c.key}')">${c.label}${arrow(c.key)}</th>`).join('')}</tr>
+    ${rows.map(r => `<tr>${columns.map(c => `<td>${escapeHtml((c.value ? c.value(r) : r[c.key]) ?? '—')}</td>`).join('')}</tr>`).join('')}
+  </table>` : '<p class="hint">None.</p>';
+}
+
+function sortTable(id, key) {
+  const current = tableSort[id];
+  tableSort[id] = { key, desc: current && current.key === key ? !current.desc : true };
+  renderTables();
+}
+
+function renderTables() {
+  const a = analytics;
+  const busiestDay = r => Object.entries(r.by_day).sort((x, y) => y[1] - x[1])[0]?.[0];
+  const breakdown = [
+    { key: 'occupied_periods', label: 'Busy periods' },
+    { key: 'occupancy', label: 'Occupancy %' },
+    { key: 'busiest', label: 'Busiest day', value: busiestDay }
+  ];
+  renderTable('buildingsTable', a.buildings, [{ key: 'building', label: 'Block' }, { key: 'rooms', label: 'Rooms' }, ...breakdown]);
+  renderTable('departmentsTable', a.departments, [
+    { key: 'department', label: 'Department' }, { key: 'sections', label: 'Sections' }, { key: 'rooms_used', label: 'Rooms used' }, ...breakdown
+  ]);
+  renderTable('peaksTable', a.peak_slots.slice(0, 15), [
+    { key: 'day', label: 'Day' }, { key: 'time_slot', label: 'Slot' },
+    { key: 'free_rooms', label: 'Free rooms' }, { key: 'occupied_rooms', label: 'Occupied' }, { key: 'occupancy', label: 'Occupancy %' }
+  ]);
+  const room = [{ key: 'room_number', label: 'Room' }, { key: 'building', label: 'Block' }, { key: 'room_type', label: 'Type' }, { key: 'capacity', label: 'Capacity' }];
+  renderTable('roomsTable', a.rooms, [...room, ...breakdown]);
+  renderTable('unusedTable', a.unused_rooms, room);
+}
+
+loadAnalytics();
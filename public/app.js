@@ -1,11 +1,221 @@
 const API = '';
 
+// A value as a string argument of an inline handler: onclick="showRoomGrid(${jsArg(room)})"
+function jsArg(value) {
+  return escapeHtml(JSON.stringify(value));
+}
+
 function showMsg(el, text, type) {
   el.textContent = text;
   el.className = 'msg ' + type;
   setTimeout(() => { el.textContent = ''; el.className = 'msg'; }, 8000);
 }
 
+// ── Account ──
+// Write actions are shown only to roles the server would allow (see lib/auth.js);
+// static sections carry data-role, rendered lists check can()
+let currentUser = null;
+let roles = ['viewer', 'coordinator', 'admin'];
+
+function can(role) {
+  return !!currentUser && roles.indexOf(currentUser.role) >= roles.indexOf(role);
+}
+
+async function loadAccount() {
+  const data = await (await fetch(API + '/api/auth/me')).json();
+  currentUser = data.user;
+  roles = data.roles;
+  document.querySelectorAll('[data-role]').forEach(el => el.classList.toggle('role-hidden', !can(el.dataset.role)));
+  document.getElementById('accountBar').innerHTML = currentUser
+    ? `Signed in as <strong>${escapeHtml(currentUser.username)}</strong> <span class="role-tag">${escapeHtml(currentUser.role)}</span>
+       ${can('admin') ? '<a href="audit.html">Audit log</a>' : ''}
+       <button onclick="logout()">Log out</button>`
+    : `<form onsubmit="login(event)">
+        <input id="loginUser" placeholder="Username" autocomplete="username">
+        <input id="loginPassword" type="password" placeholder="Password" autocomplete="current-password">
+        <button type="submit">Log in</button>
+      </form> <span class="hint">to search free rooms, request rooms or make changes</span>`;
+  loadPendingImports();
+  loadUploadedPdfs();
+  loadBookings();
+  loadCalendar();
+  if (can('viewer')) loadTokens();
+  if (can('admin')) { loadUsers(); loadSnapshots(); }
+}
+
+async function login(event) {
+  event.preventDefault();
+  const res = await fetch(API + '/api/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: document.getElementById('loginUser').value.trim(), password: document.getElementById('loginPassword').value })
+  });
+  const json = await res.json();
+  if (!res.ok) return alert(json.error);
+  loadAccount();
+}
+
+async function logout() {
+  await fetch(API + '/api/auth/logout', { method: 'POST' });
+  closeGrid();
+  loadAccount();
+}
+
+async function changePassword() {
+  const msg = document.getElementById('accountMsg');
+  const res = await fetch(API + '/api/auth/password', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ current_password: document.getElementById('currentPassword').value, new_password: document.getElementById('newPassword').value })
+  });
+  const json = await res.json();
+  if (!res.ok) return showMsg(msg, json.error, 'error');
+  document.getElementById('currentPassword').value = document.getElementById('newPassword').value = '';
+  showMsg(msg, json.message, 'success');
+}
+
+async function loadTokens() {
+  const list = await (await fetch(API + '/api/auth/tokens')).json();
+  document.getElementById('tokenList').innerHTML = list.length
+    ? '<table><tr><th>Name</th><th>Created</th><th>Last used</th><th></th></tr>' + list.map(t => `<tr>
+        <td>${escapeHtml(t.name)}</td><td>${t.created_at}</td><td>${t.last_used_at || 'never'}</td>
+        <td class="actions"><button class="danger" onclick="revokeToken(${t.id})">Revoke</button></td></tr>`).join('') + '</table>'
+    : '<p class="hint">No tokens yet.</p>';
+}
+
+async function createApiToken() {
+  const msg = document.getElementById('accountMsg');
+  const res = await fetch(API + '/api/auth/tokens', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: document.getElementById('tokenName').value.trim() })
+  });
+  const json = await res.json();
+  if (!res.ok) return showMsg(msg, json.error, 'error');
+  document.getElementById('tokenName').value = '';
+  await loadTokens();
+  document.getElementById('tokenList').insertAdjacentHTML('afterbegin',
+    `<p class="hint">${escapeHtml(json.message)}:</p><p class="token-value">${escapeHtml(json.token)}</p>`);
+}
+
+async function revokeToken(id) {
+  if (!confirm('Revoke this token? Scripts using it will stop working.')) return;
+  await fetch(API + '/api/auth/tokens/' + id, { method: 'DELETE' });
+  loadTokens();
+}
+
+async function loadUsers() {
+  const list = await (await fetch(API + '/api/users')).json();
+  const roleSelect = u => `<select onchange="updateUser(${u.id}, { role: this.value })">
+    ${roles.map(r => `<option${r === u.role ? ' selected' : ''}>${r}</option>`).join('')}</select>`;
+  document.getElementById('userList').innerHTML = '<table><tr><th>User</th><th>Role</th><th>Last login</th><th></th></tr>' + list.map(u => `<tr>
+    <td><strong>${escapeHtml(u.username)}</strong>${u.disabled ? ' <span class="status rejected">disabled</span>' : ''}</td>
+    <td>${roleSelect(u)}</td>
+    <td>${u.last_login_at || 'never'}</td>
+    <td class="actions">
+      <button class="secondary" onclick="updateUser(${u.id}, { disabled: ${!u.disabled} })">${u.disabled ? 'Enable' : 'Disable'}</button>
+      <button class="secondary" onclick="resetPassword(${u.id}, ${jsArg(u.username)})">Set password</button>
+      <button class="danger" onclick="removeUser(${u.id}, ${jsArg(u.username)})">Remove</button></td>
+  </tr>`).join('') + '</table>';
+}
+
+async function addUser() {
+  const msg = document.getElementById('userMsg');
+  const res = await fetch(API + '/api/users', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      username: document.getElementById('newUsername').value.trim(),
+      password: document.getElementById('newUserPassword').value,
+      role: document.getElementById('newUserRole').value
+    })
+  });
+  const json = await res.json();
+  if (!res.ok) return showMsg(msg, json.error, 'error');
+  document.getElementById('newUsername').value = document.getElementById('newUserPassword').value = '';
+  showMsg(msg, json.message, 'success');
+  loadUsers();
+}
+
+async function updateUser(id, changes) {
+  const res = await fetch(API + '/api/users/' + id, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(changes)
+  });
+  const json = await res.json();
+  if (!res.ok) showMsg(document.getElementById('userMsg'), json.error, 'error');
+  if (id === currentUser.id) return loadAccount();
+  loadUsers();
+}
+
+function resetPassword(id, username) {
+  const password = prompt(`New password for ${username} (at least 8 characters):`);
+  if (password) updateUser(id, { password });
+}
+
+async function removeUser(id, username) {
+  if (!confirm(`Remove ${username}? Their sessions and API tokens stop working.`)) return;
+  const res = await fetch(API + '/api/users/' + id, { method: 'DELETE' });
+  const json = await res.json();
+  if (!res.ok) return showMsg(document.getElementById('userMsg'), json.error, 'error');
+  loadUsers();
+}
+
+// ── Backup & Restore ──
+function downloadExport() {
+  location.href = API + '/api/export' + (document.getElementById('exportUsers').checked ? '?users=1' : '');
+}
+
+async function restoreArchive(dryRun) {
+  const msg = document.getElementById('restoreMsg');
+  const file = document.getElementById('restoreFile').files[0];
+  if (!file) return showMsg(msg, 'Choose an archive file first', 'error');
+  const mode = document.getElementById('restoreMode').value;
+  if (!dryRun && mode === 'replace' && !confirm('Replace ALL current rooms, timetables, bookings and calendar entries with this archive?')) return;
+  const form = new FormData();
+  form.append('archive', file);
+  const res = await fetch(`${API}/api/import?mode=${mode}${dryRun ? '&dry_run=1' : ''}`, { method: 'POST', body: form });
+  const json = await res.json();
+  const result = document.getElementById('restoreResult');
+  if (!res.ok) {
+    showMsg(msg, json.error, 'error');
+    result.innerHTML = (json.errors || []).length
+      ? '<ul class="parse-report">' + json.errors.map(e => `<li><code>${escapeHtml(e.at)}</code> ${escapeHtml(e.error)}</li>`).join('') + '</ul>'
+      : '';
+    return;
+  }
+  const { rooms, timetables, entries, bookings, calendar, users } = json.summary;
+  result.innerHTML = `<table>
+    <tr><td>Rooms</td><td>${rooms.added} added, ${rooms.updated} updated, ${rooms.unchanged} unchanged</td></tr>
+    <tr><td>Sections</td><td>${timetables.added} added, ${timetables.replaced} replaced, ${timetables.unchanged} unchanged (${entries} entries)</td></tr>
+    <tr><td>Bookings</td><td>${bookings.added} added, ${bookings.skipped} already there</td></tr>
+    <tr><td>Calendar</td><td>${calendar.added} added, ${calendar.skipped} already there</td></tr>
+    ${users ? `<tr><td>Users</td><td>${users.added} added, ${users.skipped} already there</td></tr>` : ''}
+  </table>`;
+  showMsg(msg, dryRun ? 'Archive is valid — nothing was written' : 'Restored', 'success');
+  if (!dryRun) {
+    loadRooms();
+    loadAccount();
+  }
+}
+
+async function loadSnapshots() {
+  const { dir, snapshots } = await (await fetch(API + '/api/snapshots')).json();
+  document.getElementById('snapshotList').innerHTML = !dir
+    ? '<p class="hint">Automatic snapshots are off. Set <code>SNAPSHOT_DIR</code> on the server to turn them on.</p>'
+    : `<p class="hint">Written to <code>${escapeHtml(dir)}</code>; the newest is restored when the server starts with an empty database.</p>` +
+      (snapshots.length ? '<ul>' + snapshots.map(s => `<li>${escapeHtml(s.name)} (${Math.round(s.size / 1024)} KB)</li>`).join('') + '</ul>' : '<p class="hint">None yet.</p>') +
+      '<button class="secondary" onclick="takeSnapshot()">Take Snapshot Now</button>';
+}
+
+async function takeSnapshot() {
+  const res = await fetch(API + '/api/snapshots', { method: 'POST' });
+  const json = await res.json();
+  showMsg(document.getElementById('restoreMsg'), json.message || json.error, res.ok ? 'success' : 'error');
+  loadSnapshots();
+}
+
 // ── Upload ──
 document.getElementById('uploadForm').addEventListener('submit', async (e) => {
   e.preventDefault();
@@ -14,47 +224,339 @@ document.getElementById('uploadForm').addEventListener('submit', async (e) => {
   const loader = document.getElementById('uploadLoader');
   const form = new FormData();
   form.append('pdf', document.getElementById('pdfFile').files[0]);
+  const review = document.getElementById('reviewUpload').checked;
   msg.textContent = '';
   msg.className = 'msg';
   preview.style.display = 'none';
+  document.getElementById('importReview').style.display = 'none';
+  document.getElementById('supersededDiffs').style.display = 'none';
+  document.getElementById('uploadConflicts').style.display = 'none';
+  document.getElementById('uploadProgress').style.display = 'none';
   loader.style.display = 'flex';
   try {
-    const res = await fetch(API + '/api/upload', { method: 'POST', body: form });
+    const res = await fetch(API + '/api/upload' + (review ? '?review=1' : ''), { method: 'POST', body: form });
     const text = await res.text();
     let json;
     try { json = JSON.parse(text); } catch { loader.style.display = 'none'; return showMsg(msg, 'Server error: ' + text.substring(0, 300), 'error'); }
     loader.style.display = 'none';
-    if (res.ok) {
-      showMsg(msg, json.message, 'success');
-      preview.style.display = 'block';
-      preview.textContent = json.sections.map(s =>
-        `${s.department} | ${s.year_sem} | Section ${s.section} | Room ${s.default_room} | ${s.entries} entries`
-      ).join('\n');
-      loadSlots();
-      loadUploadedPdfs();
-    } else showMsg(msg, json.error, 'error');
+    // PDFs are parsed in the background; follow the job until it has the result
+    if (res.ok && json.job) return followUploadJob(json.job);
+    showUploadResult(json, res.ok);
   } catch (e) { loader.style.display = 'none'; showMsg(msg, 'Upload failed: ' + e.message, 'error'); }
 });
 
+function showUploadResult(json, ok) {
+  const msg = document.getElementById('uploadMsg');
+  const preview = document.getElementById('parsedPreview');
+  if (ok && json.import) {
+    showMsg(msg, json.message, 'success');
+    renderImportReview(json.import);
+    loadPendingImports();
+  } else if (ok) {
+    showMsg(msg, json.message, 'success');
+    preview.style.display = 'block';
+    preview.textContent = json.sections.map(s =>
+      `${s.department} | ${s.year_sem} | Section ${s.section} | Room ${s.default_room} | ${s.entries} entries`
+    ).join('\n');
+    showSupersededDiffs(json.superseded);
+    showUploadConflicts(json.conflicts);
+    loadSlots();
+    loadUploadedPdfs();
+    loadRooms();
+  } else {
+    showMsg(msg, json.error, 'error');
+    // Line-by-line problems in a CSV upload
+    if (json.errors) {
+      preview.style.display = 'block';
+      preview.textContent = json.errors.map(e => `Line ${e.line}: ${e.error}`).join('\n');
+    }
+  }
+}
+
+// Progress bar, sections found so far and a Cancel button, fed by the job's event stream
+function followUploadJob(job) {
+  const box = document.getElementById('uploadProgress');
+  box.style.display = 'block';
+  renderUploadProgress(job);
+  const stream = new EventSource(API + '/api/jobs/' + job.id + '/stream');
+  stream.addEventListener('job', e => {
+    const j = JSON.parse(e.data);
+    renderUploadProgress(j);
+    if (!['done', 'failed', 'cancelled'].includes(j.status)) return;
+    stream.close();
+    const msg = document.getElementById('uploadMsg');
+    if (j.status === 'done') {
+      box.style.display = 'none';
+      showUploadResult(j.result, true);
+    } else if (j.status === 'failed') {
+      showMsg(msg, j.error, 'error');
+    } else {
+      showMsg(msg, `Upload of ${j.filename} cancelled — nothing was saved.`, 'error');
+    }
+  });
+  // The stream only drops if the server restarts, which also forgets the job
+  stream.onerror = () => {
+    stream.close();
+    showMsg(document.getElementById('uploadMsg'), 'Lost track of the upload — check Uploaded PDFs once the server is back.', 'error');
+  };
+}
+
+function renderUploadProgress(job) {
+  const pct = job.pages_total ? Math.round(job.pages_done / job.pages_total * 100) : 0;
+  const status = job.status === 'queued' ? 'Waiting for another upload to finish…'
+    : job.cancel_requested ? 'Cancelling…'
+    : job.phase === 'saving' ? `Saving ${job.sections_found.length} section(s)…`
+    : job.pages_total ? `Reading page ${job.pages_done} of ${job.pages_total}` : 'Opening PDF…';
+  const running = !['done', 'failed', 'cancelled'].includes(job.status);
+  document.getElementById('uploadProgress').innerHTML = `
+    <div class="progress-head">
+      <strong>${escapeHtml(job.filename)}</strong> <span>${running ? status : job.status}</span>
+      ${running && !job.cancel_requested && job.phase !== 'saving' ? `<button class="danger" onclick="cancelUploadJob(${job.id})">Cancel</button>` : ''}
+    </div>
+    <div class="progress-bar"><div style="width:${pct}%"></div></div>
+    <p class="progress-note">${job.sections_found.length} section(s) found` +
+      (job.skipped_pages.length ? `, ${job.skipped_pages.length} page(s) skipped` : '') + `</p>
+    ${job.sections_found.length ? `<ul class="progress-sections">${job.sections_found.map(s => `<li>${escapeHtml(s)}</li>`).join('')}</ul>` : ''}`;
+}
+
+async function cancelUploadJob(id) {
+  const res = await fetch(API + '/api/jobs/' + id + '/cancel', { method: 'POST' });
+  if (!res.ok) showMsg(document.getElementById('uploadMsg'), (await res.json()).error, 'error');
+}
+
+// ── Timetable versions ──
+// Added / removed / moved classes and subject or room changes between two versions
+function renderDiff(diff) {
+  if (diff.unchanged) return '<p class="diff-none">No changes to the schedule.</p>';
+  const at = e => escapeHtml(`${e.day.slice(0, 3)} ${e.time_slot}`);
+  const items = [
+    ...diff.added.map(e => `<li class="diff-add">+ ${at(e)} ${escapeHtml(e.subject)} <small>(Room ${escapeHtml(e.room_number)})</small></li>`),
+    ...diff.removed.map(e => `<li class="diff-del">− ${at(e)} ${escapeHtml(e.subject)} <small>(Room ${escapeHtml(e.room_number)})</small></li>`),
+    ...diff.moved.map(m => `<li class="diff-move">↷ ${escapeHtml(m.subject)}: ${at(m.from)} → ${at(m.to)}${m.from.room_number !== m.to.room_number ? ` <small>(Room ${escapeHtml(m.from.room_number)} → ${escapeHtml(m.to.room_number)})</small>` : ''}</li>`),
+    ...diff.changed.map(c => `<li class="diff-change">✎ ${at(c)} ${escapeHtml(c.from || '—')} → ${escapeHtml(c.to || '—')}</li>`),
+    ...diff.room_changes.map(c => `<li class="diff-room">⌂ ${at(c)} ${escapeHtml(c.subject)}: Room ${escapeHtml(c.from)} → ${escapeHtml(c.to)}</li>`)
+  ];
+  return `<ul class="diff">${items.join('')}</ul>`;
+}
+
+function showSupersededDiffs(superseded) {
+  const el = document.getElementById('supersededDiffs');
+  if (!superseded || !superseded.length) { el.style.display = 'none'; return; }
+  el.innerHTML = '<h3>Replaced sections</h3>' + superseded.map(s => `
+    <div class="diff-block">
+      <strong>${escapeHtml(`${s.department} · ${s.year_sem} · Section ${s.section}`)}</strong>
+      <span class="hint">v${s.from_version} (${escapeHtml(s.previous_filename)}) → v${s.to_version}</span>
+      <a href="#" onclick="showTimetableHistory(${s.timetable_id}); return false">history</a>
+      ${renderDiff(s.diff)}
+    </div>`).join('');
+  el.style.display = 'block';
+}
+
+// ── Conflicts ──
+// Room double-bookings and section clashes, each entry linked to its section and source page
+function renderConflicts(c) {
+  const section = e => `<a href="#" onclick="showTimetableGrid(${e.timetable_id}); return false">${escapeHtml(`${e.department || ''} ${e.year_sem} · ${e.section}`)}</a>`;
+  const source = e => `<span class="hint">${escapeHtml(e.filename)}${e.page ? ' p.' + e.page : ''}</span>`;
+  const rooms = c.room_conflicts.map(x => `
+    <div class="diff-block">
+      <strong>Room <a href="#" onclick="showRoomGrid(${jsArg(x.room_number)}); return false">${escapeHtml(x.room_number)}</a> · ${escapeHtml(`${x.day} ${x.time_slots.join(', ')}`)}</strong>
+      <ul>${x.entries.map(e => `<li>${escapeHtml(`${e.time_slot} ${e.subject || '—'}`)} — ${section(e)} ${source(e)}</li>`).join('')}</ul>
+    </div>`);
+  const sections = c.section_clashes.map(x => `
+    <div class="diff-block">
+      <strong>${section(x)} · ${escapeHtml(`${x.day} ${x.time_slots.join(', ')}`)}</strong> ${source(x)}
+      <ul>${x.entries.map(e => `<li>${escapeHtml(`${e.time_slot} ${e.subject || '—'} in ${e.room_number}`)}</li>`).join('')}</ul>
+    </div>`);
+  return (rooms.length ? `<h4>Rooms held twice</h4>${rooms.join('')}` : '') +
+    (sections.length ? `<h4>Sections in two places at once</h4>${sections.join('')}` : '');
+}
+
+function showUploadConflicts(conflicts) {
+  const el = document.getElementById('uploadConflicts');
+  if (!conflicts || !conflicts.room_conflicts.length && !conflicts.section_clashes.length) { el.style.display = 'none'; return; }
+  el.innerHTML = '<h3>Clashes found</h3>' + renderConflicts(conflicts);
+  el.style.display = 'block';
+}
+
+async function showConflicts(filename) {
+  const res = await fetch(API + '/api/conflicts' + (filename ? '?filename=' + filename : ''));
+  const data = await res.json();
+  if (!res.ok) return alert(data.error);
+  openGrid(filename ? `Clashes — ${decodeURIComponent(filename)}` : 'Clashes across all timetables',
+    `${data.room_conflicts.length} room double-booking(s) · ${data.section_clashes.length} section clash(es)`,
+    data.total ? renderConflicts(data) : '<p class="hint">No clashes.</p>');
+}
+
+async function showTimetableHistory(id) {
+  const res = await fetch(API + '/api/timetables/' + id + '/history');
+  const data = await res.json();
+  if (!res.ok) return alert(data.error);
+  const t = data.timetable;
+  const versions = data.versions.map(v => `
+    <div class="diff-block">
+      <strong>v${v.version}</strong> <span class="hint">${escapeHtml(v.filename)} · ${v.entries} entries · replaced ${new Date(v.archived_at.replace(' ', 'T') + 'Z').toLocaleString()}</span>
+      ${can('coordinator') ? `<button class="secondary" onclick="rollbackTimetable(${t.id}, ${v.version})">Roll back to v${v.version}</button>` : ''}
+      <details><summary>Changes in the next version</summary>${renderDiff(v.diff_to_next)}</details>
+    </div>`).join('');
+  openGrid(`History — ${t.department} ${t.year_sem} · Section ${t.section}`,
+    `Current: v${data.current.version} from ${data.current.filename} · ${data.current.entries} entries`,
+    versions || '<p class="hint">No earlier versions.</p>',
+    `<button onclick="showTimetableGrid(${t.id})">Back to timetable</button>`);
+}
+
+async function rollbackTimetable(id, version) {
+  if (!confirm(`Replace the current timetable with version ${version}? The current version is kept in history.`)) return;
+  const res = await fetch(API + `/api/timetables/${id}/rollback`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ version })
+  });
+  const json = await res.json();
+  if (!res.ok) return alert(json.error);
+  showTimetableGrid(id);
+}
+
+// ── Import review ──
+// A staged upload is shown section by section; unticked sections are dropped on commit
+function renderImportReview(imp) {
+  const el = document.getElementById('importReview');
+  const sections = imp.sections.map(s => `
+    <details class="review-section${s.entries ? '' : ' empty'}">
+      <summary>
+        <label class="inline" onclick="event.stopPropagation()"><input type="checkbox" class="keep-section" value="${s.index}" ${s.entries ? 'checked' : ''}></label>
+        <strong>${escapeHtml(s.department || '(no department)')}</strong> · ${escapeHtml(`${s.year_sem} · Section ${s.section} · Room ${s.default_room || '—'}`)}
+        <span class="hint">page ${s.page} · ${s.entries} entries</span>
+        ${s.supersedes ? `<span class="status pending">replaces v${s.supersedes.version} from ${escapeHtml(s.supersedes.filename)}</span>` : ''}
+      </summary>
+      ${s.supersedes ? renderDiff(s.supersedes.diff) : ''}
+      <table><tr><th>Day</th><th>Slot</th><th>Subject</th><th>Room</th></tr>
+        ${s.schedule.map(e => `<tr><td>${escapeHtml(e.day)}</td><td>${escapeHtml(e.time_slot)}</td><td>${escapeHtml(e.subject)}</td><td>${escapeHtml(e.room_number)}</td></tr>`).join('')}
+      </table>
+    </details>`).join('');
+  const skipped = imp.skipped_pages.map(p => `<li>Page ${p.page}: ${escapeHtml(p.reason)}${p.sample ? ` <span class="hint">${escapeHtml(p.sample.substring(0, 120))}…</span>` : ''}</li>`).join('');
+  el.innerHTML = `
+    <h3>Review import: ${escapeHtml(imp.filename)}</h3>
+    <p class="hint">${imp.sections.length} section(s) from ${imp.pages} page(s) · expires ${new Date(imp.expires_at.replace(' ', 'T') + 'Z').toLocaleTimeString()} if not committed</p>
+    ${sections || '<p>No sections were found.</p>'}
+    ${imp.new_rooms.length ? `<p><strong>New rooms:</strong> ${escapeHtml(imp.new_rooms.join(', '))}</p>` : ''}
+    ${skipped ? `<p><strong>Skipped pages:</strong></p><ul class="skipped">${skipped}</ul>` : ''}
+    <button onclick="commitImport(${imp.id})">Commit Selected Sections</button>
+    <button class="danger" onclick="discardImport(${imp.id})">Discard Import</button>`;
+  el.style.display = 'block';
+}
+
+async function reviewImport(id) {
+  const res = await fetch(API + '/api/imports/' + id);
+  const json = await res.json();
+  if (!res.ok) { alert(json.error); return loadPendingImports(); }
+  renderImportReview(json);
+  document.getElementById('importReview').scrollIntoView({ behavior: 'smooth' });
+}
+
+async function commitImport(id) {
+  const msg = document.getElementById('uploadMsg');
+  const drop = [...document.querySelectorAll('#importReview .keep-section')].filter(c => !c.checked).map(c => Number(c.value));
+  const res = await fetch(API + `/api/imports/${id}/commit`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ drop })
+  });
+  const json = await res.json();
+  if (!res.ok) return showMsg(msg, json.error, 'error');
+  showMsg(msg, json.message, 'success');
+  document.getElementById('importReview').style.display = 'none';
+  showSupersededDiffs(json.superseded);
+  showUploadConflicts(json.conflicts);
+  loadPendingImports();
+  loadSlots();
+  loadUploadedPdfs();
+  loadRooms();
+}
+
+async function discardImport(id) {
+  await fetch(API + '/api/imports/' + id, { method: 'DELETE' });
+  document.getElementById('importReview').style.display = 'none';
+  loadPendingImports();
+}
+
+async function loadPendingImports() {
+  if (!can('coordinator')) return document.getElementById('pendingImports').innerHTML = '';
+  const list = await (await fetch(API + '/api/imports')).json();
+  document.getElementById('pendingImports').innerHTML = list.map(i => `
+    <div class="pdf-item pending">
+      <span class="pdf-icon">⏳</span>
+      <div class="pdf-info">
+        <div class="pdf-name">${escapeHtml(i.filename)} <span class="status pending">awaiting review</span></div>
+        <div class="pdf-meta">${i.sections} section(s) · ${i.skipped_pages} page(s) skipped · expires ${new Date(i.expires_at.replace(' ', 'T') + 'Z').toLocaleTimeString()}</div>
+      </div>
+      <button onclick="reviewImport(${i.id})">Review</button>
+      <button class="danger" onclick="discardImport(${i.id})">Discard</button>
+    </div>`).join('');
+}
+
 // ── Uploaded PDFs ──
 async function loadUploadedPdfs() {
-  const list = await (await fetch(API + '/api/uploads')).json();
+  const [list, conflicts] = await Promise.all([
+    fetch(API + '/api/uploads').then(r => r.json()),
+    fetch(API + '/api/conflicts').then(r => r.json())
+  ]);
+  // Clashes touching each file
+  const clashes = filename => [...conflicts.room_conflicts, ...conflicts.section_clashes]
+    .filter(c => c.entries.some(e => e.filename === filename)).length;
   const el = document.getElementById('uploadedPdfs');
   if (!list.length) {
     el.innerHTML = '<p style="color:#999;text-align:center">No PDFs uploaded yet.</p>';
     return;
   }
-  el.innerHTML = list.map(f => `
+  el.innerHTML = list.map((f, i) => `
     <div class="pdf-item">
       <span class="pdf-icon">📄</span>
       <div class="pdf-info">
-        <div class="pdf-name">${f.filename}</div>
-        <div class="pdf-meta">${f.sections} section(s) · Uploaded ${new Date(f.uploaded_at).toLocaleString()}</div>
+        <div class="pdf-name">${escapeHtml(f.filename)}</div>
+        <div class="pdf-meta">${f.sections} section(s)${f.has_report ? ` of ${f.pages} page(s)` : ''} · Uploaded ${new Date(f.uploaded_at).toLocaleString()}
+          ${f.skipped_pages ? `<span class="status rejected">${f.skipped_pages} page(s) skipped</span>` : ''}
+          ${f.empty_sections ? `<span class="status pending">${f.empty_sections} section(s) with 0 entries</span>` : ''}
+          ${clashes(f.filename) ? `<a href="#" class="status rejected" onclick="showConflicts(${jsArg(encodeURIComponent(f.filename))}); return false">${clashes(f.filename)} clash(es)</a>` : ''}</div>
+        <div id="pdfSections${i}" class="section-chips" style="display:none"></div>
+        <div id="pdfReport${i}" class="parse-report" style="display:none"></div>
       </div>
-      <button class="danger" onclick="deletePdf('${encodeURIComponent(f.filename)}')">Remove</button>
+      <button class="secondary" onclick="toggleSections(${i}, ${jsArg(encodeURIComponent(f.filename))})">Sections</button>
+      ${f.has_report ? `<button class="secondary" onclick="toggleReport(${i}, ${jsArg(encodeURIComponent(f.filename))})">Report</button>` : ''}
+      ${can('admin') ? `<button class="danger" onclick="deletePdf(${jsArg(encodeURIComponent(f.filename))})">Remove</button>` : ''}
     </div>`).join('');
 }
 
+// Per-page parse report: outcome, reason, matched header format/text and column strategy
+async function toggleReport(i, filename) {
+  const el = document.getElementById('pdfReport' + i);
+  if (el.style.display !== 'none') { el.style.display = 'none'; return; }
+  const res = await fetch(API + '/api/uploads/' + filename + '/report');
+  const r = await res.json();
+  if (!res.ok) return alert(r.error);
+  el.innerHTML = `<table><tr><th>Page</th><th>Outcome</th><th>Section</th><th>Header matched</th><th>Columns</th><th>Entries</th></tr>`
+    + r.page_reports.map(p => `<tr class="report-${p.outcome}">
+      <td>${p.page}</td>
+      <td><span class="status ${p.outcome === 'parsed' ? 'approved' : p.outcome === 'empty' ? 'pending' : 'rejected'}">${p.outcome}</span>
+        ${p.reason ? `<div class="hint">${escapeHtml(p.reason)}</div>` : ''}</td>
+      <td>${p.section ? escapeHtml(`${p.department || ''} ${p.year_sem} · ${p.section}`) : ''}</td>
+      <td>${p.header_text ? `<code>${escapeHtml(p.header_text)}</code> <span class="hint">(${escapeHtml(`${p.header_format ? p.header_format + ', ' : ''}${p.header_match}`)})</span>` : (p.sample ? `<span class="hint">${escapeHtml(p.sample.substring(0, 150))}…</span>` : '')}</td>
+      <td>${p.column_strategy ? `${escapeHtml(p.column_strategy)}<div class="hint">${p.columns} cols · slots from ${escapeHtml(p.slot_labels)}</div>` : ''}</td>
+      <td>${p.entries}</td>
+    </tr>`).join('') + '</table>';
+  el.style.display = 'block';
+}
+
+// List an upload's sections as chips that open the section's week
+async function toggleSections(i, filename) {
+  const el = document.getElementById('pdfSections' + i);
+  if (el.style.display !== 'none') { el.style.display = 'none'; return; }
+  const sections = await (await fetch(API + '/api/timetables?filename=' + filename)).json();
+  const departments = [...new Set(sections.map(t => t.department).filter(Boolean))];
+  el.innerHTML = departments.map(d => `<span class="chip dept" onclick="showDepartmentGrid(${jsArg(encodeURIComponent(d))})">All ${escapeHtml(d)}</span>`).join('')
+    + sections.map(t => `<span class="chip" onclick="showTimetableGrid(${t.id})">${escapeHtml(`${t.year_sem} · ${t.section}`)} <small>(${t.entries})</small></span>`).join('');
+  el.style.display = 'block';
+}
+
 async function deletePdf(filename) {
   await fetch(API + '/api/uploads/' + filename, { method: 'DELETE' });
   loadUploadedPdfs();
@@ -62,35 +564,640 @@ async function deletePdf(filename) {
 }
 
 // ── Find Free Rooms ──
+function todayISO() {
+  const d = new Date();
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+
+// Show which timetable the picked date follows (holiday, swap day, exams…)
 async function loadSlots() {
-  const data = await (await fetch(API + '/api/slots')).json();
-  const daySelect = document.getElementById('findDay');
-  if (data.days.length) {
-    daySelect.innerHTML = data.days.map(d => `<option value="${d}">${d}</option>`).join('');
-  } else {
-    daySelect.innerHTML = '<option value="">No data yet — upload a timetable</option>';
-  }
+  const dateInput = document.getElementById('findDate');
+  if (!dateInput.value) dateInput.value = todayISO();
+  const info = document.getElementById('dateInfo');
+  const res = await fetch(API + '/api/slots?date=' + encodeURIComponent(dateInput.value));
+  const data = await res.json();
+  if (!res.ok) { info.textContent = data.error; return; }
+  if (!data.days.length) info.textContent = 'No timetable data yet — upload a timetable';
+  else info.textContent = `${data.calendar.weekday}: ${data.calendar.note}` + (data.day ? ` · ${data.time_slots.length} slot(s)` : '');
+  info.className = 'date-info ' + data.calendar.kind;
+}
+// The card searches either one exact range on a date, or (flexible) the best fit for
+// an event length anywhere in the chosen days
+let findMode = 'exact';
+function setFindMode(mode) {
+  findMode = mode;
+  document.getElementById('exactFields').style.display = mode === 'exact' ? '' : 'none';
+  document.getElementById('flexFields').style.display = mode === 'flexible' ? '' : 'none';
+  document.getElementById('findSort').disabled = mode === 'flexible';
+  document.getElementById('findButton').textContent = mode === 'exact' ? 'Search Free Rooms' : 'Find Best Options';
+  document.getElementById('freeResults').innerHTML = '';
 }
+
+// Inventory filters shared by both modes
+function roomFilterParams(params) {
+  const capacity = document.getElementById('findCapacity').value;
+  const building = document.getElementById('findBuilding').value;
+  const facilities = [...document.querySelectorAll('#findFacilities input:checked')].map(c => c.value);
+  if (capacity) params.set('min_capacity', capacity);
+  if (building) params.set('building', building);
+  if (facilities.length) params.set('facilities', facilities.join(','));
+  return params;
+}
+
 async function findFreeRooms() {
-  const day = document.getElementById('findDay').value;
+  if (findMode === 'flexible') return findBestOptions();
+  if (Number(document.getElementById('findCount').value) > 1) return findRoomGroups();
+  const date = document.getElementById('findDate').value;
   const from = document.getElementById('findFrom').value;
   const to = document.getElementById('findTo').value;
-  if (!day || !from || !to) return;
+  if (!date || !from || !to) return;
   if (from >= to) {
     document.getElementById('freeResults').innerHTML = '<p style="color:#e74c3c;font-weight:600">"From" time must be before "To" time.</p>';
     return;
   }
-  const data = await (await fetch(API + `/api/free-rooms?day=${encodeURIComponent(day)}&from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`)).json();
+  const params = roomFilterParams(new URLSearchParams({ date, from, to }));
+  const sort = document.getElementById('findSort').value;
+  if (sort) params.set('sort', sort);
+  const res = await fetch(API + '/api/free-rooms?' + params);
+  const data = await res.json();
   const el = document.getElementById('freeResults');
+  if (!res.ok) {
+    el.innerHTML = `<p style="color:#e74c3c;font-weight:600">${escapeHtml(data.error)}</p>`;
+    return;
+  }
   const rangeLabel = `${from} – ${to}`;
   if (data.free_rooms.length === 0) {
     el.innerHTML = '<p style="color:#e74c3c;font-weight:600">No free rooms for this time range.</p>';
   } else {
-    el.innerHTML = `<p style="margin-bottom:0.8rem;color:#555">${data.free_rooms.length} room(s) free on <strong>${data.day}</strong> from <strong>${rangeLabel}</strong></p>`
-      + data.free_rooms.map(r => `<div class="room-card"><div class="room-num">${r.room_number}</div>
-      <div class="room-info">${r.room_type}</div></div>`).join('');
+    el.innerHTML = `<p style="margin-bottom:0.8rem;color:#555">${data.free_rooms.length} room(s) free on <strong>${data.calendar.weekday} ${data.date}</strong> from <strong>${rangeLabel}</strong>
+      <br><span class="hint">${escapeHtml(data.calendar.note)}</span></p>`
+      + data.free_rooms.map(r => `<div class="room-card"><div class="room-num clickable" title="Show this room's week" onclick="showRoomGrid(${jsArg(r.room_number)})">${escapeHtml(r.room_number)}</div>
+      <div class="room-info">${escapeHtml(roomDetails(r))}</div>
+      ${r.facilities.length ? `<div class="room-tags">${r.facilities.map(f => `<span>${escapeHtml(f)}</span>`).join('')}</div>` : ''}
+      <a class="room-link" href="${API}/api/rooms/${encodeURIComponent(r.room_number)}/calendar.ics" title="Subscribe to this room's timetable">📆 .ics</a>
+      ${can('viewer') ? `<button class="room-action" onclick="openBookingForm(${jsArg(r.room_number)}, ${jsArg(data.date)}, ${jsArg(from)}, ${jsArg(to)})">Request this room</button>` : ''}</div>`).join('');
   }
 }
 
+// Several rooms at once: groups of rooms free together, closest first
+async function findRoomGroups() {
+  const el = document.getElementById('freeResults');
+  const date = document.getElementById('findDate').value;
+  const from = document.getElementById('findFrom').value;
+  const to = document.getElementById('findTo').value;
+  if (!date || !from || !to) return;
+  if (from >= to) {
+    el.innerHTML = '<p style="color:#e74c3c;font-weight:600">"From" time must be before "To" time.</p>';
+    return;
+  }
+  const params = roomFilterParams(new URLSearchParams({ date, from, to, count: document.getElementById('findCount').value }));
+  const seats = document.getElementById('findSeats').value;
+  if (seats) params.set('min_seats', seats);
+  const res = await fetch(API + '/api/free-rooms/groups?' + params);
+  const data = await res.json();
+  if (!res.ok) {
+    el.innerHTML = `<p style="color:#e74c3c;font-weight:600">${escapeHtml(data.error)}</p>`;
+    return;
+  }
+  if (!data.groups.length) {
+    el.innerHTML = `<p style="color:#e74c3c;font-weight:600">No ${data.count} rooms are free together${data.min_seats ? ` with ${data.min_seats} seats` : ''} (${data.free_room_count} room(s) free).</p>`;
+    return;
+  }
+  el.innerHTML = `<p style="margin-bottom:0.8rem;color:#555">${data.groups.length} group(s) of ${data.count} rooms free on <strong>${data.calendar.weekday} ${data.date}</strong> from <strong>${from} – ${to}</strong>
+    <br><span class="hint">${escapeHtml(data.calendar.note)}</span></p>`
+    + data.groups.map(g => `<div class="room-group">
+      <div class="group-head"><strong>#${g.rank}</strong> ${escapeHtml(g.explanation)}
+        · ${g.total_seats} seats${g.unknown_capacity.length ? ` (capacity unknown for ${escapeHtml(g.unknown_capacity.join(', '))})` : ''}</div>
+      ${g.rooms.map(r => `<div class="room-card"><div class="room-num clickable" title="Show this room's week" onclick="showRoomGrid(${jsArg(r.room_number)})">${escapeHtml(r.room_number)}</div>
+        <div class="room-info">${escapeHtml(roomDetails(r))}</div></div>`).join('')}
+      ${can('viewer') ? `<button class="room-action" onclick="openBookingForm(${jsArg(g.rooms.map(r => r.room_number))}, ${jsArg(data.date)}, ${jsArg(from)}, ${jsArg(to)})">Request this group</button>` : ''}
+    </div>`).join('');
+}
+
+// Next date (today included) that falls on a weekday name, for booking a flexible option
+function nextDateFor(dayName) {
+  const d = new Date();
+  const target = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'].indexOf(dayName);
+  d.setDate(d.getDate() + (target - d.getDay() + 7) % 7);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+
+async function findBestOptions() {
+  const el = document.getElementById('freeResults');
+  const days = [...document.querySelectorAll('#flexDays input:checked')].map(c => c.value);
+  if (!days.length) {
+    el.innerHTML = '<p style="color:#e74c3c;font-weight:600">Pick at least one day.</p>';
+    return;
+  }
+  const params = roomFilterParams(new URLSearchParams({ duration: document.getElementById('flexDuration').value, days: days.join(',') }));
+  for (const [id, key] of [['flexPrefer', 'prefer'], ['flexEarliest', 'earliest'], ['flexLatest', 'latest']]) {
+    const value = document.getElementById(id).value;
+    if (value) params.set(key, value);
+  }
+  const res = await fetch(API + '/api/free-windows/best?' + params);
+  const data = await res.json();
+  if (!res.ok) {
+    el.innerHTML = `<p style="color:#e74c3c;font-weight:600">${escapeHtml(data.error)}</p>`;
+    return;
+  }
+  if (!data.options.length) {
+    el.innerHTML = '<p style="color:#e74c3c;font-weight:600">No room has that much free time on the chosen days.</p>';
+    return;
+  }
+  el.innerHTML = `<p style="margin-bottom:0.8rem;color:#555">Best ${data.options.length} of ${data.total_options} option(s) for <strong>${data.duration} min</strong>
+    <br><span class="hint">Based on the weekly timetable; the booking request checks the actual date.</span></p>`
+    + data.options.map(o => {
+      const date = nextDateFor(o.day);
+      return `<div class="room-card option-card"><div class="option-rank">#${o.rank}</div>
+      <div class="room-num clickable" title="Show this room's week" onclick="showRoomGrid(${jsArg(o.room_number)})">${escapeHtml(o.room_number)}</div>
+      <div class="option-when">${escapeHtml(`${o.day} ${o.start} – ${o.end}`)}</div>
+      <div class="room-info">${escapeHtml(roomDetails(o))}</div>
+      <ul class="option-reasons">${o.reasons.map(r => `<li>${escapeHtml(r)}</li>`).join('')}</ul>
+      ${can('viewer') ? `<button class="room-action" title="Request for ${date}" onclick="openBookingForm(${jsArg(o.room_number)}, ${jsArg(date)}, ${jsArg(o.start)}, ${jsArg(o.end)})">Request for ${date}</button>` : ''}</div>`;
+    }).join('');
+}
+
+function roomDetails(r) {
+  return [
+    r.room_type,
+    r.capacity ? `${r.capacity} seats` : '',
+    r.building || '',
+    r.floor !== null && r.floor !== undefined ? `Floor ${r.floor}` : ''
+  ].filter(Boolean).join(' · ');
+}
+
+// ── Weekly Timetable Grid ──
+// mode decides what each cell shows besides the subject: 'room' shows the section,
+// 'section' shows the room and faculty, 'department' and 'faculty' show section and room.
+// Hovering a subject shows its full name, code and faculty from the section's legend.
+// Section grids are editable: clicking a cell opens an inline editor (see editCell).
+let gridState = null;
+
+function renderGrid(data, mode) {
+  gridState = { data, mode };
+  const editable = mode === 'section' && can('coordinator');
+  const head = '<tr><th>Day</th>' + data.slots.map(s => `<th>${escapeHtml(s)}</th>`).join('') + '</tr>';
+  const body = data.grid.map((row, ri) => '<tr><td class="day-cell">' + row.day.slice(0, 3).toUpperCase() + '</td>'
+    + row.cells.map((cell, ci) => {
+      const click = editable ? ` onclick="editCell(${ri}, ${ci})"` : '';
+      if (cell.free) return `<td class="slot-cell empty${editable ? ' editable' : ''}"${click}>Free</td>`;
+      const alt = mode === 'section' && cell.entries.some(e => e.alt_room);
+      const manual = cell.entries.some(e => e.source === 'manual');
+      return `<td class="slot-cell${alt ? ' alt-room' : ''}${manual ? ' manual' : ''}${cell.entries.length > 1 && mode !== 'department' ? ' clash' : ''}${editable ? ' editable' : ''}"${click}>`
+        + cell.entries.map(e => {
+          const detail = mode === 'room' ? `${e.department ? e.department + ' · ' : ''}${e.year_sem} · ${e.section}`
+            : mode === 'section' ? `Room ${e.room_number}`
+            : mode === 'faculty' ? `${e.year_sem} · ${e.section} · Room ${e.room_number}`
+            : `${e.section} · Room ${e.room_number}`;
+          return `<div class="slot-subject" title="${subjectTitle(e)}">${escapeHtml(e.subject || '—')}</div><div class="slot-room">${escapeHtml(detail)}</div>`
+            + (mode === 'section' && e.faculty ? `<div class="slot-faculty">${escapeHtml(e.faculty)}</div>` : '');
+        }).join('<hr>') + '</td>';
+    }).join('') + '</tr>').join('');
+  return `<table class="timetable-grid">${head}${body}</table>`;
+}
+
+// Full course name, code and faculty of a class, for hover text
+function subjectTitle(e) {
+  return escapeHtml([e.subject_name, e.subject_code, e.faculty].filter(Boolean).join(' · '));
+}
+
+// Faculty names that open their weekly grid
+function facultyLinks(names) {
+  return names.map(f => `<a href="#" onclick="event.preventDefault(); showFacultyGrid(${jsArg(f)})">${escapeHtml(f)}</a>`).join(', ');
+}
+
+// A section's subject legend under its grid
+function renderLegend(subjects) {
+  if (!subjects.length) return '<p class="hint">No subject legend was found under this timetable.</p>';
+  return '<table class="legend-table"><tr><th>Subject</th><th>Title</th><th>Code</th><th>Faculty</th><th>Classes</th></tr>'
+    + subjects.map(s => `<tr><td><strong>${escapeHtml(s.abbreviation)}</strong></td><td>${escapeHtml(s.name)}</td><td>${escapeHtml(s.code)}</td>
+      <td>${facultyLinks(s.faculty)}</td>
+      <td>${s.classes}</td></tr>`).join('') + '</table>';
+}
+
+// Swap a section-grid cell for inputs: one editor per class in the cell, or an "add" editor if free
+function editCell(ri, ci) {
+  const row = gridState.data.grid[ri];
+  const cell = row.cells[ci];
+  const td = document.querySelector('#gridView table').rows[ri + 1].cells[ci + 1];
+  if (td.querySelector('input')) return;
+  const t = gridState.data.timetable;
+  const editors = (cell.entries.length ? cell.entries : [{ schedule_id: null, subject: '', room_number: t.default_room || '' }])
+    .map(e => `<div class="cell-editor" data-id="${e.schedule_id || ''}">
+      <input class="ed-subject" value="${escapeHtml(e.subject)}" placeholder="Subject">
+      <input class="ed-room" value="${escapeHtml(e.room_number)}" placeholder="Room">
+      <button onclick="saveCell(event, ${ri}, ${ci})">Save</button>
+      ${e.schedule_id ? `<button class="danger" onclick="deleteCell(event, ${e.schedule_id})">Delete</button>` : ''}
+    </div>`).join('');
+  td.innerHTML = editors + '<button class="secondary" onclick="event.stopPropagation(); showTimetableGrid(gridState.data.timetable.id)">Cancel</button>';
+}
+
+async function saveCell(event, ri, ci) {
+  event.stopPropagation();
+  const editor = event.target.closest('.cell-editor');
+  const row = gridState.data.grid[ri];
+  const body = {
+    subject: editor.querySelector('.ed-subject').value,
+    room_number: editor.querySelector('.ed-room').value
+  };
+  const id = editor.dataset.id;
+  const res = id
+    ? await fetch(API + '/api/schedules/' + id, { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
+    : await fetch(API + '/api/schedules', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...body, timetable_id: gridState.data.timetable.id, day: row.day, time_slot: row.cells[ci].slot })
+    });
+  if (!res.ok) return alert((await res.json()).error);
+  showTimetableGrid(gridState.data.timetable.id);
+}
+
+async function deleteCell(event, id) {
+  event.stopPropagation();
+  if (!confirm('Remove this class from the timetable?')) return;
+  await fetch(API + '/api/schedules/' + id, { method: 'DELETE' });
+  showTimetableGrid(gridState.data.timetable.id);
+}
+
+// Header fields (department, semester, section, default room, slot grid) of the open section
+function renderHeaderEditor(t, grids) {
+  const field = (key, label) => `<label>${label}:<input id="hdr_${key}" value="${escapeHtml(t[key])}"></label>`;
+  const gridOptions = grids.map(g => `<option value="${escapeHtml(g.name)}"${g.name === t.slot_grid ? ' selected' : ''}>${escapeHtml(g.name)}</option>`).join('');
+  return `<details class="header-editor"><summary>Edit header${t.edited_at ? ' <span class="manual-tag">edited</span>' : ''}</summary>
+    <div class="row">${field('department', 'Department')}${field('year_sem', 'Semester')}${field('section', 'Section')}${field('default_room', 'Default room')}
+      <label>Slot grid:<select id="hdr_slot_grid">${gridOptions}</select></label></div>
+    <button onclick="saveHeader(${t.id})">Save Header</button>
+    <span class="hint">Changing the default room also moves classes held in the old one; changing the slot grid moves each class to the same period on the new grid.</span>
+  </details>`;
+}
+
+async function saveHeader(id) {
+  const body = {};
+  for (const key of ['department', 'year_sem', 'section', 'default_room', 'slot_grid']) body[key] = document.getElementById('hdr_' + key).value;
+  const res = await fetch(API + '/api/timetables/' + id, { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  const json = await res.json();
+  if (!res.ok) return alert(json.error);
+  showTimetableGrid(id);
+}
+
+function openGrid(title, subtitle, html, tools) {
+  document.getElementById('gridTitle').textContent = title;
+  document.getElementById('gridSubtitle').textContent = subtitle;
+  document.getElementById('gridTools').innerHTML = tools || '';
+  document.getElementById('gridView').innerHTML = html;
+  const card = document.getElementById('gridCard');
+  card.style.display = 'block';
+  card.scrollIntoView({ behavior: 'smooth' });
+}
+
+function closeGrid() {
+  document.getElementById('gridCard').style.display = 'none';
+}
+
+async function showRoomGrid(room) {
+  const res = await fetch(API + '/api/rooms/' + encodeURIComponent(room) + '/schedule');
+  const data = await res.json();
+  if (!res.ok) return alert(data.error);
+  const free = data.grid.reduce((n, row) => n + row.cells.filter(c => c.free).length, 0);
+  openGrid(`Room ${data.room.room_number}`, `${roomDetails(data.room)} · ${free} free period(s) a week`, renderGrid(data, 'room'),
+    csvLink('/api/rooms/' + encodeURIComponent(room) + '/schedule'));
+}
+
+async function showTimetableGrid(id) {
+  const res = await fetch(API + '/api/timetables/' + id);
+  const data = await res.json();
+  if (!res.ok) return alert(data.error);
+  const { grids } = await (await fetch(API + '/api/slot-grids')).json();
+  const subjects = await (await fetch(API + '/api/subjects?timetable_id=' + id)).json();
+  const t = data.timetable;
+  openGrid(`${t.department || 'Section'} — ${t.year_sem} · Section ${t.section}`,
+    `Default room ${t.default_room || '—'} · from ${t.filename}${t.page ? ' p.' + t.page : ''} · highlighted cells are held in another room` +
+      (can('coordinator') ? ' · click a cell to correct it' : ''),
+    renderGrid(data, 'section') + renderLegend(subjects),
+    (can('coordinator') ? renderHeaderEditor(t, grids) : '') + `<button class="secondary" onclick="showTimetableHistory(${t.id})">History (v${t.version || 1})</button>` +
+      csvLink('/api/timetables/' + t.id));
+}
+
+async function showDepartmentGrid(department) {
+  const res = await fetch(API + '/api/departments/' + department + '/schedule');
+  const data = await res.json();
+  if (!res.ok) return alert(data.error);
+  openGrid(data.department, 'All sections', renderGrid(data, 'department'), csvLink('/api/departments/' + department + '/schedule'));
+}
+
+async function showFacultyGrid(name) {
+  const path = '/api/faculty/' + encodeURIComponent(name) + '/schedule';
+  const res = await fetch(API + path);
+  const data = await res.json();
+  if (!res.ok) return alert(data.error + (data.matches ? ': ' + data.matches.join(', ') : ''));
+  const classes = data.grid.reduce((n, row) => n + row.cells.reduce((m, c) => m + c.entries.length, 0), 0);
+  openGrid(data.faculty.name, `${classes} class(es) a week, from the subject legends`, renderGrid(data, 'faculty'), csvLink(path));
+}
+
+// Download the grid's classes in the timetable CSV layout (uploadable again)
+function csvLink(path) {
+  return `<a class="room-link" href="${API}${path}?format=csv" title="Open in a spreadsheet; upload the edited file to apply it">⬇ CSV</a>`;
+}
+
+// ── Room Inventory ──
+// Fill the building and facility filters from the current inventory
+async function loadRooms() {
+  const rooms = await (await fetch(API + '/api/rooms')).json();
+  const buildings = [...new Set(rooms.map(r => r.building).filter(Boolean))].sort();
+  const facilities = [...new Set(rooms.flatMap(r => r.facilities))].sort();
+  const buildingSelect = document.getElementById('findBuilding');
+  const current = buildingSelect.value;
+  buildingSelect.innerHTML = '<option value="">Any</option>' + buildings.map(b => `<option>${escapeHtml(b)}</option>`).join('');
+  buildingSelect.value = current;
+  const checked = new Set([...document.querySelectorAll('#findFacilities input:checked')].map(c => c.value));
+  document.getElementById('findFacilities').innerHTML = facilities.map(f =>
+    `<label class="inline"><input type="checkbox" value="${escapeHtml(f)}"${checked.has(f) ? ' checked' : ''}> ${escapeHtml(f)}</label>`).join('');
+}
+
+async function saveRoom() {
+  const msg = document.getElementById('roomMsg');
+  const room = document.getElementById('roomNumber').value.trim();
+  if (!room) return showMsg(msg, 'Enter a room number.', 'error');
+  const body = {
+    room_type: document.getElementById('roomType').value,
+    capacity: document.getElementById('roomCapacity').value,
+    building: document.getElementById('roomBuilding').value.trim(),
+    floor: document.getElementById('roomFloor').value,
+    facilities: document.getElementById('roomFacilities').value,
+    bookable: document.getElementById('roomBookable').checked
+  };
+  const url = API + '/api/rooms/' + encodeURIComponent(room);
+  const exists = (await fetch(url)).ok;
+  const res = await fetch(url, {
+    method: exists ? 'PATCH' : 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const json = await res.json();
+  if (!res.ok) return showMsg(msg, json.error, 'error');
+  showMsg(msg, `${exists ? 'Updated' : 'Added'} room ${json.room_number}`, 'success');
+  loadRooms();
+}
+
+async function deleteRoom() {
+  const msg = document.getElementById('roomMsg');
+  const room = document.getElementById('roomNumber').value.trim();
+  if (!room || !confirm(`Delete room ${room} from the inventory?`)) return;
+  const res = await fetch(API + '/api/rooms/' + encodeURIComponent(room), { method: 'DELETE' });
+  const json = await res.json();
+  showMsg(msg, res.ok ? json.message : json.error, res.ok ? 'success' : 'error');
+  loadRooms();
+}
+
+// Load an existing room into the form when its number is typed
+document.getElementById('roomNumber').addEventListener('change', async (e) => {
+  const res = await fetch(API + '/api/rooms/' + encodeURIComponent(e.target.value.trim()));
+  if (!res.ok) return;
+  const r = await res.json();
+  document.getElementById('roomType').value = r.room_type;
+  document.getElementById('roomCapacity').value = r.capacity ?? '';
+  document.getElementById('roomBuilding').value = r.building || '';
+  document.getElementById('roomFloor').value = r.floor ?? '';
+  document.getElementById('roomFacilities').value = r.facilities.join(', ');
+  document.getElementById('roomBookable').checked = r.bookable;
+});
+
+document.getElementById('inventoryForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const msg = document.getElementById('roomMsg');
+  const form = new FormData();
+  form.append('inventory', document.getElementById('inventoryFile').files[0]);
+  const res = await fetch(API + '/api/rooms/import', { method: 'POST', body: form });
+  const json = await res.json();
+  if (!res.ok) {
+    const details = (json.errors || []).slice(0, 5).map(er => `line ${er.line}: ${er.error}`).join('; ');
+    return showMsg(msg, json.error + (details ? ' — ' + details : ''), 'error');
+  }
+  showMsg(msg, json.message, 'success');
+  loadRooms();
+});
+
+// ── Bookings ──
+let pendingBooking = null;
+
+// `room` may be a list: a group of rooms is requested together, one booking per room
+function openBookingForm(room, date, from, to) {
+  const rooms = [].concat(room);
+  pendingBooking = { rooms, date, from, to };
+  document.getElementById('bookingTitle').textContent = `Request ${rooms.length > 1 ? 'rooms' : 'room'} ${rooms.join(', ')} — ${date} ${from} – ${to}`;
+  document.getElementById('bookingForm').style.display = 'block';
+  document.getElementById('bookingEvent').focus();
+}
+
+function closeBookingForm() {
+  pendingBooking = null;
+  document.getElementById('bookingForm').style.display = 'none';
+}
+
+async function submitBooking() {
+  const msg = document.getElementById('bookingMsg');
+  if (!pendingBooking) return;
+  const { rooms, ...when } = pendingBooking;
+  const body = {
+    ...when,
+    title: document.getElementById('bookingEvent').value.trim()
+  };
+  if (!body.title) return showMsg(msg, 'Please fill in the event.', 'error');
+  const sent = [], failed = [], retry = [];
+  for (const room_number of rooms) {
+    const res = await fetch(API + '/api/bookings', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...body, room_number })
+    });
+    const json = await res.json();
+    if (res.ok) sent.push(json.message);
+    else { failed.push(json.error); retry.push(room_number); }
+  }
+  if (sent.length) loadBookings();
+  if (failed.length) {
+    // Keep the form open for just the rooms that were refused
+    if (sent.length) openBookingForm(retry, when.date, when.from, when.to);
+    return showMsg(msg, [...failed, ...sent].join(' '), 'error');
+  }
+  showMsg(msg, sent.join(' '), 'success');
+  document.getElementById('bookingEvent').value = '';
+  pendingBooking = null;
+  setTimeout(closeBookingForm, 1500);
+}
+
+async function loadBookings() {
+  if (!can('viewer')) return document.getElementById('bookingsList').innerHTML = '';
+  const list = await (await fetch(API + '/api/bookings')).json();
+  const el = document.getElementById('bookingsList');
+  if (!list.length) {
+    el.innerHTML = '<p style="color:#999;text-align:center">No booking requests yet.</p>';
+    return;
+  }
+  el.innerHTML = `<table><tr><th>Room</th><th>When</th><th>Event</th><th>By</th><th>Status</th><th></th></tr>`
+    + list.map(b => `<tr>
+      <td><strong>${escapeHtml(b.room_number)}</strong></td>
+      <td>${escapeHtml(`${b.date ? b.date + ' (' + b.day + ')' : 'Every ' + b.day} ${b.start_time} – ${b.end_time}`)}</td>
+      <td>${escapeHtml(b.title)}</td>
+      <td>${escapeHtml(b.requested_by)}</td>
+      <td><span class="status ${escapeHtml(b.status)}">${escapeHtml(b.status)}</span></td>
+      <td class="actions">${b.status === 'pending' && can('coordinator') ? `
+        <button onclick="decideBooking(${b.id}, 'approve')">Approve</button>
+        <button class="secondary" onclick="decideBooking(${b.id}, 'reject')">Reject</button>` : ''}
+        ${can('coordinator') || (currentUser && b.user_id === currentUser.id && b.status === 'pending')
+          ? `<button class="danger" onclick="deleteBooking(${b.id})">${can('coordinator') ? 'Remove' : 'Withdraw'}</button>` : ''}</td>
+    </tr>`).join('') + '</table>';
+}
+
+async function decideBooking(id, action) {
+  const res = await fetch(API + `/api/bookings/${id}/${action}`, { method: 'POST' });
+  const json = await res.json();
+  if (!res.ok) alert(json.error);
+  loadBookings();
+}
+
+async function deleteBooking(id) {
+  await fetch(API + '/api/bookings/' + id, { method: 'DELETE' });
+  loadBookings();
+}
+
+// ── Academic Calendar ──
+async function loadCalendar() {
+  const data = await (await fetch(API + '/api/calendar')).json();
+  const el = document.getElementById('calendarList');
+  const rows = [
+    ...data.terms.map(t => `<tr><td><span class="status approved">term</span></td><td>${escapeHtml(`${t.start_date} → ${t.end_date}`)}</td>
+      <td>${escapeHtml(t.name)}</td><td class="actions">${can('coordinator') ? `<button class="danger" onclick="deleteCalendarItem('terms', ${t.id})">Remove</button>` : ''}</td></tr>`),
+    ...data.entries.map(e => `<tr><td><span class="status ${escapeHtml(e.type)}">${escapeHtml(e.type)}</span></td>
+      <td>${escapeHtml(e.start_date + (e.end_date !== e.start_date ? ' → ' + e.end_date : ''))}</td>
+      <td>${escapeHtml((e.type === 'swap' ? `Follows ${e.follows_day}` : '') + (e.description ? (e.type === 'swap' ? ' — ' : '') + e.description : ''))}</td>
+      <td class="actions">${can('coordinator') ? `<button class="danger" onclick="deleteCalendarItem('entries', ${e.id})">Remove</button>` : ''}</td></tr>`)
+  ];
+  el.innerHTML = rows.length
+    ? '<table><tr><th>Type</th><th>Dates</th><th>Details</th><th></th></tr>' + rows.join('') + '</table>'
+    : '<p style="color:#999;text-align:center">No calendar set — every weekday follows its own timetable.</p>';
+}
+
+function toggleFollowsDay() {
+  document.getElementById('calFollowsLabel').style.display = document.getElementById('calType').value === 'swap' ? 'block' : 'none';
+}
+
+async function addCalendarItem() {
+  const msg = document.getElementById('calendarMsg');
+  const type = document.getElementById('calType').value;
+  const start_date = document.getElementById('calStart').value;
+  const end_date = document.getElementById('calEnd').value || start_date;
+  const description = document.getElementById('calDesc').value.trim();
+  const isTerm = type === 'term';
+  const body = isTerm
+    ? { name: description, start_date, end_date }
+    : { type, start_date, end_date, description, follows_day: document.getElementById('calFollows').value };
+  const res = await fetch(API + '/api/calendar/' + (isTerm ? 'terms' : 'entries'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const json = await res.json();
+  if (!res.ok) return showMsg(msg, json.error, 'error');
+  showMsg(msg, 'Saved', 'success');
+  loadCalendar();
+  loadSlots();
+}
+
+async function deleteCalendarItem(kind, id) {
+  await fetch(API + `/api/calendar/${kind}/${id}`, { method: 'DELETE' });
+  loadCalendar();
+  loadSlots();
+}
+
+// ── Search ──
+// Searches as you type (see lib/search.js); results are grouped and open the matching grid
+let searchTimer = null;
+
+function queueSearch() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runSearch, 250);
+}
+
+function searchClasses(classes) {
+  if (!classes.length) return '<div class="hint">No classes then</div>';
+  return '<ul class="search-classes">' + classes.map(c => `<li>${escapeHtml(`${c.day.slice(0, 3)} ${c.time_slot}`)}
+    <strong title="${subjectTitle(c)}">${escapeHtml(c.subject || '—')}</strong> · Room ${escapeHtml(c.room_number)}</li>`).join('') + '</ul>';
+}
+
+async function runSearch() {
+  const q = document.getElementById('searchBox').value.trim();
+  const out = document.getElementById('searchResults');
+  if (!q) { out.innerHTML = ''; return; }
+  const res = await fetch(API + '/api/search?' + new URLSearchParams({ q }));
+  const data = await res.json();
+  // A newer query has been typed meanwhile
+  if (document.getElementById('searchBox').value.trim() !== q) return;
+  if (!res.ok) { out.innerHTML = `<p class="msg error">${escapeHtml(data.error)}</p>`; return; }
+
+  const { day, semester, section, room } = data.interpreted;
+  const read = [day, semester && `semester ${semester}`, section && `section ${section.toUpperCase()}`, room && `room ${room.toUpperCase()}`].filter(Boolean);
+  const group = (title, total, items) => total
+    ? `<div class="search-group"><h3>${title} <small>${total > items.length ? `top ${items.length} of ${total}` : total}</small></h3>${items.join('')}</div>` : '';
+  const html = [
+    group('Sections', data.counts.sections, data.sections.map(s => `<div class="search-hit">
+      <a href="#" onclick="event.preventDefault(); showTimetableGrid(${s.timetable_id})">${escapeHtml(s.name)}</a>
+      <small>${s.entries} classes · rooms ${escapeHtml(s.rooms.join(', ') || '—')}</small>${s.classes ? searchClasses(s.classes) : ''}</div>`)),
+    group('Rooms', data.counts.rooms, data.rooms.map(r => `<div class="search-hit">
+      <a href="#" onclick="event.preventDefault(); showRoomGrid(${jsArg(r.room_number)})">Room ${escapeHtml(r.room_number)}</a>
+      <small>${escapeHtml(`${roomDetails(r)} · ${r.classes_per_week} classes a week${r.sections.length ? ' · ' + r.sections.join('; ') : ''}`)}</small>
+      ${r.classes ? searchClasses(r.classes) : ''}</div>`)),
+    group('Subjects', data.counts.subjects, data.subjects.map(s => `<div class="search-hit">
+      <strong>${escapeHtml(s.subject)}</strong>${s.subject_name ? ' — ' + escapeHtml(s.subject_name) : ''}
+      <small>${s.classes} class(es) · rooms ${escapeHtml(s.rooms.join(', '))} · ${s.sections.map(x => `<a href="#" onclick="event.preventDefault(); showTimetableGrid(${x.timetable_id})">${escapeHtml(x.name)}</a>`).join('; ')}</small>
+      <details><summary>When</summary>${searchClasses(s.occurrences)}</details></div>`))
+  ].join('');
+  out.innerHTML = (read.length ? `<p class="hint">Reading this as ${escapeHtml(read.join(' · '))}</p>` : '') + (html || '<p class="hint">Nothing matches.</p>');
+}
+
+// ── Faculty & Subjects ──
+// Built from the legends under each timetable (see lib/subjects.js)
+async function loadFacultyNames() {
+  const faculty = await (await fetch(API + '/api/faculty')).json();
+  document.getElementById('facultyNames').innerHTML = faculty.map(f => `<option value="${escapeHtml(f.name)}">`).join('');
+}
+
+// One day's classes for someone as a list; the whole week opens their grid
+async function findFaculty() {
+  const name = document.getElementById('facultyName').value.trim();
+  const day = document.getElementById('facultyDay').value;
+  const out = document.getElementById('facultyResult');
+  if (!name) return;
+  if (!day) { out.innerHTML = ''; return showFacultyGrid(name); }
+  const params = new URLSearchParams(day === 'today' ? { date: todayISO() } : { day });
+  const res = await fetch(API + '/api/faculty/' + encodeURIComponent(name) + '/schedule?' + params);
+  const data = await res.json();
+  if (!res.ok) {
+    out.innerHTML = `<p class="msg error">${escapeHtml(data.error + (data.matches ? ': ' + data.matches.join(', ') : ''))}</p>`;
+    return;
+  }
+  const when = data.date ? `${data.date} (${data.calendar.note})` : data.day;
+  out.innerHTML = `<p><strong>${escapeHtml(data.faculty.name)}</strong> — ${data.classes.length} class(es) on ${escapeHtml(when)}</p>`
+    + (data.classes.length ? '<table><tr><th>Time</th><th>Subject</th><th>Section</th><th>Room</th></tr>' + data.classes.map(c => `<tr>
+      <td>${escapeHtml(c.time_slot)}</td><td title="${subjectTitle(c)}"><strong>${escapeHtml(c.subject || '—')}</strong> ${escapeHtml(c.subject_name)}</td>
+      <td>${escapeHtml(`${c.department} · ${c.year_sem} · ${c.section || '—'}`)}</td>
+      <td><span class="room-num clickable" onclick="showRoomGrid(${jsArg(c.room_number)})">${escapeHtml(c.room_number)}</span></td></tr>`).join('') + '</table>' : '');
+}
+
+async function findSubjects() {
+  const q = document.getElementById('subjectQuery').value.trim();
+  const subjects = await (await fetch(API + '/api/subjects?' + new URLSearchParams({ q }))).json();
+  document.getElementById('subjectResult').innerHTML = subjects.length
+    ? '<table class="legend-table"><tr><th>Subject</th><th>Title</th><th>Code</th><th>Faculty</th><th>Section</th></tr>' + subjects.map(s => `<tr>
+      <td><strong>${escapeHtml(s.abbreviation)}</strong></td><td>${escapeHtml(s.name)}</td><td>${escapeHtml(s.code)}</td>
+      <td>${facultyLinks(s.faculty)}</td>
+      <td><a href="#" onclick="event.preventDefault(); showTimetableGrid(${s.timetable_id})">${escapeHtml(`${s.department} · ${s.year_sem} · ${s.section || '—'}`)}</a></td></tr>`).join('') + '</table>'
+    : '<p class="hint">No subjects match.</p>';
+}
+
+document.getElementById('findDate').addEventListener('change', loadSlots);
+
 loadSlots();
-loadUploadedPdfs();
+loadRooms();
+loadFacultyNames();
+loadAccount();
@@ -0,0 +1,51 @@
+const API = '';
+const FILTERS = { action: 'auditAction', user: 'auditUser', filename: 'auditFilename', section: 'auditSection', room: 'auditRoom', from: 'auditFrom', to: 'auditTo' };
+
+async function loadAudit(page) {
+  const params = new URLSearchParams({ page, per_page: 50 });
+  for (const [key, id] of Object.entries(FILTERS)) {
+    const value = document.getElementById(id).value.trim();
+    if (value) params.set(key, value);
+  }
+  const res = await fetch(API + '/api/audit?' + params);
+  const data = await res.json();
+  if (!res.ok) {
+    document.getElementById('auditTable').innerHTML = `<p class="hint">${escapeHtml(data.error)}${res.status === 401 ? ' — <a href="index.html">log in</a> as an admin.' : ''}</p>`;
+    return;
+  }
+  fillActions(data.actions);
+  renderEntries(data.entries);
+  document.getElementById('auditSummary').textContent = data.total
+    ? `${data.total} change(s), newest first · page ${data.page} of ${data.pages}` : '';
+  document.getElementById('auditPager').innerHTML = data.pages > 1 ? `
+    <button class="secondary" ${data.page <= 1 ? 'disabled' : ''} onclick="loadAudit(${data.page - 1})">‹ Newer</button>
+    <button class="secondary" ${data.page >= data.pages ? 'disabled' : ''} onclick="loadAudit(${data.page + 1})">Older ›</button>` : '';
+}
+
+function fillActions(actions) {
+  const select = document.getElementById('auditAction');
+  if (select.options.length > 1) return;
+  // Prefixes ("upload") match every action under them ("upload.stage", "upload.remove")
+  const groups = [...new Set(actions.map(a => a.split('.')[0]))].filter(g => !actions.includes(g));
+  select.innerHTML += [...groups.map(g => `<option value="${escapeHtml(g)}">${escapeHtml(g)}.*</option>`), ...actions.map(a => `<option>${escapeHtml(a)}</option>`)].sort().join('');
+}
+
+function renderEntries(entries) {
+  const count = e => e.before_count === null && e.after_count === null ? '' : `${e.before_count ?? '—'} → ${e.after_count ?? '—'}`;
+  const list = items => escapeHtml(items.slice(0, 3).join(', ')) + (items.length > 3 ? ` <span class="hint">+${items.length - 3} more</span>` : '');
+  document.getElementById('auditTable').innerHTML = entries.length ? `<table class="sortable audit">
+    <tr><th>When (UTC)</th><th>Who</th><th>Action</th><th>File</th><th>Sections</th><th>Rooms</th><th>Before → after</th><th>Details</th></tr>
+    ${entries.map(e => `<tr>
+      <td>${escapeHtml(e.at)}</td>
+      <td>${escapeHtml(e.username) || '—'}${e.role ? ` <span class="hint">${escapeHtml(e.role)}</span>` : ''}<div class="hint">${escapeHtml(e.ip)}</div></td>
+      <td><strong>${escapeHtml(e.action)}</strong><div class="hint">${escapeHtml(e.target)}</div></td>
+      <td>${escapeHtml(e.filename)}</td>
+      <td title="${escapeHtml(e.sections.join('\n'))}">${list(e.sections)}</td>
+      <td title="${escapeHtml(e.rooms.join(', '))}">${list(e.rooms)}</td>
+      <td>${count(e)}</td>
+      <td>${e.details ? `<details><summary>show</summary><pre>${escapeHtml(JSON.stringify(e.details, null, 2))}</pre></details>` : ''}</td>
+    </tr>`).join('')}
+  </table>` : '<p class="hint">Nothing recorded matches.</p>';
+}
+
+loadAudit(1);
@@ -0,0 +1,84 @@
+const API = '';
+const params = new URLSearchParams(location.search);
+let board = null;
+
+// ?at=2026-10-22T10:00 freezes the board at that moment (for checking a layout);
+// otherwise it follows the live stream and reconnects by itself if the server restarts
+function startBoard() {
+  const query = new URLSearchParams();
+  if (params.get('building')) query.set('building', params.get('building'));
+  if (params.get('at')) {
+    query.set('at', params.get('at'));
+    return fetch(API + '/api/now?' + query).then(async res => {
+      const data = await res.json();
+      if (!res.ok) return setStatus(data.error, true);
+      setStatus('Showing ' + data.date + ' ' + data.time);
+      renderBoard(data);
+    });
+  }
+  const stream = new EventSource(API + '/api/now/stream?' + query);
+  stream.addEventListener('board', e => {
+    setStatus('Live');
+    renderBoard(JSON.parse(e.data));
+  });
+  stream.onerror = () => setStatus('Reconnecting…', true);
+  setInterval(tickClock, 1000);
+}
+
+function setStatus(text, problem) {
+  const el = document.getElementById('boardStatus');
+  el.textContent = text;
+  el.classList.toggle('problem', !!problem);
+}
+
+// The clock runs on the campus time zone between pushes
+function tickClock() {
+  if (!board) return;
+  document.getElementById('boardClock').textContent = new Date().toLocaleTimeString('en-GB', {
+    timeZone: board.time_zone, hour: '2-digit', minute: '2-digit'
+  });
+}
+
+function renderBoard(data) {
+  board = data;
+  document.getElementById('boardClock').textContent = data.time;
+  document.getElementById('boardDate').textContent = data.weekday + ', ' + data.date +
+    (data.day && data.day !== data.weekday ? ' · ' + data.day + ' timetable' : '');
+  const p = data.period;
+  document.getElementById('boardPeriod').textContent = p.start ? `${p.label} · ${p.start}–${p.end}` : p.label;
+  document.getElementById('boardNext').textContent = data.next_slot
+    ? `Next: ${data.next_slot.slot} at ${data.next_slot.start}` : '';
+  const c = data.counts;
+  document.getElementById('boardCounts').innerHTML = `
+    <span class="count free">${c.free} free</span>
+    <span class="count in_use">${c.in_use} in use</span>
+    ${c.booked ? `<span class="count booked">${c.booked} booked</span>` : ''}`;
+  document.getElementById('boardNote').textContent = data.calendar.kind === 'regular' ? '' : data.calendar.note;
+
+  document.getElementById('boardBuildings').innerHTML = data.buildings.length ? data.buildings.map(b => `
+    <section class="board-building">
+      <h2>${escapeHtml(b.building)}</h2>
+      <div class="board-rooms">${b.rooms.map(roomTile).join('')}</div>
+    </section>`).join('') : '<p class="board-empty">No rooms yet — upload a timetable first.</p>';
+}
+
+function itemText(i) {
+  return escapeHtml(i.type === 'booking' ? `📌 ${i.title}` : `${i.title} · ${i.section}`);
+}
+
+function roomTile(r) {
+  const now = r.current.map(i => `<div class="tile-now">${itemText(i)}</div>`).join('');
+  const until = r.status === 'free'
+    ? (r.free_until ? `Free until ${r.free_until}` : 'Free for the rest of the day')
+    : `Until ${r.busy_until}`;
+  const next = r.next.length ? `<div class="tile-next">Next ${escapeHtml(r.next[0].start)}: ${r.next.map(itemText).join(', ')}</div>` : '';
+  return `
+    <div class="board-tile ${escapeHtml(r.status)}">
+      <div class="tile-room">${escapeHtml(r.room_number)}${r.capacity ? `<small>${r.capacity} seats</small>` : ''}</div>
+      ${now}
+      <div class="tile-until">${until}</div>
+      ${next}
+    </div>`;
+}
+
+startBoard();
@@ -0,0 +1,6 @@
+// Shared by every page. API data carries text anyone could have typed or put in a PDF
+// (booking titles, calendar notes, filenames, subjects, room names), so every value goes
+// through escapeHtml on its way into markup.
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+// Free-room lookup benchmark on a synthetic campus: every department's full timetable
+// (all semesters and sections, Monday–Saturday) plus weekly and one-off bookings, in a
+// throwaway database. The same random queries run through three implementations and
+// must agree on every answer:
+//
+//   slot-by-slot   the original lookup: every distinct slot label parsed in JS, then one
+//                  LOWER(day) query per overlapping slot, on unindexed tables
+//   range scan     one LOWER(day) range query over schedules and a pass over bookings,
+//                  on unindexed tables
+//   occupancy map  findFreeRooms: one indexed query against room_occupancy
+//
+//   node scripts/benchmark.js [--sections 3] [--queries 300] [--seed 1] [--keep]
+//
+// --sections is per department and semester; --keep leaves the database file behind.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { values: opts } = parseArgs({
+  options: {
+    sections: { type: 'string', default: '3' },
+    queries: { type: 'string', default: '300' },
+    seed: { type: 'string', default: '1' },
+    keep: { type: 'boolean', default: false }
+  }
+});
+const dbFile = path.join(os.tmpdir(), `scheduler-bench-${process.pid}.db`);
+process.env.DB_PATH = dbFile;
+
+const { db, insertRoom, insertTimetable, insertSchedule, insertBooking } = require('../lib/db');
+const { parseSlot, defaultSlotGrid, formatTime } = require('../lib/slots');
+const { serializeRoom, filterRooms, findFreeRooms } = require('../lib/rooms');
+const { refreshOccupancy, busyRooms } = require('../lib/occupancy');
+
+const DEPARTMENTS = [
+  'COMPUTER SCIENCE AND ENGINEERING', 'INFORMATION TECHNOLOGY', 'ELECTRONICS AND COMMUNICATION ENGINEERING',
+  'ELECTRICAL AND ELECTRONICS ENGINEERING', 'MECHANICAL ENGINEERING', 'CIVIL ENGINEERING', 'CHEMICAL ENGINEERING',
+  'BIOTECHNOLOGY', 'AERONAUTICAL ENGINEERING', 'AUTOMOBILE ENGINEERING', 'ARTIFICIAL INTELLIGENCE AND DATA SCIENCE',
+  'MASTER OF COMPUTER APPLICATIONS', 'MASTER OF BUSINESS ADMINISTRATION'
+];
+const SEMESTERS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII'];
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const SUBJECTS = ['MATHS', 'PHYSICS', 'DBMS', 'OS', 'CN', 'ML', 'DSA', 'COA', 'SE', 'TOC', 'EVS', 'ENGLISH'];
+
+// Small seeded PRNG so runs are repeatable
+function random(seed) {
+  let s = seed >>> 0;
+  return () => {
+    s = (s + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(s ^ (s >>> 15), 1 | s);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+const rand = random(Number(opts.seed) || 1);
+const pick = list => list[Math.floor(rand() * list.length)];
+
+// ── Synthetic campus ──
+function seed() {
+  const slots = defaultSlotGrid().slots;
+  // Blocks 1–6, floors 0–4, 20 rooms a floor; the last four on each floor are labs
+  const classrooms = [];
+  const labs = [];
+  for (let block = 1; block <= 6; block++) {
+    for (let floor = 0; floor <= 4; floor++) {
+      for (let n = 1; n <= 20; n++) {
+        const room = `${block}${floor}${String(n).padStart(2, '0')}`;
+        insertRoom.run(room, n > 16 ? 'lab' : 'classroom');
+        (n > 16 ? labs : classrooms).push(room);
+      }
+    }
+  }
+  let entries = 0;
+  const sectionsPer = Math.max(1, Number(opts.sections) || 3);
+  for (const department of DEPARTMENTS) {
+    for (const sem of SEMESTERS) {
+      for (let i = 0; i < sectionsPer; i++) {
+        const home = pick(classrooms);
+        const tt = insertTimetable.run(department, sem + ' Semester', String.fromCharCode(65 + i), home, 'bench.pdf', 'uploads/bench.pdf', 1, 'default');
+        for (const day of DAYS) {
+          // Saturdays are half days; a few periods a week are free
+          for (const s of day === 'Saturday' ? slots.slice(0, 3) : slots) {
+            if (rand() < 0.12) continue;
+            const lab = rand() < 0.15;
+            insertSchedule.run(tt.lastInsertRowid, day, s.label, lab ? pick(labs) : home, pick(SUBJECTS) + (lab ? ' LAB' : ''), s.start, s.end);
+            entries++;
+          }
+        }
+      }
+    }
+  }
+  const approve = db.prepare("UPDATE bookings SET status = 'approved' WHERE id = ?");
+  for (let i = 0; i < 400; i++) {
+    const start = 8 * 60 + Math.floor(rand() * 18) * 30;
+    const dated = rand() < 0.5;
+    const r = insertBooking.run(pick(classrooms), pick(DAYS), dated ? `2026-11-${String(1 + Math.floor(rand() * 28)).padStart(2, '0')}` : null,
+      formatTime(start), formatTime(start + 60 + Math.floor(rand() * 3) * 30), 'Event ' + i, 'bench', null);
+    if (rand() < 0.7) approve.run(r.lastInsertRowid);
+  }
+  return { rooms: classrooms.length + labs.length, sections: DEPARTMENTS.length * SEMESTERS.length * sectionsPer, entries };
+}
+
+// ── The three lookups ──
+// Each finds the set of busy rooms; the full lookup then lists the free inventory rooms
+// the way /api/free-rooms does, so both the query itself and the whole request are timed.
+const minutes = t => Number(t.slice(0, 2)) * 60 + Number(t.slice(3, 5));
+const weeklyBookings = day => db.prepare(`SELECT room_number, start_time, end_time FROM bookings NOT INDEXED
+  WHERE status = 'approved' AND date IS NULL AND LOWER(day) = LOWER(?)`).all(day);
+
+function slotBySlot({ day, from, to }) {
+  const [fromMin, toMin] = [minutes(from), minutes(to)];
+  const busy = new Set();
+  for (const { time_slot } of db.prepare('SELECT DISTINCT time_slot FROM schedules NOT INDEXED').all()) {
+    const slot = parseSlot(time_slot);
+    if (!slot || slot.start >= toMin || slot.end <= fromMin) continue;
+    const rows = db.prepare('SELECT room_number FROM schedules NOT INDEXED WHERE LOWER(day) = LOWER(?) AND time_slot = ?').all(day, time_slot);
+    for (const r of rows) busy.add(r.room_number);
+  }
+  for (const b of weeklyBookings(day)) {
+    if (minutes(b.start_time) < toMin && minutes(b.end_time) > fromMin) busy.add(b.room_number);
+  }
+  return busy;
+}
+
+function rangeScan({ day, from, to }) {
+  const [fromMin, toMin] = [minutes(from), minutes(to)];
+  const busy = new Set(db.prepare('SELECT room_number FROM schedules NOT INDEXED WHERE LOWER(day) = LOWER(?) AND start_min < ? AND end_min > ?')
+    .all(day, toMin, fromMin).map(r => r.room_number));
+  for (const b of weeklyBookings(day)) {
+    if (minutes(b.start_time) < toMin && minutes(b.end_time) > fromMin) busy.add(b.room_number);
+  }
+  return busy;
+}
+
+const freeInventory = busy => filterRooms(db.prepare('SELECT * FROM rooms').all().map(serializeRoom), { include_unbookable: '1' })
+  .filter(r => !busy.has(r.room_number)).map(r => r.room_number).sort();
+
+const METHODS = {
+  'slot-by-slot': { busy: slotBySlot, full: q => freeInventory(slotBySlot(q)) },
+  'range scan': { busy: rangeScan, full: q => freeInventory(rangeScan(q)) },
+  'occupancy map': {
+    busy: q => busyRooms(q.day, null, minutes(q.from), minutes(q.to)),
+    full: q => findFreeRooms({ ...q, include_unbookable: '1' }).free_rooms.map(r => r.room_number).sort()
+  }
+};
+
+// ── Timing ──
+function time(fn) {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+function stats(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const at = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  return { mean: samples.reduce((a, b) => a + b, 0) / samples.length, median: at(0.5), p95: at(0.95) };
+}
+
+function main() {
+  const seeded = time(() => db.transaction(seed)());
+  console.log(`Synthetic campus: ${DEPARTMENTS.length} departments, ${seeded.result.sections} sections, ` +
+    `${seeded.result.entries} classes, ${seeded.result.rooms} rooms (seeded in ${seeded.ms.toFixed(0)} ms)`);
+  console.log(`Occupancy map rebuild: ${time(refreshOccupancy).ms.toFixed(1)} ms ` +
+    `(${db.prepare('SELECT COUNT(*) AS n FROM room_occupancy').get().n} stretches)\n`);
+
+  const queries = Array.from({ length: Math.max(1, Number(opts.queries) || 300) }, () => {
+    const start = 8 * 60 + Math.floor(rand() * 16) * 30;
+    return { day: pick(DAYS), from: formatTime(start), to: formatTime(start + 30 + Math.floor(rand() * 4) * 30) };
+  });
+  const timings = {};
+  for (const [name, method] of Object.entries(METHODS)) {
+    method.full(queries[0]); // warm up statement caches
+    timings[name] = { busy: [], full: [] };
+  }
+
+  for (const q of queries) {
+    const answers = Object.entries(METHODS).map(([name, method]) => {
+      timings[name].busy.push(time(() => method.busy(q)).ms);
+      const { result, ms } = time(() => method.full(q));
+      timings[name].full.push(ms);
+      return result.join(',');
+    });
+    if (new Set(answers).size !== 1) {
+      console.error(`Implementations disagree on ${q.day} ${q.from}-${q.to}`);
+      process.exitCode = 1;
+    }
+  }
+
+  console.log(`${queries.length} lookups each, ms per lookup (mean / median / p95) and speed-up over slot-by-slot\n`);
+  for (const part of ['busy', 'full']) {
+    console.log(part === 'busy' ? 'Busy-room query only' : 'Whole free-room lookup');
+    const baseline = stats(timings['slot-by-slot'][part]).mean;
+    for (const [name, t] of Object.entries(timings)) {
+      const s = stats(t[part]);
+      console.log(`  ${name.padEnd(14)} ${[s.mean, s.median, s.p95].map(n => n.toFixed(3).padStart(7)).join(' ')}` +
+        `   ${(baseline / s.mean).toFixed(1).padStart(5)}×`);
+    }
+    console.log();
+  }
+  if (!process.exitCode) console.log('All implementations returned the same free rooms for every lookup.');
+}
+
+try {
+  main();
+} finally {
+  db.close();
+  if (opts.keep) console.log(`Database kept at ${dbFile}`);
+  else for (const suffix of ['', '-wal', '-shm']) fs.rmSync(dbFile + suffix, { force: true });
+}
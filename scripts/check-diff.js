@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// Checks diffEntries (lib/timetables.js), which decides what a re-upload changed, on the
+// cases supersession has to get right: parallel batches sharing a slot, room-only changes,
+// moved subjects and unchanged re-uploads. Runs against a throwaway database.
+//
+//   node scripts/check-diff.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dbFile = path.join(os.tmpdir(), `scheduler-check-${process.pid}.db`);
+process.env.DB_PATH = dbFile;
+
+const { db } = require('../lib/db');
+const { diffEntries } = require('../lib/timetables');
+
+const entry = (day, time_slot, subject, room_number) => ({ day, time_slot, subject, room_number });
+const none = { added: [], removed: [], moved: [], changed: [], room_changes: [] };
+
+const CASES = [
+  {
+    name: 'unchanged re-upload',
+    old: [entry('Monday', '09:00-09:55', 'DS', '704'), entry('Tuesday', '10:50-11:45', 'OS', '705')],
+    new: [entry('Monday', '09:00-09:55', 'DS', '704'), entry('Tuesday', '10:50-11:45', 'OS', '705')],
+    expect: { unchanged: true, ...none }
+  },
+  {
+    name: 'parallel batches listed in another order',
+    old: [entry('Monday', '09:00-09:55', 'DS LAB', 'LAB1'), entry('Monday', '09:00-09:55', 'OS LAB', 'LAB2')],
+    new: [entry('Monday', '09:00-09:55', 'OS LAB', 'LAB2'), entry('Monday', '09:00-09:55', 'DS LAB', 'LAB1')],
+    expect: { unchanged: true, ...none }
+  },
+  {
+    name: 'one parallel batch dropped',
+    old: [entry('Monday', '09:00-09:55', 'DS LAB', 'LAB1'), entry('Monday', '09:00-09:55', 'OS LAB', 'LAB2')],
+    new: [entry('Monday', '09:00-09:55', 'DS LAB', 'LAB1')],
+    expect: { unchanged: false, ...none, removed: [entry('Monday', '09:00-09:55', 'OS LAB', 'LAB2')] }
+  },
+  {
+    name: 'parallel batch added',
+    old: [entry('Monday', '09:00-09:55', 'DS LAB', 'LAB1')],
+    new: [entry('Monday', '09:00-09:55', 'DS LAB', 'LAB1'), entry('Monday', '09:00-09:55', 'OS LAB', 'LAB2')],
+    expect: { unchanged: false, ...none, added: [entry('Monday', '09:00-09:55', 'OS LAB', 'LAB2')] }
+  },
+  {
+    name: 'room-only change in a shared slot',
+    old: [entry('Monday', '09:00-09:55', 'DS LAB', 'LAB1'), entry('Monday', '09:00-09:55', 'OS LAB', 'LAB2')],
+    new: [entry('Monday', '09:00-09:55', 'DS LAB', 'LAB1'), entry('Monday', '09:00-09:55', 'OS LAB', 'LAB3')],
+    expect: {
+      unchanged: false, ...none,
+      room_changes: [{ day: 'Monday', time_slot: '09:00-09:55', subject: 'OS LAB', from: 'LAB2', to: 'LAB3' }]
+    }
+  },
+  {
+    name: 'subject changed',
+    old: [entry('Wednesday', '02:15-03:10', 'DS', '704')],
+    new: [entry('Wednesday', '02:15-03:10', 'OS', '704')],
+    expect: {
+      unchanged: false, ...none,
+      changed: [{ day: 'Wednesday', time_slot: '02:15-03:10', from: 'DS', to: 'OS', room_number: '704' }]
+    }
+  },
+  {
+    name: 'subject moved to another slot',
+    old: [entry('Monday', '09:00-09:55', 'DS', '704'), entry('Monday', '09:00-09:55', 'OS', '705')],
+    new: [entry('Monday', '09:00-09:55', 'OS', '705'), entry('Thursday', '10:50-11:45', 'DS', '706')],
+    expect: {
+      unchanged: false, ...none,
+      moved: [{
+        subject: 'DS',
+        from: { day: 'Monday', time_slot: '09:00-09:55', room_number: '704' },
+        to: { day: 'Thursday', time_slot: '10:50-11:45', room_number: '706' }
+      }]
+    }
+  },
+  {
+    name: 'duplicate class removed',
+    old: [entry('Friday', '09:00-09:55', 'DS', '704'), entry('Friday', '09:00-09:55', 'DS', '704')],
+    new: [entry('Friday', '09:00-09:55', 'DS', '704')],
+    expect: { unchanged: false, ...none, removed: [entry('Friday', '09:00-09:55', 'DS', '704')] }
+  }
+];
+
+function main() {
+  let failed = 0;
+  for (const c of CASES) {
+    try {
+      assert.deepStrictEqual(diffEntries(c.old, c.new), c.expect);
+      console.log(`ok    ${c.name}`);
+    } catch (err) {
+      failed++;
+      console.error(`FAIL  ${c.name}\n${err.message}\n`);
+    }
+  }
+  console.log(`\n${CASES.length - failed} of ${CASES.length} diff cases passed.`);
+  if (failed) process.exitCode = 1;
+}
+
+try {
+  main();
+} finally {
+  db.close();
+  for (const suffix of ['', '-wal', '-shm']) fs.rmSync(dbFile + suffix, { force: true });
+}
@@ -1,20 +1,58 @@
 const express = require('express');
-const Database = require('better-sqlite3');
 const multer = require('multer');
-const pdfParse = require('pdf-parse');
 const fs = require('fs');
+const path = require('path');
+const { db, insertRoom, insertBooking } = require('./lib/db');
+const { HEADER_FORMATS_FILE, readPdfPages, parsePdfPage, logSkippedPages, loadHeaderFormats, getHeaderFormats, describeHeaderFormat } = require('./lib/parser');
+const { CALENDAR_TYPES, WEEKDAYS, CALENDAR_TZ, CALENDAR_TZ_OFFSET, parseDate, localNow, toDayName, dayNumber, resolveDate } = require('./lib/calendar');
+const { serializeRoom, normalizeFacilities, timeToMinutes, rangesOverlap, weekAxes, approvedBookingsOn, findFreeRooms } = require('./lib/rooms');
+const {
+  commitSections, saveParseReport, summarizeSection, timetableEntries, replaceTimetable, diffEntries,
+  findMatchingTimetable, listUploads, removeUpload, getParseReport
+} = require('./lib/timetables');
+const { findConflicts, filterConflicts, countConflicts } = require('./lib/conflicts');
+const { parseCsv, toCsv, parseTimetableCsv, timetableCsv } = require('./lib/csv');
+const { computeUtilization } = require('./lib/analytics');
+const { SLOT_GRIDS_FILE, parseTime, parseSlot, slotLabel, formatTime, loadSlotGrids, getSlotGrids, getSlotGrid, defaultSlotGrid, slotGridFor, describeSlotGrid } = require('./lib/slots');
+const { findFreeWindows, findBestSlots } = require('./lib/windows');
+const { findRoomGroups } = require('./lib/groups');
+const {
+  ROLES, publicUser, validateRole, validatePassword, verifyPassword, hashPassword, createUser, isLastAdmin, bootstrapAdmin,
+  createSession, sessionCookie, endSession, endOtherSessions, createToken, authenticate, hasRole, requireRole
+} = require('./lib/auth');
+const { auditTrail, recordAudit, sectionName, describeTimetables, roomCount, queryAudit } = require('./lib/audit');
+const { SNAPSHOT_DIR, exportData, importData, listSnapshots, writeSnapshot, startSnapshots } = require('./lib/export');
+const { SUBJECT_FACULTY, linkSubjects, listSubjects, listFaculty, matchFaculty } = require('./lib/subjects');
+const { search } = require('./lib/search');
+const { boardAt, watchBoard, boardChanged, refreshBoardOnWrite } = require('./lib/now');
+const { startJob, getJob, listJobs, cancelJob, watchJob, describeJob } = require('./lib/jobs');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Behind a reverse proxy (Render, nginx) set TRUST_PROXY so the audit log records client addresses
+if (process.env.TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
 
-app.use(express.json());
+// Other sites may call the API only when listed in CORS_ORIGINS (comma-separated
+// origins, e.g. "https://intranet.example.edu"); the app's own pages need no entry
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+
+// Backup archives (POST /api/import) are larger than the default 100kb
+app.use(express.json({ limit: '50mb' }));
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET,POST,DELETE,OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
-  if (req.method === 'OPTIONS') return res.sendStatus(200);
+  const origin = req.headers.origin;
+  if (origin && CORS_ORIGINS.includes(origin)) {
+    res.header('Access-Control-Allow-Origin', origin);
+    res.header('Access-Control-Allow-Credentials', 'true');
+    res.header('Access-Control-Allow-Methods', 'GET,POST,PATCH,DELETE,OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.header('Vary', 'Origin');
+  }
+  if (req.method === 'OPTIONS') return res.sendStatus(204);
   next();
 });
+app.use(authenticate);
+app.use(auditTrail);
+app.use(refreshBoardOnWrite);
 app.use(express.static('public'));
 if (!fs.existsSync('uploads')) fs.mkdirSync('uploads');
 
@@ -24,789 +62,1516 @@ const storage = multer.diskStorage({
 });
 const upload = multer({ storage });
 
-// ── Database ──
-const db = new Database('scheduler.db');
-db.pragma('journal_mode = WAL');
-
-db.exec(`
-  CREATE TABLE IF NOT EXISTS rooms (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    room_number TEXT UNIQUE NOT NULL,
-    room_type TEXT DEFAULT 'classroom'
-  );
-  CREATE TABLE IF NOT EXISTS timetables (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    department TEXT NOT NULL,
-    year_sem TEXT NOT NULL,
-    section TEXT,
-    default_room TEXT,
-    filename TEXT NOT NULL,
-    filepath TEXT NOT NULL,
-    uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-  CREATE TABLE IF NOT EXISTS schedules (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    timetable_id INTEGER NOT NULL,
-    day TEXT NOT NULL,
-    time_slot TEXT NOT NULL,
-    room_number TEXT NOT NULL,
-    subject TEXT,
-    FOREIGN KEY (timetable_id) REFERENCES timetables(id) ON DELETE CASCADE
-  );
-`);
-
-const insertRoom = db.prepare('INSERT OR IGNORE INTO rooms (room_number, room_type) VALUES (?, ?)');
-const insertTimetable = db.prepare('INSERT INTO timetables (department, year_sem, section, default_room, filename, filepath) VALUES (?, ?, ?, ?, ?, ?)');
-const insertSchedule = db.prepare('INSERT INTO schedules (timetable_id, day, time_slot, room_number, subject) VALUES (?, ?, ?, ?, ?)');
-
-// ── Pre-seed all known event rooms ──
-const ALL_ROOMS = [
-  '101','106','120','125','126','128','129','131','132','133','134',
-  '201','207','208','222','224','229','233',
-  '301','302','311','321','322','323','324','327','328','330','331','332',
-  '503','504','519',
-  '603','605','606','609','610','611','612','618',
-  '703','704','705','706','709','710','711','712','715','718',
-  '802','803','817','818','824','825',
-  '1805',
-  '2003','2010','2011','2052',
-  '2303','2406','2407','2452','2453','2456',
-  '2603','2702','2703','2706','2802','2852','2853',
-  '4001','4002','4003','4004','4101','4102','4103',
-  '4200','4201','4202','4203','4204','4215','4216','4217','4218','4219','4221',
-  '4300','4301','4302','4303','4304','4315','4316','4317','4318','4319','4320','4321','4324',
-  '4416','4417','4418','4419'
-];
-db.transaction(() => {
-  for (const room of ALL_ROOMS) {
-    insertRoom.run(room, 'classroom');
-  }
-})();
-
-// ── Custom page renderer for position-aware text extraction ──
-function positionPageRender(pageData) {
-  return pageData.getTextContent({ normalizeWhitespace: false }).then(function(textContent) {
-    const items = textContent.items.map(item => ({
-      x: Math.round(item.transform[4]),
-      y: Math.round(item.transform[5]),
-      t: item.str.trim(),
-      w: Math.round(item.width)
-    })).filter(i => i.t.length > 0);
-    return JSON.stringify(items);
-  });
+// Uploads are deleted once handled, so a file still in uploads/ at startup belongs to a
+// request or background job the last run never finished (jobs live in memory). Record
+// each as a failed upload, against its queued job when there was one, and delete it.
+function sweepOrphanedUploads() {
+  for (const file of fs.readdirSync('uploads')) {
+    const queued = db.prepare(`SELECT details FROM audit_log WHERE action = 'upload.queue' AND json_extract(details, '$.file') = ?
+      ORDER BY id DESC LIMIT 1`).get(file);
+    const jobId = queued ? JSON.parse(queued.details).job_id : null;
+    recordAudit({
+      actor: 'server', action: 'upload.fail', target: 'startup', filename: file.replace(/^\d+-/, ''),
+      details: { job_id: jobId, file, reason: 'The server restarted before the file was parsed' }
+    });
+    fs.rmSync(path.join('uploads', file), { force: true, recursive: true });
+    console.log(`Dropped unfinished upload ${file}${jobId ? ` (job #${jobId})` : ''}`);
+  }
 }
 
-// ── Upload PDF ──
-app.post('/api/upload', upload.single('pdf'), async (req, res) => {
-  try {
-    if (!req.file) return res.status(400).json({ error: 'PDF file is required' });
-    console.log('Processing:', req.file.originalname, 'size:', req.file.size);
+// ── Upload PDF or CSV ──
+// POST /api/upload?review=1 parses and stages the import instead of saving it (see Pending imports below).
+// The "pdf" field also takes a timetable CSV (see parseTimetableCsv in lib/csv.js), which skips the PDF heuristics.
+function isCsvUpload(file) {
+  return /\.csv$/i.test(file.originalname) || ['text/csv', 'application/vnd.ms-excel'].includes(file.mimetype);
+}
+
+// Save (or stage, for review) a parsed upload → { status, body, audit }
+function finishUpload(filename, parsed, review) {
+  const { pageCount, sections, skippedPages, pageReports } = parsed;
+  const skippedCount = pageCount - sections.length;
+  // CSV files have no pages to skip
+  const skippedNote = parsed.csv ? '' : ` ${skippedCount} page(s) skipped.`;
+
+  if (review) {
+    const pending = stageImport(filename, pageCount, sections, skippedPages, pageReports);
+    console.log(`Staged import #${pending.id}: ${sections.length} sections, ${skippedCount} pages skipped`);
+    return {
+      status: 202,
+      audit: {
+        action: 'upload.stage', filename, sections: sections.map(sectionName),
+        rooms: sections.flatMap(s => s.rooms), details: { import_id: pending.id, pages: pageCount, skipped_pages: skippedCount }
+      },
+      body: {
+        message: `Parsed ${sections.length} section(s) from ${parsed.from} — review and commit to save.${skippedNote}`,
+        import: pending
+      }
+    };
+  }
+
+  const { totalEntries, totalRooms, replacedEntries, superseded, timetableIds } = commitSections(sections, filename);
+  saveParseReport(filename, pageReports);
+  const conflicts = filterConflicts(findConflicts(), { timetableIds });
+  const clashes = countConflicts(conflicts);
+
+  console.log(`Parsed: ${sections.length} sections, ${totalEntries} entries, ${totalRooms} new rooms, ${superseded.length} superseded, ${skippedCount} pages skipped, ${clashes} clashes`);
+  return {
+    status: 200,
+    audit: {
+      filename, sections: sections.map(sectionName), rooms: sections.flatMap(s => s.rooms),
+      before: replacedEntries, after: totalEntries,
+      details: { pages: pageCount, skipped_pages: skippedCount, replaced_sections: superseded.length, new_rooms: totalRooms }
+    },
+    body: {
+      message: `Parsed ${sections.length} section(s) from ${parsed.from}: ${totalEntries} schedule entries, ${totalRooms} new rooms.` +
+        (superseded.length ? ` ${superseded.length} existing section(s) replaced.` : '') + skippedNote +
+        (clashes ? ` ${clashes} clash(es) found.` : ''),
+      sections: sections.map(summarizeSection),
+      superseded,
+      conflicts,
+      total_entries: totalEntries,
+      total_rooms: totalRooms
+    }
+  };
+}
 
-    const pdfBuffer = fs.readFileSync(req.file.path);
+// A PDF is parsed in a background job (see lib/jobs.js): the request returns 202 with
+// the job, which reports page-by-page progress and, when done, the same result a CSV
+// upload returns directly. A page that can't be read or parsed is skipped and reported;
+// cancelling stops reading and saves nothing.
+function queuePdfUpload(req) {
+  const filename = req.file.originalname;
+  const filePath = req.file.path;
+  const review = req.query.review === '1' || (req.body && req.body.review === 'true');
+  const ip = req.ip;
+  const job = startJob({
+    type: 'upload', filename, review, phase: 'reading', pages_total: null, pages_done: 0, sections_found: [], skipped_pages: []
+  }, req.user, async (self, update) => {
+    const sections = [];
+    const skippedPages = [];
+    const reports = [];
+    const take = (page, pageNum) => {
+      const { section, skipped, report } = parsePdfPage(page, pageNum);
+      if (section) sections.push(section);
+      if (skipped) skippedPages.push(skipped);
+      reports.push(report);
+    };
     let pages;
     try {
-      const pdfData = await pdfParse(pdfBuffer, { pagerender: positionPageRender });
-      pages = pdfData.text.split('\n\n').filter(Boolean);
+      pages = await readPdfPages(filePath, (page, pageNum, pageCount) => {
+        take(page, pageNum);
+        update({
+          pages_total: pageCount, pages_done: reports.length,
+          sections_found: sections.map(sectionName), skipped_pages: skippedPages.map(({ sample, ...sp }) => sp)
+        });
+        return !self.cancel_requested;
+      });
     } catch (pdfErr) {
-      console.error('PDF parse error:', pdfErr.message);
-      return res.status(400).json({ error: 'Could not read PDF: ' + pdfErr.message });
+      throw new Error('Could not read PDF: ' + pdfErr.message);
+    } finally {
+      // The pages are in memory now; the file goes whether the job carries on, failed or was cancelled
+      fs.rmSync(filePath, { force: true });
     }
+    if (self.cancel_requested) return null;
+
+    // Pages pdf.js never handed over (it gave up on them) still get a report entry
+    const seen = new Set(reports.map(r => r.page));
+    pages.forEach((page, i) => { if (!seen.has(i + 1)) take(page, i + 1); });
+    reports.sort((a, b) => a.page - b.page);
+    skippedPages.sort((a, b) => a.page - b.page);
+    sections.sort((a, b) => a.pageNum - b.pageNum);
+    logSkippedPages(skippedPages);
+
+    update({ phase: 'saving', pages_total: pages.length, pages_done: pages.length });
+    const parsed = { pageCount: pages.length, sections, skippedPages, pageReports: reports, from: `${pages.length} pages` };
+    const { body, audit } = finishUpload(filename, parsed, review);
+    recordAudit({ user: req.user, ip, target: '/api/upload', action: 'upload', ...audit, details: { ...audit.details, job_id: self.id } });
+    boardChanged();
+    return body;
+  });
+  // A job cancelled while still queued never reads its file
+  job.finished.then(() => {
+    if (!job.started_at) fs.rmSync(filePath, { force: true });
+  });
+  return job;
+}
 
-    const sections = parsePdfPages(pages);
-    let totalEntries = 0;
-    let totalRooms = 0;
-    const skippedCount = pages.length - sections.length;
-
-    db.transaction(() => {
-      for (const sec of sections) {
-        for (const room of sec.rooms) {
-          const r = insertRoom.run(room, /lab/i.test(room) ? 'lab' : 'classroom');
-          if (r.changes) totalRooms++;
-        }
-        const tt = insertTimetable.run(sec.department, sec.year_sem, sec.section, sec.default_room, req.file.originalname, '');
-        const ttId = Number(tt.lastInsertRowid);
-        for (const e of sec.entries) {
-          insertSchedule.run(ttId, e.day, e.time_slot, e.room_number, e.subject);
-          totalEntries++;
-        }
-      }
-    })();
+app.post('/api/upload', requireRole('coordinator'), upload.single('pdf'), async (req, res) => {
+  let queued = false;
+  try {
+    if (!req.file) return res.status(400).json({ error: 'A PDF or CSV file is required' });
+    console.log('Processing:', req.file.originalname, 'size:', req.file.size);
 
-    // Clean up uploaded file — data is in DB now
-    try { fs.unlinkSync(req.file.path); } catch {}
+    if (!isCsvUpload(req.file)) {
+      const job = queuePdfUpload(req);
+      queued = true;
+      res.locals.audit = { action: 'upload.queue', filename: req.file.originalname, details: { job_id: job.id, file: req.file.filename } };
+      return res.status(202).json({ message: `Reading ${req.file.originalname} — follow job #${job.id} for progress.`, job: describeJob(job) });
+    }
 
-    console.log(`Parsed: ${sections.length} sections, ${totalEntries} entries, ${totalRooms} new rooms, ${skippedCount} pages skipped`);
-    return res.json({
-      message: `Parsed ${sections.length} section(s) from ${pages.length} pages: ${totalEntries} schedule entries, ${totalRooms} new rooms. ${skippedCount} page(s) skipped.`,
-      sections: sections.map(s => ({ department: s.department, year_sem: s.year_sem, section: s.section, default_room: s.default_room, entries: s.entries.length })),
-      total_entries: totalEntries,
-      total_rooms: totalRooms
-    });
+    const csv = parseTimetableCsv(fs.readFileSync(req.file.path, 'utf8'));
+    if (csv.errors) {
+      return res.status(400).json({ error: `${csv.total_errors} problem(s) in ${req.file.originalname} — nothing imported`, errors: csv.errors });
+    }
+    const parsed = { pageCount: csv.sections.length, sections: csv.sections, skippedPages: [], pageReports: csv.pageReports, from: `${csv.rows} CSV row(s)`, csv: true };
+    const { status, body, audit } = finishUpload(req.file.originalname, parsed, req.query.review === '1' || (req.body && req.body.review === 'true'));
+    res.locals.audit = audit;
+    return res.status(status).json(body);
   } catch (err) {
     console.error('Upload error:', err);
     return res.status(500).json({ error: 'Failed: ' + err.message });
+  } finally {
+    // Clean up uploaded file — data is in the DB (or the pending import) now. A queued
+    // PDF is removed by its job once it has read it.
+    if (req.file && !queued) {
+      try { fs.unlinkSync(req.file.path); } catch {}
+    }
   }
 });
 
-app.get('/api/rooms', (req, res) => res.json(db.prepare('SELECT * FROM rooms').all()));
+// ── Jobs (see lib/jobs.js) ──
+// Background uploads; each lists its progress, and its result once done
+app.get('/api/jobs', requireRole('coordinator'), (req, res) => {
+  res.json(listJobs());
+});
 
-app.delete('/api/uploads/:filename', (req, res) => {
-  const filename = decodeURIComponent(req.params.filename);
-  const tts = db.prepare('SELECT id, filepath FROM timetables WHERE filename = ?').all(filename);
-  db.transaction(() => {
-    for (const tt of tts) {
-      db.prepare('DELETE FROM schedules WHERE timetable_id = ?').run(tt.id);
-      if (tt.filepath && fs.existsSync(tt.filepath)) fs.unlinkSync(tt.filepath);
-    }
-    db.prepare('DELETE FROM timetables WHERE filename = ?').run(filename);
-  })();
-  res.json({ message: `Removed ${tts.length} section(s) from ${filename}` });
+app.get('/api/jobs/:id', requireRole('coordinator'), (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(describeJob(job));
 });
 
-app.get('/api/uploads', (req, res) => {
-  res.json(db.prepare('SELECT filename, MIN(uploaded_at) as uploaded_at, COUNT(*) as sections FROM timetables GROUP BY filename ORDER BY uploaded_at DESC').all());
+// SSE: "job" events with the job as it progresses; the stream ends when the job does
+app.get('/api/jobs/:id/stream', requireRole('coordinator'), (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  watchJob(req, res, job);
 });
 
-// ── Free Rooms (flexible time range) ──
-// Convert "HH:MM" (12h or 24h) to minutes since midnight for comparison
-function timeToMinutes(t) {
-  let [h, m] = t.split(':').map(Number);
-  // Handle 12-hour format: 01:00-04:05 are PM (13:00-16:05)
-  if (h >= 1 && h <= 4) h += 12;
-  // 12:xx stays as 12:xx (noon)
-  return h * 60 + m;
+app.post('/api/jobs/:id/cancel', requireRole('coordinator'), (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (!cancelJob(job)) return res.status(409).json({ error: `Job #${job.id} has already finished (${job.status})` });
+  res.locals.audit = { filename: job.filename, details: { job_id: job.id } };
+  res.json({ message: `Cancelling job #${job.id}`, job: describeJob(job) });
+});
+
+// ── Timetable versions ──
+// Archived versions of a section (see replaceTimetable in lib/timetables.js)
+function versionEntries(v) {
+  return JSON.parse(v.entries);
 }
 
-app.get('/api/free-rooms', (req, res) => {
-  const { day, from, to } = req.query;
-  if (!day || !from || !to) return res.status(400).json({ error: 'day, from, and to are required' });
-
-  const fromMin = timeToMinutes(from);
-  const toMin = timeToMinutes(to);
-
-  // Find all time slots that overlap with the requested range
-  const allSlots = db.prepare('SELECT DISTINCT time_slot FROM schedules').all().map(r => r.time_slot);
-  const overlapping = allSlots.filter(slot => {
-    const [start, end] = slot.split('-');
-    const slotStart = timeToMinutes(start);
-    const slotEnd = timeToMinutes(end);
-    // Overlap: requested range starts before slot ends AND ends after slot starts
-    return fromMin < slotEnd && toMin > slotStart;
+app.get('/api/timetables/:id/history', (req, res) => {
+  const tt = db.prepare('SELECT * FROM timetables WHERE id = ?').get(req.params.id);
+  if (!tt) return res.status(404).json({ error: 'Timetable not found' });
+  const archived = db.prepare('SELECT * FROM timetable_versions WHERE timetable_id = ? ORDER BY version DESC, id DESC').all(tt.id);
+  // Each version is diffed against the one that replaced it
+  let newer = timetableEntries(tt.id);
+  const versions = archived.map(v => {
+    const entries = versionEntries(v);
+    const item = {
+      version: v.version, filename: v.filename, uploaded_at: v.uploaded_at, archived_at: v.archived_at,
+      department: v.department, year_sem: v.year_sem, section: v.section, default_room: v.default_room,
+      entries: entries.length, diff_to_next: diffEntries(entries, newer)
+    };
+    newer = entries;
+    return item;
   });
+  res.json({
+    timetable: tt,
+    current: { version: tt.version || 1, filename: tt.filename, uploaded_at: tt.uploaded_at, entries: timetableEntries(tt.id).length },
+    versions
+  });
+});
 
-  const allRooms = db.prepare('SELECT * FROM rooms').all();
-
-  // A room is free only if it's free in ALL overlapping slots
-  const occupiedSet = new Set();
-  for (const slot of overlapping) {
-    const rows = db.prepare(
-      'SELECT DISTINCT room_number FROM schedules WHERE LOWER(day) = LOWER(?) AND time_slot = ?'
-    ).all(day, slot);
-    for (const r of rows) occupiedSet.add(r.room_number);
-  }
+app.get('/api/timetables/:id/history/:version', (req, res) => {
+  const v = db.prepare('SELECT * FROM timetable_versions WHERE timetable_id = ? AND version = ? ORDER BY id DESC').get(req.params.id, req.params.version);
+  if (!v) return res.status(404).json({ error: 'Version not found' });
+  res.json({ ...v, entries: versionEntries(v), legend: v.legend ? JSON.parse(v.legend) : null });
+});
 
-  const freeRooms = allRooms.filter(r => !occupiedSet.has(r.room_number));
-  res.json({ day, from, to, overlapping_slots: overlapping, free_rooms: freeRooms, occupied_rooms: Array.from(occupiedSet) });
+// Roll back to an archived version. The current state is archived first, so a rollback can itself be undone.
+app.post('/api/timetables/:id/rollback', requireRole('coordinator'), (req, res) => {
+  const tt = db.prepare('SELECT * FROM timetables WHERE id = ?').get(req.params.id);
+  if (!tt) return res.status(404).json({ error: 'Timetable not found' });
+  const version = req.body && req.body.version;
+  const v = db.prepare('SELECT * FROM timetable_versions WHERE timetable_id = ? AND version = ? ORDER BY id DESC').get(tt.id, version);
+  if (!v) return res.status(404).json({ error: `Version ${version} not found` });
+
+  const entries = versionEntries(v);
+  const current = timetableEntries(tt.id);
+  const diff = diffEntries(current, entries);
+  res.locals.audit = {
+    filename: v.filename, sections: [sectionName(tt)], rooms: [...current, ...entries].map(e => e.room_number),
+    before: current.length, after: entries.length, details: { timetable_id: tt.id, to_version: v.version }
+  };
+  db.transaction(() => {
+    for (const e of entries) insertRoom.run(e.room_number, /lab/i.test(e.room_number) ? 'lab' : 'classroom');
+    // Versions archived before legends were kept leave the current legend in place
+    replaceTimetable(tt, { ...v, entries, legend: v.legend ? JSON.parse(v.legend) : null }, v.filename);
+  })();
+  res.json({
+    message: `Rolled back to version ${v.version} (now version ${(tt.version || 1) + 1})`,
+    timetable: db.prepare('SELECT * FROM timetables WHERE id = ?').get(tt.id),
+    diff
+  });
 });
 
-app.get('/api/slots', (req, res) => {
-  const days = db.prepare('SELECT DISTINCT day FROM schedules ORDER BY day').all().map(r => r.day);
-  const timeSlots = db.prepare('SELECT DISTINCT time_slot FROM schedules ORDER BY time_slot').all().map(r => r.time_slot);
-  res.json({ days, time_slots: timeSlots });
-});
-
-// ══════════════════════════════════════════════════════════
-// Position-aware PDF Parser
-// Uses X/Y coordinates from pdf-parse pagerender to correctly
-// map subjects to time slot columns, preserving free periods.
-// ══════════════════════════════════════════════════════════
-
-const TIME_SLOTS = [
-  '09:00-09:55', '09:55-10:50', '11:10-12:05',
-  '12:05-01:00', '02:15-03:10', '03:10-04:05'
-];
-const DAY_NAMES = { MON: 'Monday', TUE: 'Tuesday', WED: 'Wednesday', THU: 'Thursday', FRI: 'Friday' };
-const SKIP_WORDS = new Set(['B','R','E','A','K','L','U','N','C','H','BREAK','LUNCH','DAY','/HR','HOUR','TO','AM','PM']);
-
-function parsePdfPages(pages) {
-  const allSections = [];
-  const skippedPages = [];
-
-  for (let p = 0; p < pages.length; p++) {
-    let items;
-    try { items = JSON.parse(pages[p]); } catch { 
-      skippedPages.push({ page: p + 1, reason: 'JSON parse failed' });
-      continue; 
-    }
-    if (!items.length) {
-      skippedPages.push({ page: p + 1, reason: 'Empty page' });
-      continue;
-    }
+// ── Pending imports (review before committing) ──
+// A staged upload keeps its full parse result as JSON until an admin commits or
+// discards it. Unconfirmed imports expire after IMPORT_TTL_MINUTES.
+const IMPORT_TTL_MINUTES = Number(process.env.IMPORT_TTL_MINUTES) || 60;
 
-    const section = parseOnePage(items, p + 1);
-    if (section && section.entries.length > 0) {
-      section.pageNum = p + 1;
-      allSections.push(section);
-    } else if (!section) {
-      // Grab first few text items to help identify the format
-      const sample = items.slice(0, 40).map(i => i.t).join(' | ');
-      skippedPages.push({ page: p + 1, reason: 'No section header found', sample });
-    } else {
-      skippedPages.push({ page: p + 1, reason: '0 entries extracted', section: section.section });
-    }
-  }
+function purgeExpiredImports() {
+  const r = db.prepare("DELETE FROM pending_imports WHERE expires_at <= datetime('now')").run();
+  if (r.changes) console.log(`Expired ${r.changes} pending import(s)`);
+}
+setInterval(purgeExpiredImports, 10 * 60 * 1000).unref();
 
-  if (skippedPages.length > 0) {
-    console.log(`\n=== SKIPPED PAGES (${skippedPages.length}) ===`);
-    for (const sp of skippedPages) {
-      console.log(`  Page ${sp.page}: ${sp.reason}${sp.sample ? '\n    Sample: ' + sp.sample.substring(0, 400) : ''}`);
-    }
-    console.log('=== END SKIPPED ===\n');
-  }
+function stageImport(filename, pageCount, sections, skippedPages, pageReports) {
+  const payload = JSON.stringify({ pages: pageCount, sections, skipped_pages: skippedPages, page_reports: pageReports });
+  const r = db.prepare(`INSERT INTO pending_imports (filename, payload, expires_at) VALUES (?, ?, datetime('now', ?))`)
+    .run(filename, payload, `+${IMPORT_TTL_MINUTES} minutes`);
+  return describeImport(db.prepare('SELECT * FROM pending_imports WHERE id = ?').get(r.lastInsertRowid));
+}
 
-  return allSections;
+// Full review view of a pending import: every section with its entries, rooms the
+// inventory doesn't know yet, and the pages the parser skipped
+function describeImport(row) {
+  const { pages, sections, skipped_pages } = JSON.parse(row.payload);
+  const known = new Set(db.prepare('SELECT room_number FROM rooms').all().map(r => r.room_number));
+  const newRooms = [...new Set(sections.flatMap(s => s.rooms))].filter(r => !known.has(r)).sort();
+  return {
+    id: row.id,
+    filename: row.filename,
+    created_at: row.created_at,
+    expires_at: row.expires_at,
+    pages,
+    sections: sections.map((s, index) => {
+      const existing = findMatchingTimetable(s);
+      return {
+        index, page: s.pageNum, ...summarizeSection(s), rooms: s.rooms, schedule: s.entries,
+        // Committing will replace this live section; show what would change
+        supersedes: existing ? {
+          timetable_id: existing.id, filename: existing.filename, version: existing.version || 1,
+          diff: diffEntries(timetableEntries(existing.id), s.entries)
+        } : null
+      };
+    }),
+    new_rooms: newRooms,
+    skipped_pages
+  };
 }
 
-// Normalize split/fragmented roman numerals and common word splits
-function normalizeRoman(text) {
-  return text
-    // VIII variants: "V I I I", "V II I", "V III", "VI I I", "VI II"
-    .replace(/\bV\s+I\s+I\s+I\b/g, 'VIII')
-    .replace(/\bV\s+II\s+I\b/g, 'VIII')
-    .replace(/\bV\s+III\b/g, 'VIII')
-    .replace(/\bVI\s+I\s+I\b/g, 'VIII')
-    .replace(/\bVI\s+II\b/g, 'VIII')
-    // VII variants: "V I I", "V II", "VI I"
-    .replace(/\bV\s+I\s+I\b/g, 'VII')
-    .replace(/\bV\s+II\b/g, 'VII')
-    .replace(/\bVI\s+I\b/g, 'VII')
-    // IV: "I V"
-    .replace(/\bI\s+V\b/g, 'IV')
-    // VI: "V I"
-    .replace(/\bV\s+I\b/g, 'VI')
-    // III: "I I I", "II I", "I II"
-    .replace(/\bI\s+I\s+I\b/g, 'III')
-    .replace(/\bII\s+I\b/g, 'III')
-    .replace(/\bI\s+II\b/g, 'III')
-    // II: "I I"
-    .replace(/\bI\s+I\b/g, 'II')
-    // Fix split words
-    .replace(/Sec\s*tion/gi, 'Section')
-    // OCR artifacts
-    .replace(/B\.?\s*Te\s*c\s*h/gi, 'B.Tech')
-    .replace(/Semeste\s*r/gi, 'Semester')
-    .replace(/ACADEM\s*I\s*C/gi, 'ACADEMIC')
-    .replace(/ENGINEER\s*ING/gi, 'ENGINEERING');
+function getPendingImport(id) {
+  purgeExpiredImports();
+  return db.prepare('SELECT * FROM pending_imports WHERE id = ?').get(id);
 }
 
-function parseOnePage(items, pageNum) {
-  // ── Step 1: Extract header info (department, semester, section, default room) ──
-  let department = '', yearSem = '', section = '', defaultRoom = '';
-  const rooms = new Set();
+app.get('/api/imports', requireRole('coordinator'), (req, res) => {
+  purgeExpiredImports();
+  const rows = db.prepare('SELECT * FROM pending_imports ORDER BY created_at DESC').all();
+  res.json(rows.map(row => {
+    const { sections, skipped_pages } = JSON.parse(row.payload);
+    return { id: row.id, filename: row.filename, created_at: row.created_at, expires_at: row.expires_at, sections: sections.length, skipped_pages: skipped_pages.length };
+  }));
+});
 
-  // Concatenate all text items sorted by Y desc (top first) then X asc
-  // to find header patterns
-  const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+app.get('/api/imports/:id', requireRole('coordinator'), (req, res) => {
+  const row = getPendingImport(req.params.id);
+  if (!row) return res.status(404).json({ error: 'Pending import not found (it may have expired)' });
+  res.json(describeImport(row));
+});
 
-  // Build full text lines by grouping items at similar Y
-  const yGroups = groupByY(sorted, 5);
+// Commit a pending import; body { drop: [sectionIndex, ...] } leaves those sections out
+app.post('/api/imports/:id/commit', requireRole('coordinator'), (req, res) => {
+  const row = getPendingImport(req.params.id);
+  if (!row) return res.status(404).json({ error: 'Pending import not found (it may have expired)' });
+  const drop = new Set(((req.body && req.body.drop) || []).map(Number));
+  const { sections, page_reports: pageReports } = JSON.parse(row.payload);
+  const kept = sections.filter((s, i) => !drop.has(i));
+
+  const { totalEntries, totalRooms, replacedEntries, superseded, timetableIds } = db.transaction(() => {
+    const result = commitSections(kept, row.filename);
+    saveParseReport(row.filename, pageReports || [], sections.filter((s, i) => drop.has(i)).map(s => s.pageNum));
+    db.prepare('DELETE FROM pending_imports WHERE id = ?').run(row.id);
+    return result;
+  })();
 
-  // Also build full page text for fallback matching (handles split fragments across Y-groups)
-  const allText = items.map(i => i.t).join(' ');
-  const normAll = normalizeRoman(allText);
+  res.locals.audit = {
+    filename: row.filename, sections: kept.map(sectionName), rooms: kept.flatMap(s => s.rooms),
+    before: replacedEntries, after: totalEntries,
+    details: { import_id: row.id, dropped_sections: sections.length - kept.length, replaced_sections: superseded.length, new_rooms: totalRooms }
+  };
+  const conflicts = filterConflicts(findConflicts(), { timetableIds });
+  const clashes = countConflicts(conflicts);
+
+  console.log(`Committed import #${row.id}: ${kept.length} sections, ${totalEntries} entries, ${drop.size} dropped, ${clashes} clashes`);
+  res.json({
+    message: `Saved ${kept.length} section(s) from ${row.filename}: ${totalEntries} schedule entries, ${totalRooms} new rooms.` +
+      (superseded.length ? ` ${superseded.length} existing section(s) replaced.` : '') +
+      (sections.length - kept.length ? ` ${sections.length - kept.length} section(s) dropped.` : '') +
+      (clashes ? ` ${clashes} clash(es) found.` : ''),
+    sections: kept.map(summarizeSection),
+    superseded,
+    conflicts,
+    total_entries: totalEntries,
+    total_rooms: totalRooms
+  });
+});
 
-  for (const group of yGroups) {
-    // Merge adjacent fragments within the group (e.g., "285" + "2" → "2852")
-    const mergedGroup = mergeAdjacentItems(group.sort((a, b) => a.x - b.x));
-    const lineText = mergedGroup.map(i => i.t).join(' ');
+app.delete('/api/imports/:id', requireRole('coordinator'), (req, res) => {
+  const row = db.prepare('SELECT * FROM pending_imports WHERE id = ?').get(req.params.id);
+  if (!row) return res.status(404).json({ error: 'Pending import not found (it may have expired)' });
+  const { sections } = JSON.parse(row.payload);
+  db.prepare('DELETE FROM pending_imports WHERE id = ?').run(row.id);
+  res.locals.audit = { filename: row.filename, sections: sections.map(sectionName), details: { import_id: row.id } };
+  res.json({ message: `Discarded import #${req.params.id}` });
+});
 
-    // Department
-    const deptMatch = lineText.match(/DEPARTMENT\s+OF\s+(.+)/i);
-    if (deptMatch && !department) { department = deptMatch[1].trim(); continue; }
+// ── Room Inventory ──
+const ROOM_TYPES = ['classroom', 'lab', 'seminar hall', 'auditorium'];
 
-    const normLine = normalizeRoman(lineText);
+function parseBool(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  const v = String(value).trim().toLowerCase();
+  if (['1', 'true', 'yes', 'y'].includes(v)) return true;
+  if (['0', 'false', 'no', 'n'].includes(v)) return false;
+  return null;
+}
 
-    // CSE format: "IV SEMESTER [SECTION-A1]" or "IV SEMESTER [SECTION A1]"
-    const cseMatch = normLine.match(/(\w+)\s+SEMESTER\s*\[SECTION[-\s]*(\w+)\]/i);
-    if (cseMatch && !section) {
-      yearSem = cseMatch[1] + ' Semester';
-      section = cseMatch[2];
-      continue;
-    }
+// Validate the editable room fields present in `input`.
+// Returns { fields } with DB-ready values for the keys that were given, or { error }.
+function readRoomFields(input) {
+  const fields = {};
+  const has = k => input[k] !== undefined && input[k] !== null && input[k] !== '';
+  if (has('room_type')) {
+    const type = String(input.room_type).trim().toLowerCase();
+    if (!ROOM_TYPES.includes(type)) return { error: `room_type must be one of ${ROOM_TYPES.join(', ')}` };
+    fields.room_type = type;
+  }
+  if (has('capacity')) {
+    const n = Number(input.capacity);
+    if (!Number.isInteger(n) || n < 0) return { error: 'capacity must be a whole number' };
+    fields.capacity = n;
+  }
+  if (has('building')) fields.building = String(input.building).trim();
+  if (has('floor')) {
+    const n = Number(input.floor);
+    if (!Number.isInteger(n)) return { error: 'floor must be a whole number' };
+    fields.floor = n;
+  }
+  if (input.facilities !== undefined) fields.facilities = JSON.stringify(normalizeFacilities(input.facilities));
+  if (has('bookable')) {
+    const b = parseBool(input.bookable);
+    if (b === null) return { error: 'bookable must be yes/no or true/false' };
+    fields.bookable = b ? 1 : 0;
+  }
+  return { fields };
+}
 
-    // EEE format: "VI SEMESTER (SECTION - 01)" or "IV SEMESTER (SECTION-01)"
-    const eeeMatch = normLine.match(/(\w+)\s+SEMESTER\s*\(SECTION[-\s]*(\w+)\)/i);
-    if (eeeMatch && !section) {
-      yearSem = eeeMatch[1] + ' Semester';
-      section = eeeMatch[2];
-      continue;
-    }
+function getRoom(roomNumber) {
+  return db.prepare('SELECT * FROM rooms WHERE room_number = ?').get(roomNumber);
+}
 
-    // ECE/EIE format: "IV Sem – Section – 1" or "VI Sem - Section - 2"
-    const eceMatch = normLine.match(/(\w+)\s+Sem\w*\s*[–\-]\s*Section\s*[–\-]\s*(\w+)/i);
-    if (eceMatch && !section) {
-      yearSem = eceMatch[1] + ' Semester';
-      section = eceMatch[2];
-      continue;
-    }
+function createRoom(roomNumber, fields) {
+  const cols = ['room_number', ...Object.keys(fields)];
+  db.prepare(`INSERT INTO rooms (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`)
+    .run(roomNumber, ...Object.values(fields));
+}
 
-    // Civil format: "B.Tech VI Semester" or "B.Tech IV Semester [CE]"
-    const civilMatch = normLine.match(/B\.?\s*Tech\s+(\w+)\s+Semester/i);
-    if (civilMatch && !yearSem) {
-      yearSem = civilMatch[1] + ' Semester';
-      const secInLine = normLine.match(/Section[-\s]*(\w+)/i);
-      if (secInLine) { section = secInLine[1]; }
-      else {
-        // Bracket section like [CE] or [CE-1]
-        const bracketSec = normLine.match(/Semester\s*\[([^\]]+)\]/i);
-        if (bracketSec) section = bracketSec[1].trim();
-      }
-      continue;
-    }
+function updateRoom(roomNumber, fields) {
+  const keys = Object.keys(fields);
+  if (!keys.length) return;
+  db.prepare(`UPDATE rooms SET ${keys.map(k => k + ' = ?').join(', ')} WHERE room_number = ?`)
+    .run(...Object.values(fields), roomNumber);
+}
 
-    // DS/IT/CS format: "IV Semester (DS-1)" or "VI Semester ( IT )" or "VI Semester (CS-2)"
-    const dsMatch = normLine.match(/(\w+)\s+Semester\s*\(\s*([^)]+)\)/i);
-    if (dsMatch && !section) {
-      yearSem = dsMatch[1] + ' Semester';
-      section = dsMatch[2].trim();
-      continue;
-    }
+app.get('/api/rooms', (req, res) => res.json(db.prepare('SELECT * FROM rooms ORDER BY id').all().map(serializeRoom)));
 
-    // Mechanical bracket format: "[ IV SEMESTER ]" — no section, just semester in brackets
-    const mechBracketLine = normLine.match(/\[\s*(\w+)\s+SEMESTER\s*\]/i);
-    if (mechBracketLine && !section) {
-      yearSem = mechBracketLine[1] + ' Semester';
-      const deptAbbr = department.match(/MECH/i) ? 'ME' : department.substring(0, 3).toUpperCase();
-      section = deptAbbr + '-1';
-      continue;
-    }
+// Bulk inventory import: JSON { rooms: [...] } or a CSV file (field "inventory") with a header row
+// room_number,room_type,capacity,building,floor,facilities,bookable — facilities separated by ";".
+// Existing rooms are updated with the fields given; new rooms are created. All-or-nothing.
+app.post('/api/rooms/import', requireRole('coordinator'), upload.single('inventory'), (req, res) => {
+  let records;
+  if (req.file) {
+    const text = fs.readFileSync(req.file.path, 'utf8').replace(/^\uFEFF/, '');
+    try { fs.unlinkSync(req.file.path); } catch {}
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return res.status(400).json({ error: 'CSV file is empty' });
+    const cols = header.map(h => h.trim().toLowerCase());
+    if (!cols.includes('room_number')) return res.status(400).json({ error: 'CSV header must include room_number' });
+    records = rows.map(cells => Object.fromEntries(cols.map((c, i) => [c, (cells[i] || '').trim()])));
+  } else if (req.body && Array.isArray(req.body.rooms)) {
+    records = req.body.rooms;
+  } else {
+    return res.status(400).json({ error: 'Send { rooms: [...] } as JSON or a CSV file in the "inventory" field' });
+  }
 
-    // Default room: "Room No: 322" or "Room No.: 2852" or "Room No: 2 702"
-    const roomHeaderMatch = normLine.match(/Room\s*No[.:]*\s*([\d\s]+\d)/i);
-    if (roomHeaderMatch && !defaultRoom) {
-      if (group[0].y > 590) {
-        defaultRoom = roomHeaderMatch[1].replace(/\s+/g, '');
-        rooms.add(defaultRoom);
-        continue;
-      }
+  const errors = [];
+  const parsed = [];
+  records.forEach((rec, i) => {
+    const line = req.file ? i + 2 : i + 1; // CSV line numbers count the header
+    const roomNumber = String(rec.room_number || '').trim();
+    if (!roomNumber) return errors.push({ line, error: 'room_number is required' });
+    const { fields, error } = readRoomFields(rec);
+    if (error) return errors.push({ line, room_number: roomNumber, error });
+    parsed.push({ roomNumber, fields });
+  });
+  if (errors.length) return res.status(400).json({ error: `${errors.length} invalid row(s) — nothing imported`, errors });
+
+  let created = 0, updated = 0;
+  const before = roomCount();
+  db.transaction(() => {
+    for (const { roomNumber, fields } of parsed) {
+      if (getRoom(roomNumber)) { updateRoom(roomNumber, fields); updated++; }
+      else { createRoom(roomNumber, fields); created++; }
     }
+  })();
+  res.locals.audit = {
+    filename: req.file ? req.file.originalname : null, rooms: parsed.map(p => p.roomNumber),
+    before, after: roomCount(), details: { created, updated }
+  };
+  res.json({ message: `Imported ${parsed.length} room(s): ${created} new, ${updated} updated`, created, updated });
+});
+
+app.get('/api/rooms/:room', (req, res) => {
+  const room = getRoom(req.params.room);
+  if (!room) return res.status(404).json({ error: 'Room not found' });
+  res.json(serializeRoom(room));
+});
+
+app.post('/api/rooms/:room', requireRole('coordinator'), (req, res) => {
+  const roomNumber = req.params.room.trim();
+  if (getRoom(roomNumber)) return res.status(409).json({ error: `Room ${roomNumber} already exists` });
+  const { fields, error } = readRoomFields(req.body || {});
+  if (error) return res.status(400).json({ error });
+  const before = roomCount();
+  createRoom(roomNumber, fields);
+  res.locals.audit = { rooms: [roomNumber], before, after: roomCount(), details: fields };
+  res.status(201).json(serializeRoom(getRoom(roomNumber)));
+});
+
+app.patch('/api/rooms/:room', requireRole('coordinator'), (req, res) => {
+  if (!getRoom(req.params.room)) return res.status(404).json({ error: 'Room not found' });
+  const { fields, error } = readRoomFields(req.body || {});
+  if (error) return res.status(400).json({ error });
+  updateRoom(req.params.room, fields);
+  res.locals.audit = { rooms: [req.params.room], details: fields };
+  res.json(serializeRoom(getRoom(req.params.room)));
+});
+
+app.delete('/api/rooms/:room', requireRole('admin'), (req, res) => {
+  if (!getRoom(req.params.room)) return res.status(404).json({ error: 'Room not found' });
+  const used = db.prepare('SELECT COUNT(*) AS n FROM schedules WHERE room_number = ?').get(req.params.room).n;
+  if (used) {
+    return res.status(409).json({ error: `Room ${req.params.room} is used by ${used} scheduled class(es) — remove those timetables first` });
   }
+  const before = roomCount();
+  db.prepare('DELETE FROM rooms WHERE room_number = ?').run(req.params.room);
+  res.locals.audit = { rooms: [req.params.room], before, after: roomCount() };
+  res.json({ message: `Removed room ${req.params.room}` });
+});
+
+app.delete('/api/uploads/:filename', requireRole('admin'), (req, res) => {
+  const filename = decodeURIComponent(req.params.filename);
+  const ids = db.prepare('SELECT id FROM timetables WHERE filename = ?').all(filename).map(t => t.id);
+  const { sections, rooms, entries } = describeTimetables(ids);
+  const { reverted, deleted } = removeUpload(filename);
+  res.locals.audit = { filename, sections, rooms, before: entries, after: describeTimetables(ids).entries, details: { reverted, deleted } };
+  res.json({
+    message: `Removed ${filename}: ${deleted} section(s) deleted` + (reverted ? `, ${reverted} put back to their previous version` : ''),
+    reverted, deleted
+  });
+});
+
+app.get('/api/uploads', (req, res) => {
+  res.json(listUploads());
+});
 
-  // ── Fallback: if per-line matching failed, try full page text ──
-  if (!section) {
-    // Department from full text
-    const deptFull = normAll.match(/DEPARTMENT\s+OF\s+([\w\s&]+?)(?:\s+ACADEMIC|\s+CLASS|\s+TIME)/i);
-    if (deptFull && !department) department = deptFull[1].trim();
+app.get('/api/uploads/:filename/report', (req, res) => {
+  const report = getParseReport(req.params.filename);
+  if (!report) return res.status(404).json({ error: 'No parse report for that file' });
+  res.json(report);
+});
 
-    // CSE: [SECTION-A1]
-    const cseFull = normAll.match(/(\w+)\s+SEMESTER\s*\[SECTION[-\s]*(\w+)\]/i);
-    if (cseFull) { yearSem = cseFull[1] + ' Semester'; section = cseFull[2]; }
+// ── Free Rooms (flexible time range) ──
+// See findFreeRooms in lib/rooms.js
+app.get('/api/free-rooms', requireRole('viewer'), (req, res) => {
+  const result = findFreeRooms(req.query);
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json(result);
+});
 
-    // EEE: (SECTION - 01)
-    if (!section) {
-      const eeeFull = normAll.match(/(\w+)\s+SEMESTER\s*\(SECTION[-\s]*(\w+)\)/i);
-      if (eeeFull) { yearSem = eeeFull[1] + ' Semester'; section = eeeFull[2]; }
-    }
+// Several rooms free at once, grouped by block and floor (see lib/groups.js)
+app.get('/api/free-rooms/groups', requireRole('viewer'), (req, res) => {
+  const result = findRoomGroups(req.query);
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json(result);
+});
 
-    // ECE/EIE: Sem – Section – 1
-    if (!section) {
-      const eceFull = normAll.match(/(\w+)\s+Sem\w*\s*[–\-]\s*Section\s*[–\-]\s*(\w+)/i);
-      if (eceFull) { yearSem = eceFull[1] + ' Semester'; section = eceFull[2]; }
-    }
+// Contiguous free time per room across the week (see lib/windows.js)
+app.get('/api/free-windows', requireRole('viewer'), (req, res) => {
+  const result = findFreeWindows(req.query);
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json(result);
+});
 
-    // Civil: B.Tech VI Semester or B.Tech IV Semester [CE]
-    if (!section) {
-      const civilFull = normAll.match(/B\.?\s*Tech\s+(\w+)\s+Semester/i);
-      if (civilFull) {
-        yearSem = civilFull[1] + ' Semester';
-        const secFull = normAll.match(/Section[-\s]*(\w+)/i);
-        if (secFull) { section = secFull[1]; }
-        else {
-          const bracketSec = normAll.match(/Semester\s*\[([^\]]+)\]/i);
-          section = bracketSec ? bracketSec[1].trim() : 'A';
-        }
-      }
-    }
+// Ranked room + day + time options for an event of a given duration
+app.get('/api/free-windows/best', requireRole('viewer'), (req, res) => {
+  const result = findBestSlots(req.query);
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json(result);
+});
 
-    // DS/IT/CS: Semester (DS-1)
-    if (!section) {
-      const dsFull = normAll.match(/(\w+)\s+Semester\s*\(\s*([^)]+)\)/i);
-      if (dsFull) { yearSem = dsFull[1] + ' Semester'; section = dsFull[2].trim(); }
-    }
+// Days and time slots that have classes (Saturday included once a timetable uses it),
+// in week and clock order. ?date= narrows to the slots running on that date;
+// ?department= adds the slot grid that department's timetables are parsed on.
+app.get('/api/slots', (req, res) => {
+  const days = db.prepare('SELECT DISTINCT day FROM schedules').all().map(r => r.day)
+    .sort((a, b) => WEEKDAYS.indexOf(a) - WEEKDAYS.indexOf(b));
+  const slotsOn = day => db.prepare(`SELECT DISTINCT time_slot FROM schedules ${day ? 'WHERE day_num = ?' : ''}
+    ORDER BY start_min IS NULL, start_min, time_slot`).all(...(day ? [dayNumber(day)] : [])).map(r => r.time_slot);
+  const grid = req.query.department !== undefined ? { grid: describeSlotGrid(slotGridFor(req.query.department)) } : {};
+  if (req.query.date) {
+    // Only the slots that actually run on this date
+    const calendar = resolveDate(req.query.date);
+    if (calendar.error) return res.status(400).json({ error: calendar.error });
+    return res.json({ days, date: req.query.date, day: calendar.day, calendar, time_slots: calendar.day ? slotsOn(calendar.day) : [], ...grid });
+  }
+  res.json({ days, time_slots: slotsOn(), ...grid });
+});
 
-    // Mechanical bracket format: "[ IV SEMESTER ]" or "[ V I SEMESTER ]"
-    // These pages have no section name — just semester inside brackets
-    if (!section) {
-      const mechBracket = normAll.match(/\[\s*(\w+)\s+SEMESTER\s*\]/i);
-      if (mechBracket) {
-        yearSem = mechBracket[1] + ' Semester';
-        // Mechanical has no section — derive from department
-        const deptAbbr = department.match(/MECH/i) ? 'ME' : department.substring(0, 3).toUpperCase();
-        section = deptAbbr + '-1';
-      }
-    }
+// ── Academic Calendar ──
+// Terms and holiday/exam/swap entries (see resolveDate in lib/calendar.js)
+app.get('/api/calendar', (req, res) => {
+  res.json({
+    terms: db.prepare('SELECT * FROM calendar_terms ORDER BY start_date').all(),
+    entries: db.prepare('SELECT * FROM calendar_entries ORDER BY start_date, id').all()
+  });
+});
 
-    // Generic fallback: look for "IV Sem" or "VI Sem" + section number
-    if (!section) {
-      const mechSem = normAll.match(/(\w+)\s+Sem(?:ester)?/i);
-      const mechSec = normAll.match(/Section[-–\s]*(\w+)/i);
-      if (mechSem && mechSec) {
-        yearSem = mechSem[1] + ' Semester';
-        section = mechSec[1];
-      } else if (mechSem) {
-        const mechNum = normAll.match(/Sem\w*\s*[–\-]?\s*(\d+)/i);
-        if (mechNum) {
-          yearSem = mechSem[1] + ' Semester';
-          section = mechNum[1];
-        }
-      }
-    }
+app.get('/api/calendar/resolve', (req, res) => {
+  const r = resolveDate(req.query.date);
+  if (r.error) return res.status(400).json({ error: r.error });
+  res.json(r);
+});
 
-    // Room from full text (handles split digits like "2 702")
-    if (!defaultRoom) {
-      const roomFull = normAll.match(/Room\s*No[.:]*\s*([\d\s]+\d)/i);
-      if (roomFull) {
-        defaultRoom = roomFull[1].replace(/\s+/g, '');
-        rooms.add(defaultRoom);
-      }
-    }
+app.post('/api/calendar/terms', requireRole('coordinator'), (req, res) => {
+  const { name, start_date, end_date } = req.body || {};
+  if (!name || !parseDate(start_date) || !parseDate(end_date)) {
+    return res.status(400).json({ error: 'name, start_date and end_date (YYYY-MM-DD) are required' });
+  }
+  if (start_date > end_date) return res.status(400).json({ error: 'start_date must not be after end_date' });
+  const r = db.prepare('INSERT INTO calendar_terms (name, start_date, end_date) VALUES (?, ?, ?)').run(String(name).trim(), start_date, end_date);
+  res.locals.audit = { details: { term_id: Number(r.lastInsertRowid), name: String(name).trim(), start_date, end_date } };
+  res.status(201).json(db.prepare('SELECT * FROM calendar_terms WHERE id = ?').get(r.lastInsertRowid));
+});
 
-    // Handle non-numeric room names like "Project Lab"
-    if (!defaultRoom) {
-      const roomName = normAll.match(/Room\s*(?:No)?[.:]*\s*([A-Za-z]+\s*Lab)/i);
-      if (roomName) {
-        defaultRoom = roomName[1].trim();
-        rooms.add(defaultRoom);
-      }
+app.delete('/api/calendar/terms/:id', requireRole('coordinator'), (req, res) => {
+  const term = db.prepare('SELECT * FROM calendar_terms WHERE id = ?').get(req.params.id);
+  if (!term) return res.status(404).json({ error: 'Term not found' });
+  db.prepare('DELETE FROM calendar_terms WHERE id = ?').run(term.id);
+  res.locals.audit = { details: { term_id: term.id, name: term.name, start_date: term.start_date, end_date: term.end_date } };
+  res.json({ message: `Removed term #${req.params.id}` });
+});
+
+app.post('/api/calendar/entries', requireRole('coordinator'), (req, res) => {
+  const { type, start_date, description } = req.body || {};
+  const end_date = (req.body && req.body.end_date) || start_date;
+  if (!CALENDAR_TYPES.includes(type)) return res.status(400).json({ error: `type must be one of ${CALENDAR_TYPES.join(', ')}` });
+  if (!parseDate(start_date) || !parseDate(end_date)) return res.status(400).json({ error: 'start_date (and optional end_date) must be YYYY-MM-DD' });
+  if (start_date > end_date) return res.status(400).json({ error: 'start_date must not be after end_date' });
+  let followsDay = null;
+  if (type === 'swap') {
+    followsDay = toDayName(req.body.follows_day);
+    if (!followsDay) return res.status(400).json({ error: 'swap entries need follows_day, e.g. "Monday"' });
+  }
+  const r = db.prepare('INSERT INTO calendar_entries (type, start_date, end_date, follows_day, description) VALUES (?, ?, ?, ?, ?)')
+    .run(type, start_date, end_date, followsDay, description ? String(description).trim() : null);
+  res.locals.audit = { details: { entry_id: Number(r.lastInsertRowid), type, start_date, end_date, follows_day: followsDay } };
+  res.status(201).json(db.prepare('SELECT * FROM calendar_entries WHERE id = ?').get(r.lastInsertRowid));
+});
+
+app.delete('/api/calendar/entries/:id', requireRole('coordinator'), (req, res) => {
+  const entry = db.prepare('SELECT * FROM calendar_entries WHERE id = ?').get(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Calendar entry not found' });
+  db.prepare('DELETE FROM calendar_entries WHERE id = ?').run(entry.id);
+  res.locals.audit = { details: { entry_id: entry.id, type: entry.type, start_date: entry.start_date, end_date: entry.end_date, description: entry.description } };
+  res.json({ message: `Removed calendar entry #${req.params.id}` });
+});
+
+// ── iCalendar feeds ──
+// Weekly recurring events per room or per section, bounded by the academic term.
+// Times are written as local wall-clock times in CALENDAR_TZ (India has no DST,
+// so a single fixed-offset VTIMEZONE describes it).
+const ICS_WEEKDAYS = { Sunday: 'SU', Monday: 'MO', Tuesday: 'TU', Wednesday: 'WE', Thursday: 'TH', Friday: 'FR', Saturday: 'SA' };
+
+// Term window for a feed: ?start=&end= overrides, else the current (or next) term, else the latest one
+function feedBounds(query) {
+  if (query.start || query.end) {
+    if (!parseDate(query.start) || !parseDate(query.end) || query.start > query.end) {
+      return { error: 'start and end must both be YYYY-MM-DD dates, start not after end' };
     }
+    return { start: query.start, end: query.end };
   }
+  const today = localNow().date;
+  const term = db.prepare('SELECT * FROM calendar_terms WHERE end_date >= ? ORDER BY start_date LIMIT 1').get(today)
+    || db.prepare('SELECT * FROM calendar_terms ORDER BY end_date DESC LIMIT 1').get();
+  if (!term) return { error: 'No academic term configured — add one with POST /api/calendar/terms or pass ?start=YYYY-MM-DD&end=YYYY-MM-DD' };
+  return { start: term.start_date, end: term.end_date, term: term.name };
+}
+
+function addDays(date, n) {
+  const d = parseDate(date);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
 
-  if (!section) return null;
+// "2026-10-19" + 785 minutes → "20261019T130500"
+function icsLocal(date, minutes) {
+  const hh = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mm = String(minutes % 60).padStart(2, '0');
+  return date.replace(/-/g, '') + 'T' + hh + mm + '00';
+}
 
-  // ── Step 2: Determine column boundaries and extract actual time slots ──
-  // Find time header items (09:00, 09:55, 11:10, etc.) — also handle 9.00, 10.00 formats
-  const timeHeaderItems = items.filter(i =>
-    /^(09|9|10|11|12|01|1|02|2|03|3|04|4)[.:]\d{2}/.test(i.t) && i.y > 640
-  );
+// Local date + minutes → UTC "YYYYMMDDTHHMMSSZ", using the fixed CALENDAR_TZ_OFFSET
+function icsUtc(date, minutes) {
+  const sign = CALENDAR_TZ_OFFSET[0] === '-' ? -1 : 1;
+  const offset = sign * (Number(CALENDAR_TZ_OFFSET.slice(1, 3)) * 60 + Number(CALENDAR_TZ_OFFSET.slice(3, 5)));
+  const d = parseDate(date);
+  d.setUTCMinutes(minutes - offset);
+  return d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
 
-  let colBoundaries;
-  let pageTimeSlots; // Will hold the actual time slots for this page
+function icsEscape(text) {
+  return String(text || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
 
-  if (timeHeaderItems.length >= 4) {
-    const result = computeColumnBoundariesWithSlots(timeHeaderItems);
-    colBoundaries = result ? result.boundaries : null;
-    pageTimeSlots = result ? result.slots : null;
+// Fold content lines longer than 75 octets (RFC 5545 §3.1)
+function icsFold(line) {
+  const out = [];
+  let buf = Buffer.from(line);
+  while (buf.length > 75) {
+    let cut = out.length ? 74 : 75;
+    while (cut > 0 && (buf[cut] & 0xC0) === 0x80) cut--; // don't split a UTF-8 sequence
+    out.push(buf.slice(0, cut).toString());
+    buf = buf.slice(cut);
   }
+  out.push(buf.toString());
+  return out.join('\r\n ');
+}
 
-  if (!colBoundaries) {
-    // Fallback: use BREAK/LUNCH column positions to infer boundaries
-    colBoundaries = inferColumnBoundaries(items);
+// Join back-to-back slots of the same class (e.g. a 2-hour LAB) into one event
+function mergeContiguous(rows) {
+  const sorted = rows.filter(r => r.start_min !== null).map(r => ({ ...r, startMin: r.start_min, endMin: r.end_min })).sort((a, b) => a.timetable_id - b.timetable_id || a.day.localeCompare(b.day) || a.startMin - b.startMin);
+  const merged = [];
+  for (const r of sorted) {
+    const prev = merged[merged.length - 1];
+    if (prev && prev.timetable_id === r.timetable_id && prev.day === r.day && prev.subject === r.subject &&
+        prev.room_number === r.room_number && prev.endMin === r.startMin) {
+      prev.endMin = r.endMin;
+      continue;
+    }
+    merged.push({ ...r });
   }
+  return merged;
+}
 
-  if (!colBoundaries) {
-    // Last resort: hardcoded boundaries
-    colBoundaries = [
-      { left: 95, right: 170 },   // Slot 1
-      { left: 170, right: 237 },  // Slot 2
-      { left: 255, right: 325 },  // Slot 3
-      { left: 325, right: 395 },  // Slot 4
-      { left: 410, right: 475 },  // Slot 5
-      { left: 475, right: 550 },  // Slot 6
-    ];
+// Build a VCALENDAR from schedule rows (joined with their timetable's department/year_sem/section)
+function buildIcs(calName, rows, bounds) {
+  // For each timetable day, the dates in the term on which it actually runs (holidays, exams, swaps applied)
+  const runsOn = {};
+  for (let date = bounds.start; date <= bounds.end; date = addDays(date, 1)) {
+    const day = resolveDate(date).day;
+    if (day) (runsOn[day] = runsOn[day] || []).push(date);
   }
 
-  // If we couldn't extract real time slots, fall back to hardcoded
-  if (!pageTimeSlots || pageTimeSlots.length !== colBoundaries.length) {
-    pageTimeSlots = TIME_SLOTS.slice(0, colBoundaries.length);
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//MBU//College Room Scheduler//EN', 'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH', 'X-WR-CALNAME:' + icsEscape(calName), 'X-WR-TIMEZONE:' + CALENDAR_TZ,
+    'BEGIN:VTIMEZONE', 'TZID:' + CALENDAR_TZ, 'BEGIN:STANDARD', 'DTSTART:19700101T000000',
+    'TZOFFSETFROM:' + CALENDAR_TZ_OFFSET, 'TZOFFSETTO:' + CALENDAR_TZ_OFFSET, 'END:STANDARD', 'END:VTIMEZONE'
+  ];
+
+  for (const ev of mergeContiguous(rows)) {
+    const dates = runsOn[ev.day];
+    if (!dates || !ICS_WEEKDAYS[ev.day]) continue;
+    // Anchor the weekly rule on the first calendar date with this weekday; dates where the
+    // weekday follows another timetable become EXDATEs, swap days following this one RDATEs
+    let first = bounds.start;
+    while (WEEKDAYS[parseDate(first).getUTCDay()] !== ev.day) first = addDays(first, 1);
+    const exdates = [];
+    for (let date = first; date <= bounds.end; date = addDays(date, 7)) {
+      if (!dates.includes(date)) exdates.push(date);
+    }
+    const rdates = dates.filter(date => WEEKDAYS[parseDate(date).getUTCDay()] !== ev.day);
+    const tz = ';TZID=' + CALENDAR_TZ;
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:schedule-${ev.id}@event-room-scheduler`,
+      'DTSTAMP:' + stamp,
+      'DTSTART' + tz + ':' + icsLocal(first, ev.startMin),
+      'DTEND' + tz + ':' + icsLocal(first, ev.endMin),
+      `RRULE:FREQ=WEEKLY;BYDAY=${ICS_WEEKDAYS[ev.day]};UNTIL=${icsUtc(addDays(bounds.end, 1), 0)}`
+    );
+    if (exdates.length) lines.push('EXDATE' + tz + ':' + exdates.map(d => icsLocal(d, ev.startMin)).join(','));
+    if (rdates.length) lines.push('RDATE' + tz + ':' + rdates.map(d => icsLocal(d, ev.startMin)).join(','));
+    lines.push(
+      'SUMMARY:' + icsEscape(`${ev.subject || 'Class'} — ${ev.section ? 'Section ' + ev.section : ev.department}`),
+      'LOCATION:' + icsEscape('Room ' + ev.room_number),
+      'DESCRIPTION:' + icsEscape([ev.subject_name ? `${ev.subject} — ${ev.subject_name}` : ev.subject || '', ev.faculty,
+        `${ev.department} · ${ev.year_sem} · Section ${ev.section}`, `Room ${ev.room_number}`].filter(x => x !== null && x !== undefined).join('\n')),
+      'END:VEVENT'
+    );
   }
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
 
-  // ── Step 3: Find day rows and extract schedule entries ──
-  const dayItems = items.filter(i => /^(MON|TUE|WED|THU|FRI)$/i.test(i.t));
-  const entries = [];
+function sendIcs(res, filename, body) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.send(body);
+}
 
-  for (const dayItem of dayItems) {
-    const dayName = DAY_NAMES[dayItem.t.toUpperCase()];
-    if (!dayName) continue;
+// Classes with their section and, where the legend has the subject, its full name, code and faculty
+const SCHEDULE_WITH_TIMETABLE = `
+  SELECT s.*, t.department, t.year_sem, t.section, t.default_room,
+    sub.name AS subject_name, sub.code AS subject_code, ${SUBJECT_FACULTY} AS faculty
+  FROM schedules s JOIN timetables t ON t.id = s.timetable_id LEFT JOIN subjects sub ON sub.id = s.subject_id`;
+
+app.get('/api/rooms/:room/calendar.ics', (req, res) => {
+  if (!getRoom(req.params.room)) return res.status(404).json({ error: 'Room not found' });
+  const bounds = feedBounds(req.query);
+  if (bounds.error) return res.status(400).json({ error: bounds.error });
+  const rows = db.prepare(SCHEDULE_WITH_TIMETABLE + ' WHERE s.room_number = ?').all(req.params.room);
+  sendIcs(res, `room-${req.params.room}.ics`, buildIcs(`Room ${req.params.room}`, rows, bounds));
+});
 
-    // Collect all items in this day's row (within Y tolerance)
-    const rowItems = items.filter(i =>
-      Math.abs(i.y - dayItem.y) <= 10 && i.x > 90
-    ).sort((a, b) => a.x - b.x);
+app.get('/api/timetables/:id/calendar.ics', (req, res) => {
+  const tt = db.prepare('SELECT * FROM timetables WHERE id = ?').get(req.params.id);
+  if (!tt) return res.status(404).json({ error: 'Timetable not found' });
+  const bounds = feedBounds(req.query);
+  if (bounds.error) return res.status(400).json({ error: bounds.error });
+  const rows = db.prepare(SCHEDULE_WITH_TIMETABLE + ' WHERE s.timetable_id = ?').all(tt.id);
+  const name = `${tt.department} ${tt.year_sem} Section ${tt.section}`.replace(/\s+/g, ' ').trim();
+  sendIcs(res, `timetable-${tt.id}.ics`, buildIcs(name, rows, bounds));
+});
 
-    // Also collect items slightly above/below (room refs, MOOC tags)
-    // that belong to this row (within ~14px Y range)
-    let extendedRowItems = items.filter(i =>
-      Math.abs(i.y - dayItem.y) <= 14 && i.x > 90
-    ).sort((a, b) => a.y - b.y || a.x - b.x);
+// ── Weekly timetable grids ──
+// Day × slot grids for a room, a section (timetable) or a whole department.
+// Every cell lists the classes held in it; an empty list is a free period. Columns are
+// the periods of the section's (or department's) slot grid; rooms use the default grid.
+
+function buildGrid(rows, slotGrid) {
+  const { days, slots } = weekAxes(rows, slotGrid);
+
+  const grid = days.map(day => ({
+    day,
+    cells: slots.map(slot => {
+      const entries = rows.filter(r => r.day === day && r.time_slot === slot).map(r => ({
+        schedule_id: r.id,
+        timetable_id: r.timetable_id,
+        subject: r.subject,
+        subject_name: r.subject_name,
+        subject_code: r.subject_code,
+        faculty: r.faculty,
+        room_number: r.room_number,
+        department: r.department,
+        year_sem: r.year_sem,
+        section: r.section,
+        // Held somewhere other than the section's usual room
+        alt_room: !!r.default_room && r.room_number !== r.default_room,
+        source: r.source
+      }));
+      return { slot, free: entries.length === 0, entries };
+    })
+  }));
+  return { days, slots, grid };
+}
 
-    // Merge adjacent text fragments at same Y that are very close in X
-    // (e.g., "2" + "406" → "2406", "80" + "3" + ")" → "803)")
-    extendedRowItems = mergeAdjacentItems(extendedRowItems);
+app.get('/api/timetables', (req, res) => {
+  const { filename, department } = req.query;
+  const where = [];
+  const params = [];
+  if (filename) { where.push('t.filename = ?'); params.push(filename); }
+  if (department) { where.push('LOWER(t.department) LIKE LOWER(?)'); params.push('%' + department + '%'); }
+  res.json(db.prepare(`
+    SELECT t.*, COUNT(s.id) AS entries
+    FROM timetables t LEFT JOIN schedules s ON s.timetable_id = t.id
+    ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    GROUP BY t.id ORDER BY t.department, t.year_sem, t.section
+  `).all(...params));
+});
 
-    // Assign each item to a column slot
-    const numSlots = colBoundaries.length;
-    const slotData = new Array(numSlots).fill(null);
+// ?format=csv on the grid routes and /api/schedules downloads the classes in the
+// timetable CSV layout, which /api/upload reads back
+function sendTimetableCsv(res, name, rows) {
+  res.type('text/csv');
+  res.set('Content-Disposition', `attachment; filename="${name.replace(/[^\w.-]+/g, '-')}.csv"`);
+  res.send(timetableCsv(rows));
+}
 
-    for (const item of extendedRowItems) {
-      // Skip BREAK/LUNCH letters and day names
-      if (SKIP_WORDS.has(item.t.toUpperCase())) continue;
-      if (/^(MON|TUE|WED|THU|FRI|SAT)$/i.test(item.t)) continue;
+app.get('/api/timetables/:id', (req, res) => {
+  const tt = db.prepare('SELECT * FROM timetables WHERE id = ?').get(req.params.id);
+  if (!tt) return res.status(404).json({ error: 'Timetable not found' });
+  const rows = db.prepare(SCHEDULE_WITH_TIMETABLE + ' WHERE s.timetable_id = ?').all(tt.id);
+  if (req.query.format === 'csv') return sendTimetableCsv(res, `timetable-${tt.id}`, rows);
+  res.json({ timetable: tt, ...buildGrid(rows, getSlotGrid(tt.slot_grid) || defaultSlotGrid()) });
+});
 
-      const slotIdx = getSlotIndex(item.x, colBoundaries);
-      if (slotIdx === -1) continue;
+app.get('/api/rooms/:room/schedule', (req, res) => {
+  const room = getRoom(req.params.room);
+  if (!room) return res.status(404).json({ error: 'Room not found' });
+  const rows = db.prepare(SCHEDULE_WITH_TIMETABLE + ' WHERE s.room_number = ?').all(room.room_number);
+  if (req.query.format === 'csv') return sendTimetableCsv(res, `room-${room.room_number}`, rows);
+  res.json({ room: serializeRoom(room), ...buildGrid(rows) });
+});
 
-      if (!slotData[slotIdx]) {
-        slotData[slotIdx] = { subjects: [], roomOverride: null, mooc: false };
-      }
+app.get('/api/departments/:department/schedule', (req, res) => {
+  const rows = db.prepare(SCHEDULE_WITH_TIMETABLE + ' WHERE LOWER(t.department) = LOWER(?)').all(req.params.department);
+  if (!rows.length) return res.status(404).json({ error: 'No timetables for that department' });
+  if (req.query.format === 'csv') return sendTimetableCsv(res, `department-${rows[0].department}`, rows);
+  res.json({ department: rows[0].department, ...buildGrid(rows, slotGridFor(rows[0].department)) });
+});
 
-      const txt = item.t;
+// Every class of every section, e.g. to edit in a spreadsheet and upload again
+app.get('/api/schedules', (req, res) => {
+  const rows = db.prepare(SCHEDULE_WITH_TIMETABLE + ' ORDER BY t.department, t.year_sem, t.section, s.id').all();
+  if (req.query.format === 'csv') return sendTimetableCsv(res, 'schedules', rows);
+  res.json(rows);
+});
 
-      // Room reference: "Room No. 704", "(R.No.605)", "(R.No.80" + "3" + ")"
-      if (/^Room\s*No[.:]/i.test(txt)) {
-        const m = txt.match(/Room\s*No[.:]+\s*(\d+)/i);
-        if (m) {
-          slotData[slotIdx].roomOverride = m[1];
-          rooms.add(m[1]);
-        }
-        continue;
-      }
-      if (/^\(R\.No[.:]/i.test(txt)) {
-        const m = txt.match(/\(R\.No[.:]\s*(\d+)/i);
-        if (m) {
-          slotData[slotIdx].roomOverride = m[1];
-          rooms.add(m[1]);
-        }
-        continue;
-      }
-      // Closing part of split R.No like "3)" or ")"
-      if (/^\d*\)$/.test(txt)) continue;
+// ── Subjects and faculty (see lib/subjects.js) ──
+// Built from the legend printed under each section's grid: full course names, codes and
+// who teaches them. Faculty names match ignoring titles and punctuation, or by part of the name.
+app.get('/api/subjects', (req, res) => {
+  res.json(listSubjects(req.query));
+});
 
-      // MOOC tag
-      if (/^\(MOOC\)$/i.test(txt)) {
-        slotData[slotIdx].mooc = true;
-        continue;
-      }
+app.get('/api/faculty', (req, res) => {
+  res.json(listFaculty(req.query.q));
+});
 
-      // Bare room number (3-4 digits) appearing above/below subject
-      if (/^\d{3,4}$/.test(txt) && Math.abs(item.y - dayItem.y) > 5) {
-        slotData[slotIdx].roomOverride = txt;
-        rooms.add(txt);
-        continue;
-      }
+// Where someone teaches: a weekly grid, or one day's classes in order with ?day= or ?date=
+// (a date follows the academic calendar, so a holiday has none)
+app.get('/api/faculty/:name/schedule', (req, res) => {
+  const matches = matchFaculty(req.params.name);
+  if (!matches.length) return res.status(404).json({ error: `No faculty matching ${req.params.name}` });
+  if (matches.length > 1) {
+    return res.status(400).json({ error: `${matches.length} faculty match ${req.params.name} — give more of the name`, matches: matches.map(f => f.name) });
+  }
+  const faculty = matches[0];
+  const rows = db.prepare(SCHEDULE_WITH_TIMETABLE + ' WHERE s.subject_id IN (SELECT subject_id FROM subject_faculty WHERE faculty_id = ?)').all(faculty.id);
+  if (req.query.format === 'csv') return sendTimetableCsv(res, `faculty-${faculty.name}`, rows);
+
+  const { day, date } = req.query;
+  if (!day && !date) return res.json({ faculty, ...buildGrid(rows) });
+  let calendar = null;
+  let classDay;
+  if (date) {
+    calendar = resolveDate(date);
+    if (calendar.error) return res.status(400).json({ error: calendar.error });
+    classDay = calendar.day;
+  } else {
+    classDay = toDayName(day);
+    if (!classDay) return res.status(400).json({ error: `Unknown day: ${day}` });
+  }
+  const classes = rows.filter(r => r.day === classDay).sort((a, b) => (a.start_min ?? 0) - (b.start_min ?? 0));
+  res.json({ faculty, day: classDay || null, ...(date ? { date, calendar } : {}), classes });
+});
 
-      // Skip single BREAK/LUNCH letters
-      if (txt.length === 1 && /[BREAKLUNCH]/i.test(txt)) continue;
+// ── Search (see lib/search.js) ──
+// One box for "a7", "cse 4 sem", "2 702" or "which rooms host dbms lab": ranked sections,
+// rooms and subjects, each group capped at `limit`
+app.get('/api/search', (req, res) => {
+  const result = search(req.query.q, { limit: req.query.limit });
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json(result);
+});
 
-      // It's a subject name
-      slotData[slotIdx].subjects.push(txt);
-    }
+// ── Live board (see lib/now.js) ──
+// What every room is doing now and what comes next, per building. ?at=2026-10-22T10:00
+// shows any other moment (campus time); /api/now/stream pushes the live board as it changes.
+app.get('/api/now', (req, res) => {
+  const board = boardAt(req.query);
+  if (board.error) return res.status(400).json({ error: board.error });
+  res.json(board);
+});
 
-    // ── Step 4: Build entries from slot data ──
-    // LAB subjects span 2 consecutive slots. In the PDF, the merged cell
-    // places the text in the first column. The second column is empty.
-    // We detect LAB subjects and duplicate them into the next slot.
-    for (let s = 0; s < numSlots; s++) {
-      const sd = slotData[s];
-      if (!sd || sd.subjects.length === 0) continue;
-      if (sd.subjects[0] === '_FILLED_') continue; // Already filled by LAB span
-
-      let subjectName = sd.subjects.join(' ');
-      if (sd.mooc) subjectName += ' (MOOC)';
-
-      const roomNum = sd.roomOverride || defaultRoom;
-      // 2-hour subjects: LAB, QAVA, CP — they span 2 consecutive slots
-      const is2Hour = /\bLAB\b/i.test(subjectName) || /^QAVA$/i.test(subjectName) || /^CP$/i.test(subjectName);
-
-      entries.push({
-        day: dayName,
-        time_slot: pageTimeSlots[s] || TIME_SLOTS[s] || `slot-${s+1}`,
-        room_number: roomNum,
-        subject: subjectName
-      });
+app.get('/api/now/stream', (req, res) => {
+  if (req.query.at) return res.status(400).json({ error: 'The stream is always live — use GET /api/now?at=… for another moment' });
+  watchBoard(req, res);
+});
 
-      // If it's a 2-hour subject and the next slot is empty, fill it too
-      if (is2Hour && s + 1 < numSlots && (!slotData[s + 1] || slotData[s + 1].subjects.length === 0)) {
-        // Also check if next slot has a room override we should use
-        const nextRoom = (slotData[s + 1] && slotData[s + 1].roomOverride) || roomNum;
-        entries.push({
-          day: dayName,
-          time_slot: pageTimeSlots[s + 1] || TIME_SLOTS[s + 1] || `slot-${s+2}`,
-          room_number: nextRoom,
-          subject: subjectName
-        });
-        slotData[s + 1] = { subjects: ['_FILLED_'], roomOverride: null, mooc: false };
-      }
+// ── Manual corrections ──
+// Fix what parseOnePage got wrong without re-uploading the PDF. Every change made
+// here is stored with source = 'manual' so it stays distinguishable from parsed data.
+// Validate the schedule fields present in `input` → { fields } or { error }
+function readScheduleFields(input) {
+  const fields = {};
+  if (input.day !== undefined) {
+    fields.day = toDayName(input.day);
+    if (!fields.day) return { error: `Unknown day: ${input.day}` };
+  }
+  if (input.time_slot !== undefined) {
+    const times = parseSlot(input.time_slot);
+    if (!times) return { error: 'time_slot must be a 24-hour range that ends after it starts, like 14:15-15:10' };
+    fields.time_slot = slotLabel(times.start, times.end);
+    fields.start_min = times.start;
+    fields.end_min = times.end;
+  }
+  if (input.room_number !== undefined) {
+    fields.room_number = String(input.room_number).replace(/\s+/g, '');
+    if (!fields.room_number) return { error: 'room_number cannot be empty' };
+  }
+  if (input.subject !== undefined) fields.subject = String(input.subject).trim() || null;
+  return { fields };
+}
 
-      if (roomNum) rooms.add(roomNum);
-    }
+app.post('/api/schedules', requireRole('coordinator'), (req, res) => {
+  const body = req.body || {};
+  const tt = db.prepare('SELECT * FROM timetables WHERE id = ?').get(body.timetable_id);
+  if (!tt) return res.status(404).json({ error: 'Timetable not found' });
+  const { fields, error } = readScheduleFields({ room_number: tt.default_room || undefined, ...body });
+  if (error) return res.status(400).json({ error });
+  if (!fields.day || !fields.time_slot || !fields.room_number) {
+    return res.status(400).json({ error: 'day, time_slot and room_number (or a default room on the timetable) are required' });
   }
+  const r = db.transaction(() => {
+    insertRoom.run(fields.room_number, /lab/i.test(fields.room_number) ? 'lab' : 'classroom');
+    const inserted = db.prepare(`INSERT INTO schedules (timetable_id, day, time_slot, start_min, end_min, room_number, subject, source, edited_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 'manual', CURRENT_TIMESTAMP)`)
+      .run(tt.id, fields.day, fields.time_slot, fields.start_min, fields.end_min, fields.room_number, fields.subject || null);
+    linkSubjects(tt.id);
+    return inserted;
+  })();
+  const after = describeTimetables([tt.id]).entries;
+  res.locals.audit = {
+    filename: tt.filename, sections: [sectionName(tt)], rooms: [fields.room_number], before: after - 1, after,
+    details: { schedule_id: Number(r.lastInsertRowid), day: fields.day, time_slot: fields.time_slot, subject: fields.subject || null }
+  };
+  res.status(201).json(db.prepare('SELECT * FROM schedules WHERE id = ?').get(r.lastInsertRowid));
+});
 
+// Audit details for a schedule entry: its section and the entry as it was
+function scheduleAudit(entry) {
+  const tt = db.prepare('SELECT * FROM timetables WHERE id = ?').get(entry.timetable_id) || {};
+  const entries = describeTimetables([entry.timetable_id]).entries;
   return {
-    department,
-    year_sem: yearSem,
-    section,
-    default_room: defaultRoom,
-    rooms: Array.from(rooms),
-    entries
+    filename: tt.filename, sections: [sectionName(tt)], rooms: [entry.room_number], before: entries, after: entries,
+    details: { schedule_id: entry.id, was: { day: entry.day, time_slot: entry.time_slot, room_number: entry.room_number, subject: entry.subject } }
   };
 }
 
-// Merge adjacent text items that are very close in X and at similar Y
-// This handles split numbers like "2" + "406" → "2406"
-function mergeAdjacentItems(items) {
-  if (items.length <= 1) return items;
-  const merged = [{ ...items[0] }];
-  for (let i = 1; i < items.length; i++) {
-    const prev = merged[merged.length - 1];
-    const curr = items[i];
-    const prevEnd = prev.x + prev.w;
-    const gap = curr.x - prevEnd;
-    // Merge only if same Y (within 2px), gap is tiny (< 3px),
-    // AND at least one item is short (≤3 chars) — indicating a fragment
-    // This merges "285"+"2" and "(R.No.80"+"3"+")" but not "DEPARTMENT OF"+"COMPUTER..."
-    const isFragment = curr.t.length <= 3 || prev.t.length <= 3;
-    if (Math.abs(curr.y - prev.y) <= 2 && gap < 3 && gap >= -3 && isFragment) {
-      prev.t = prev.t + curr.t;
-      prev.w = (curr.x + curr.w) - prev.x;
-      continue;
-    }
-    merged.push({ ...curr });
+app.patch('/api/schedules/:id', requireRole('coordinator'), (req, res) => {
+  const entry = db.prepare('SELECT * FROM schedules WHERE id = ?').get(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Schedule entry not found' });
+  const { fields, error } = readScheduleFields(req.body || {});
+  if (error) return res.status(400).json({ error });
+  const keys = Object.keys(fields);
+  if (!keys.length) return res.status(400).json({ error: 'Nothing to update — send day, time_slot, room_number or subject' });
+  db.transaction(() => {
+    if (fields.room_number) insertRoom.run(fields.room_number, /lab/i.test(fields.room_number) ? 'lab' : 'classroom');
+    db.prepare(`UPDATE schedules SET ${keys.map(k => k + ' = ?').join(', ')}, source = 'manual', edited_at = CURRENT_TIMESTAMP WHERE id = ?`)
+      .run(...Object.values(fields), req.params.id);
+    if (fields.subject !== undefined) linkSubjects(entry.timetable_id);
+  })();
+  const audit = scheduleAudit(entry);
+  res.locals.audit = { ...audit, rooms: [entry.room_number, fields.room_number].filter(Boolean), details: { ...audit.details, now: fields } };
+  res.json(db.prepare('SELECT * FROM schedules WHERE id = ?').get(req.params.id));
+});
+
+app.delete('/api/schedules/:id', requireRole('coordinator'), (req, res) => {
+  const entry = db.prepare('SELECT * FROM schedules WHERE id = ?').get(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Schedule entry not found' });
+  const audit = scheduleAudit(entry);
+  db.prepare('DELETE FROM schedules WHERE id = ?').run(entry.id);
+  res.locals.audit = { ...audit, after: audit.before - 1 };
+  res.json({ message: `Removed schedule entry #${req.params.id}` });
+});
+
+// Edit a timetable's header. If default_room changes, classes that sat in the old
+// default room (i.e. had no per-slot override) move with it. If slot_grid changes,
+// classes move to the same period of the new grid (the 3rd period stays the 3rd).
+app.patch('/api/timetables/:id', requireRole('coordinator'), (req, res) => {
+  const tt = db.prepare('SELECT * FROM timetables WHERE id = ?').get(req.params.id);
+  if (!tt) return res.status(404).json({ error: 'Timetable not found' });
+  const body = req.body || {};
+  const fields = {};
+  for (const key of ['department', 'year_sem', 'section', 'default_room']) {
+    if (body[key] === undefined) continue;
+    const value = key === 'default_room' ? String(body[key]).replace(/\s+/g, '') : String(body[key]).trim();
+    if (!value && key !== 'default_room') return res.status(400).json({ error: `${key} cannot be empty` });
+    fields[key] = value || null;
   }
-  return merged;
-}
+  if (body.slot_grid !== undefined) {
+    if (!getSlotGrid(body.slot_grid)) return res.status(400).json({ error: `Unknown slot grid: ${body.slot_grid}` });
+    fields.slot_grid = body.slot_grid;
+  }
+  const keys = Object.keys(fields);
+  if (!keys.length) return res.status(400).json({ error: 'Nothing to update — send department, year_sem, section, default_room or slot_grid' });
 
-// Group items by Y coordinate (within tolerance)
-function groupByY(items, tolerance) {
-  const groups = [];
-  let currentGroup = [];
-  let currentY = null;
-
-  for (const item of items) {
-    if (currentY === null || Math.abs(item.y - currentY) <= tolerance) {
-      currentGroup.push(item);
-      if (currentY === null) currentY = item.y;
-    } else {
-      if (currentGroup.length) groups.push(currentGroup);
-      currentGroup = [item];
-      currentY = item.y;
+  let moved = 0, retimed = 0;
+  db.transaction(() => {
+    db.prepare(`UPDATE timetables SET ${keys.map(k => k + ' = ?').join(', ')}, edited_at = CURRENT_TIMESTAMP WHERE id = ?`)
+      .run(...Object.values(fields), tt.id);
+    if (fields.default_room && fields.default_room !== tt.default_room) {
+      insertRoom.run(fields.default_room, /lab/i.test(fields.default_room) ? 'lab' : 'classroom');
+      if (tt.default_room) {
+        moved = db.prepare(`UPDATE schedules SET room_number = ?, source = 'manual', edited_at = CURRENT_TIMESTAMP
+          WHERE timetable_id = ? AND room_number = ?`).run(fields.default_room, tt.id, tt.default_room).changes;
+      }
+    }
+    if (fields.slot_grid && fields.slot_grid !== tt.slot_grid) {
+      const from = (getSlotGrid(tt.slot_grid) || defaultSlotGrid()).slots.map(s => s.label);
+      const to = getSlotGrid(fields.slot_grid).slots;
+      const retime = db.prepare(`UPDATE schedules SET time_slot = ?, start_min = ?, end_min = ?, source = 'manual', edited_at = CURRENT_TIMESTAMP
+        WHERE id = ?`);
+      // Classes off the old grid, or past the end of the new one, keep their times
+      for (const e of db.prepare('SELECT id, time_slot FROM schedules WHERE timetable_id = ?').all(tt.id)) {
+        const slot = to[from.indexOf(e.time_slot)];
+        if (slot && slot.label !== e.time_slot) retimed += retime.run(slot.label, slot.start, slot.end, e.id).changes;
+      }
     }
+  })();
+  const entries = describeTimetables([tt.id]).entries;
+  res.locals.audit = {
+    filename: tt.filename, sections: [sectionName(tt)], rooms: [tt.default_room, fields.default_room].filter(Boolean),
+    before: entries, after: entries, details: { timetable_id: tt.id, was: Object.fromEntries(keys.map(k => [k, tt[k]])), now: fields, moved_entries: moved, retimed_entries: retimed }
+  };
+  res.json({ timetable: db.prepare('SELECT * FROM timetables WHERE id = ?').get(tt.id), moved_entries: moved, retimed_entries: retimed });
+});
+
+app.get('/api/departments', (req, res) => {
+  res.json(db.prepare('SELECT department, COUNT(*) AS sections FROM timetables GROUP BY department ORDER BY department').all());
+});
+
+// ── Conflicts ──
+// Room double-bookings and section clashes across all timetables (see lib/conflicts.js).
+// Filters: type=room|section, filename, room, day, timetable_id
+app.get('/api/conflicts', (req, res) => {
+  const { type, filename, room } = req.query;
+  if (type && !['room', 'section'].includes(type)) return res.status(400).json({ error: 'type must be room or section' });
+  let day;
+  if (req.query.day) {
+    day = toDayName(req.query.day);
+    if (!day) return res.status(400).json({ error: `Unknown day "${req.query.day}"` });
+  }
+  const timetableIds = req.query.timetable_id ? [req.query.timetable_id] : undefined;
+  const conflicts = filterConflicts(findConflicts(), { timetableIds, filename, room, day });
+  if (type === 'room') conflicts.section_clashes = [];
+  if (type === 'section') conflicts.room_conflicts = [];
+  res.json({ total: countConflicts(conflicts), ...conflicts });
+});
+
+// ── Utilization analytics ──
+// GET /api/analytics returns everything the dashboard needs; /api/analytics/:report returns
+// one table (rooms, buildings, departments, unused, peaks), as CSV with ?format=csv.
+// prefix_length sets how many leading characters of a room number name its building (default 1).
+const ANALYTICS_REPORTS = {
+  rooms: { key: 'rooms', columns: [['room_number', 'Room'], ['building', 'Building'], ['room_type', 'Type'], ['capacity', 'Capacity']], breakdown: true },
+  buildings: { key: 'buildings', columns: [['building', 'Building'], ['rooms', 'Rooms']], breakdown: true },
+  departments: { key: 'departments', columns: [['department', 'Department'], ['sections', 'Sections'], ['rooms_used', 'Rooms used']], breakdown: true },
+  unused: { key: 'unused_rooms', columns: [['room_number', 'Room'], ['building', 'Building'], ['room_type', 'Type'], ['capacity', 'Capacity']] },
+  peaks: { key: 'peak_slots', columns: [['day', 'Day'], ['time_slot', 'Slot'], ['occupied_rooms', 'Occupied rooms'], ['free_rooms', 'Free rooms'], ['occupancy', 'Occupancy %']] }
+};
+
+function readUtilization(req, res) {
+  const prefixLength = req.query.prefix_length === undefined ? 1 : Number(req.query.prefix_length);
+  if (!Number.isInteger(prefixLength) || prefixLength < 1 || prefixLength > 4) {
+    res.status(400).json({ error: 'prefix_length must be a whole number from 1 to 4' });
+    return null;
   }
-  if (currentGroup.length) groups.push(currentGroup);
-  return groups;
+  return computeUtilization({ prefixLength });
 }
 
-// Compute column boundaries AND extract actual time slot labels from time header positions
-function computeColumnBoundariesWithSlots(timeHeaders) {
-  // Normalize time text: "9.00" → "09:00", "1.00" → "01:00"
-  const normalized = timeHeaders.map(th => {
-    let t = th.t.replace('.', ':');
-    // Pad single-digit hours: "9:00" → "09:00"
-    if (/^\d:/.test(t)) t = '0' + t;
-    return { ...th, t, origT: th.t };
-  });
+app.get('/api/analytics', (req, res) => {
+  const data = readUtilization(req, res);
+  if (data) res.json(data);
+});
 
-  // Sort by X position
-  const sorted = [...normalized].sort((a, b) => a.x - b.x);
-
-  // Group time headers into columns by X proximity
-  const columns = []; // Each column: { x, times: ['09:00', '09:55'] }
-  for (const th of sorted) {
-    const existing = columns.find(c => Math.abs(c.x - th.x) < 40);
-    if (existing) {
-      existing.times.push(th.t);
-    } else {
-      columns.push({ x: th.x, times: [th.t] });
-    }
+app.get('/api/analytics/:report', (req, res) => {
+  const report = ANALYTICS_REPORTS[req.params.report];
+  if (!report) return res.status(404).json({ error: `Unknown report; use one of ${Object.keys(ANALYTICS_REPORTS).join(', ')}` });
+  const data = readUtilization(req, res);
+  if (!data) return;
+  let rows = data[report.key];
+  if (req.query.limit) rows = rows.slice(0, Number(req.query.limit) || rows.length);
+
+  if (req.query.format !== 'csv') return res.json(rows);
+  // Flatten the per-day and per-slot percentages into columns
+  let columns = report.columns;
+  if (report.breakdown) {
+    columns = [...columns, ['occupied_periods', 'Occupied periods'], ['occupancy', 'Occupancy %'],
+      ...data.days.map(d => ['day:' + d, d + ' %']), ...data.slots.map(s => ['slot:' + s, s + ' %'])];
+    rows = rows.map(r => ({
+      ...r,
+      ...Object.fromEntries(Object.entries(r.by_day).map(([d, v]) => ['day:' + d, v])),
+      ...Object.fromEntries(Object.entries(r.by_slot).map(([s, v]) => ['slot:' + s, v]))
+    }));
   }
-  columns.sort((a, b) => a.x - b.x);
-
-  if (columns.length < 6) return null;
-
-  // Each column has 2 times: start and end (from the "HH:MM To HH:MM" header)
-  // Build slot labels: "start-end" for each column
-  const slots = [];
-  const cols = columns.slice(0, columns.length);
-
-  // Determine actual slot count — typically 6, but could vary
-  // Each column's times array has the start time at index 0 and end time at index 1
-  for (let i = 0; i < cols.length; i++) {
-    const times = cols[i].times.sort(); // Sort to get start before end
-    if (times.length >= 2) {
-      slots.push(times[0] + '-' + times[1]);
-    } else if (times.length === 1 && i + 1 < cols.length) {
-      // Single time — use it as start, next column's first time as end
-      const nextStart = cols[i + 1].times.sort()[0];
-      slots.push(times[0] + '-' + nextStart);
-    } else {
-      slots.push(times[0] + '-' + times[0]);
-    }
+  res.type('text/csv');
+  res.set('Content-Disposition', `attachment; filename="utilization-${req.params.report}.csv"`);
+  res.send(toCsv(rows, columns));
+});
+
+// ── Bookings (event room reservations) ──
+// A booking is requested as 'pending', then an admin approves or rejects it.
+// Only approved bookings occupy the room in /api/free-rooms.
+// A booking with a date is a one-off event; without one it repeats every week on `day`.
+
+// Find everything that stops `room` from being used between fromMin and toMin on `day`
+// (weekly) or `date` (one-off, with `day` the timetable day it follows): parsed classes
+// and other approved bookings (excludeId skips the booking being checked)
+function findRoomConflicts(room, day, date, fromMin, toMin, excludeId) {
+  const conflicts = [];
+
+  const classes = !day ? [] : db.prepare(`
+    SELECT s.time_slot, s.subject, t.department, t.year_sem, t.section
+    FROM schedules s JOIN timetables t ON t.id = s.timetable_id
+    WHERE s.room_number = ? AND s.day_num = ? AND s.start_min < ? AND s.end_min > ?
+  `).all(room, dayNumber(day), toMin, fromMin);
+  for (const c of classes) {
+    conflicts.push({
+      type: 'class',
+      time_slot: c.time_slot,
+      subject: c.subject,
+      department: c.department,
+      year_sem: c.year_sem,
+      section: c.section,
+      description: `class ${c.subject || ''} for ${c.department} ${c.year_sem} section ${c.section} at ${c.time_slot}`.replace(/\s+/g, ' ')
+    });
   }
 
-  // Build boundaries
-  const boundaries = [];
-  for (let i = 0; i < cols.length; i++) {
-    const left = i === 0 ? cols[i].x - 25 : cols[i].x - 10;
-    const right = i < cols.length - 1 ? cols[i + 1].x - 11 : cols[i].x + 50;
-    boundaries.push({ left, right });
+  // A weekly booking clashes with anything on its day, including one-off events on that day
+  const bookings = date
+    ? approvedBookingsOn(day, date)
+    : db.prepare("SELECT * FROM bookings WHERE status = 'approved' AND day_num = ?").all(dayNumber(day));
+  for (const b of bookings) {
+    if (b.room_number !== room || b.id === excludeId) continue;
+    if (!rangesOverlap(fromMin, toMin, timeToMinutes(b.start_time), timeToMinutes(b.end_time))) continue;
+    conflicts.push({
+      type: 'booking',
+      booking_id: b.id,
+      title: b.title,
+      requested_by: b.requested_by,
+      time_slot: b.start_time + '-' + b.end_time,
+      description: `approved booking #${b.id} "${b.title}" by ${b.requested_by} ${b.date ? 'on ' + b.date : 'every ' + b.day} at ${b.start_time}-${b.end_time}`
+    });
   }
 
-  return { boundaries, slots };
+  return conflicts;
+}
+
+function bookingAudit(b) {
+  return { rooms: [b.room_number], details: { booking_id: b.id, title: b.title, requested_by: b.requested_by, when: `${b.date || 'every ' + b.day} ${b.start_time}-${b.end_time}`, status: b.status } };
 }
 
-// Infer column boundaries from BREAK/LUNCH positions
-function inferColumnBoundaries(items) {
-  // BREAK letters appear between slots 2 and 3
-  // LUNCH letters appear between slots 4 and 5
-  const breakLetters = items.filter(i => i.t === 'B' || i.t === 'E' || i.t === 'K');
-  const lunchLetters = items.filter(i => i.t === 'L' || i.t === 'U' || i.t === 'H');
+function conflictMessage(room, when, conflicts) {
+  return `Room ${room} is not available on ${when}: ` + conflicts.map(c => c.description).join('; ');
+}
 
-  if (breakLetters.length < 2) return null;
+app.get('/api/bookings', requireRole('viewer'), (req, res) => {
+  const { status, room, day, date } = req.query;
+  const where = [];
+  const params = [];
+  if (status) { where.push('status = ?'); params.push(status); }
+  if (room) { where.push('room_number = ?'); params.push(room); }
+  if (day) { where.push('day_num = ?'); params.push(dayNumber(day)); }
+  if (date) { where.push('date = ?'); params.push(date); }
+  const sql = 'SELECT * FROM bookings' + (where.length ? ' WHERE ' + where.join(' AND ') : '') + ' ORDER BY created_at DESC, id DESC';
+  res.json(db.prepare(sql).all(...params));
+});
 
-  // Compute LUNCH X first
-  let lunchX = null;
-  if (lunchLetters.length >= 2) {
-    lunchX = Math.round(lunchLetters.reduce((s, i) => s + i.x, 0) / lunchLetters.length);
+app.post('/api/bookings', requireRole('viewer'), (req, res) => {
+  const { room_number, day, date, from, to, title } = req.body || {};
+  if (!room_number || (!day && !date) || !from || !to || !title) {
+    return res.status(400).json({ error: 'room_number, day (or date), from, to and title are required' });
+  }
+  // Dated bookings store the timetable day they fall on (or the plain weekday when no classes run)
+  let dayName, classDay;
+  if (date) {
+    const calendar = resolveDate(date);
+    if (calendar.error) return res.status(400).json({ error: calendar.error });
+    classDay = calendar.day;
+    dayName = calendar.day || calendar.weekday;
+  } else {
+    dayName = classDay = toDayName(day);
+    if (!dayName) return res.status(400).json({ error: `Unknown day: ${day}` });
+  }
+  const fromMin = parseTime(from);
+  const toMin = parseTime(to);
+  if (fromMin === null || toMin === null) return res.status(400).json({ error: 'from and to must be 24-hour HH:MM times' });
+  if (fromMin >= toMin) return res.status(400).json({ error: '"from" must be before "to"' });
+  const room = getRoom(room_number);
+  if (!room) return res.status(404).json({ error: `Unknown room: ${room_number}` });
+  if (room.bookable === 0) return res.status(400).json({ error: `Room ${room_number} is not available for event bookings` });
+
+  const when = date || dayName;
+  const conflicts = findRoomConflicts(room_number, classDay, date, fromMin, toMin);
+  if (conflicts.length) {
+    return res.status(409).json({ error: conflictMessage(room_number, when, conflicts), conflicts });
   }
 
-  // Filter BREAK items to only morning BREAK (not near LUNCH position)
-  let morningBreak = breakLetters;
-  if (lunchX !== null) {
-    morningBreak = breakLetters.filter(i => Math.abs(i.x - lunchX) > 50);
+  const [start, end] = [formatTime(fromMin), formatTime(toMin)];
+  const r = insertBooking.run(room_number, dayName, date || null, start, end, String(title).trim(), req.user.username, req.user.id);
+  const booking = db.prepare('SELECT * FROM bookings WHERE id = ?').get(r.lastInsertRowid);
+  res.locals.audit = bookingAudit(booking);
+  res.status(201).json({ message: `Requested room ${room_number} on ${when} ${start}-${end} — awaiting approval`, booking });
+});
+
+app.post('/api/bookings/:id/approve', requireRole('coordinator'), (req, res) => {
+  const booking = db.prepare('SELECT * FROM bookings WHERE id = ?').get(req.params.id);
+  if (!booking) return res.status(404).json({ error: 'Booking not found' });
+  if (booking.status !== 'pending') return res.status(400).json({ error: `Booking is already ${booking.status}` });
+
+  // Re-check: a class may have been uploaded, the calendar changed or another booking approved since the request
+  const classDay = booking.date ? resolveDate(booking.date).day : booking.day;
+  const conflicts = findRoomConflicts(booking.room_number, classDay, booking.date,
+    timeToMinutes(booking.start_time), timeToMinutes(booking.end_time), booking.id);
+  if (conflicts.length) {
+    return res.status(409).json({ error: conflictMessage(booking.room_number, booking.date || booking.day, conflicts), conflicts });
   }
-  if (morningBreak.length < 2) morningBreak = breakLetters;
 
-  const breakX = Math.round(morningBreak.reduce((s, i) => s + i.x, 0) / morningBreak.length);
+  db.prepare("UPDATE bookings SET status = 'approved', admin_note = ?, decided_at = CURRENT_TIMESTAMP WHERE id = ?")
+    .run((req.body && req.body.note) || null, booking.id);
+  res.locals.audit = bookingAudit(booking);
+  res.json({ message: `Approved booking #${booking.id}`, booking: db.prepare('SELECT * FROM bookings WHERE id = ?').get(booking.id) });
+});
 
-  if (lunchX === null || Math.abs(lunchX - breakX) < 50) {
-    lunchX = breakX + 150;
+app.post('/api/bookings/:id/reject', requireRole('coordinator'), (req, res) => {
+  const booking = db.prepare('SELECT * FROM bookings WHERE id = ?').get(req.params.id);
+  if (!booking) return res.status(404).json({ error: 'Booking not found' });
+  if (booking.status !== 'pending') return res.status(400).json({ error: `Booking is already ${booking.status}` });
+
+  db.prepare("UPDATE bookings SET status = 'rejected', admin_note = ?, decided_at = CURRENT_TIMESTAMP WHERE id = ?")
+    .run((req.body && req.body.note) || null, booking.id);
+  res.locals.audit = bookingAudit(booking);
+  res.json({ message: `Rejected booking #${booking.id}`, booking: db.prepare('SELECT * FROM bookings WHERE id = ?').get(booking.id) });
+});
+
+// Coordinators remove any booking; viewers can withdraw their own pending requests
+app.delete('/api/bookings/:id', requireRole('viewer'), (req, res) => {
+  const booking = db.prepare('SELECT * FROM bookings WHERE id = ?').get(req.params.id);
+  if (!booking) return res.status(404).json({ error: 'Booking not found' });
+  if (!hasRole(req.user, 'coordinator') && (booking.user_id !== req.user.id || booking.status !== 'pending')) {
+    return res.status(403).json({ error: 'You can only withdraw your own pending requests' });
   }
+  db.prepare('DELETE FROM bookings WHERE id = ?').run(booking.id);
+  res.locals.audit = bookingAudit(booking);
+  res.json({ message: `Removed booking #${req.params.id}` });
+});
 
-  // BREAK at breakX means: slots 1-2 are to the left, slots 3-4 between BREAK and LUNCH
-  // Use the gap positions to define column boundaries
-  // Slot widths: before BREAK ~70px each, between BREAK-LUNCH ~70px each, after LUNCH ~65px each
-  const preBreakWidth = (breakX - 100) / 2;  // 2 slots before BREAK
-  const midWidth = (lunchX - breakX - 20) / 2; // 2 slots between BREAK and LUNCH
-  const postWidth = 65; // estimate for after LUNCH
+// ── Header formats (parser registry, see lib/parser.js) ──
+app.get('/api/header-formats', (req, res) => {
+  res.json({ file: HEADER_FORMATS_FILE, loaded: fs.existsSync(HEADER_FORMATS_FILE), formats: getHeaderFormats().map(describeHeaderFormat) });
+});
 
-  return [
-    { left: 95, right: 95 + preBreakWidth },                                    // Slot 1
-    { left: 95 + preBreakWidth, right: breakX - 5 },                            // Slot 2
-    { left: breakX + 10, right: breakX + 10 + midWidth },                       // Slot 3
-    { left: breakX + 10 + midWidth, right: lunchX - 5 },                        // Slot 4
-    { left: lunchX + 10, right: lunchX + 10 + postWidth },                      // Slot 5
-    { left: lunchX + 10 + postWidth, right: lunchX + 10 + 2 * postWidth + 10 }, // Slot 6
-  ];
-}
+// Re-read the config file after editing it; on error the current registry stays in place
+app.post('/api/header-formats/reload', requireRole('admin'), (req, res) => {
+  try {
+    loadHeaderFormats();
+  } catch (err) {
+    return res.status(400).json({ error: `Could not load ${HEADER_FORMATS_FILE}: ${err.message}` });
+  }
+  res.locals.audit = { filename: HEADER_FORMATS_FILE, details: { header_formats: getHeaderFormats().length } };
+  res.json({ message: `Loaded ${getHeaderFormats().length} header formats`, formats: getHeaderFormats().map(describeHeaderFormat) });
+});
 
+// ── Slot grids (see lib/slots.js) ──
+app.get('/api/slot-grids', (req, res) => {
+  res.json({ file: SLOT_GRIDS_FILE, loaded: fs.existsSync(SLOT_GRIDS_FILE), grids: getSlotGrids().map(describeSlotGrid) });
+});
 
-// Determine which time slot (0-5) an X coordinate falls into
-function getSlotIndex(x, boundaries) {
-  for (let i = 0; i < boundaries.length; i++) {
-    if (x >= boundaries[i].left && x <= boundaries[i].right) return i;
+// Re-read the config file after editing it; on error the current grids stay in place.
+// Sections already stored keep their times — reassign one with PATCH /api/timetables/:id.
+app.post('/api/slot-grids/reload', requireRole('admin'), (req, res) => {
+  try {
+    loadSlotGrids();
+  } catch (err) {
+    return res.status(400).json({ error: `Could not load ${SLOT_GRIDS_FILE}: ${err.message}` });
   }
-  // If between boundaries (in BREAK/LUNCH gap), skip
-  return -1;
-}
+  res.locals.audit = { filename: SLOT_GRIDS_FILE, details: { slot_grids: getSlotGrids().length } };
+  res.json({ message: `Loaded ${getSlotGrids().length} slot grid(s)`, grids: getSlotGrids().map(describeSlotGrid) });
+});
+
+// ── Accounts (see lib/auth.js) ──
+// Failed logins per client address; a burst of them locks that address out for a while
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 10;
+const loginFailures = new Map();
+
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body || {};
+  const failures = (loginFailures.get(req.ip) || []).filter(t => Date.now() - t < LOGIN_WINDOW_MS);
+  if (failures.length >= LOGIN_MAX_FAILURES) return res.status(429).json({ error: 'Too many failed logins — try again in a few minutes' });
+  const user = username && password ? db.prepare('SELECT * FROM users WHERE username = ?').get(String(username).trim()) : null;
+  if (!user || user.disabled || !verifyPassword(password, user.password_hash)) {
+    loginFailures.set(req.ip, [...failures, Date.now()]);
+    return res.status(401).json({ error: 'Wrong username or password' });
+  }
+  loginFailures.delete(req.ip);
+  res.locals.audit = { user };
+  res.setHeader('Set-Cookie', sessionCookie(req, createSession(user)));
+  res.json({ message: `Logged in as ${user.username}`, user: publicUser(user) });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  endSession(req);
+  res.setHeader('Set-Cookie', sessionCookie(req, '', 0));
+  res.json({ message: 'Logged out' });
+});
+
+// Who is calling, and which roles exist (the frontend hides what this user can't do)
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user ? publicUser(req.user) : null, roles: ROLES });
+});
+
+app.post('/api/auth/password', requireRole('viewer'), (req, res) => {
+  const { current_password, new_password } = req.body || {};
+  if (!verifyPassword(current_password, req.user.password_hash)) return res.status(400).json({ error: 'Current password is wrong' });
+  const problem = validatePassword(new_password);
+  if (problem) return res.status(400).json({ error: problem });
+  // Sessions signed in with the old password (perhaps not by this user) end with it
+  const ended = db.transaction(() => {
+    db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(hashPassword(new_password), req.user.id);
+    return endOtherSessions(req);
+  })();
+  res.locals.audit = { details: { other_sessions_ended: ended } };
+  res.json({ message: 'Password changed' + (ended ? ` — signed out ${ended} other session(s)` : '') });
+});
+
+// API tokens belong to the calling user and act with that user's role
+app.get('/api/auth/tokens', requireRole('viewer'), (req, res) => {
+  res.json(db.prepare('SELECT id, name, created_at, last_used_at FROM api_tokens WHERE user_id = ? ORDER BY id').all(req.user.id));
+});
+
+app.post('/api/auth/tokens', requireRole('viewer'), (req, res) => {
+  const name = String((req.body && req.body.name) || '').trim();
+  if (!name) return res.status(400).json({ error: 'name is required (e.g. "nightly import script")' });
+  const token = createToken(req.user, name);
+  res.locals.audit = { details: { token_id: token.id, name } };
+  res.status(201).json({ message: 'Copy the token now — it is not shown again', ...token });
+});
+
+app.delete('/api/auth/tokens/:id', requireRole('viewer'), (req, res) => {
+  const r = db.prepare('DELETE FROM api_tokens WHERE id = ? AND user_id = ?').run(req.params.id, req.user.id);
+  if (!r.changes) return res.status(404).json({ error: 'Token not found' });
+  res.json({ message: `Revoked token #${req.params.id}` });
+});
+
+// ── User management (admins) ──
+app.get('/api/users', requireRole('admin'), (req, res) => {
+  res.json(db.prepare('SELECT * FROM users ORDER BY username').all().map(publicUser));
+});
+
+app.post('/api/users', requireRole('admin'), (req, res) => {
+  const { username, password, role = 'viewer' } = req.body || {};
+  const user = createUser(username, password, role);
+  if (user.error) return res.status(400).json(user);
+  res.locals.audit = { details: { user_id: user.id, username: user.username, role: user.role } };
+  res.status(201).json({ message: `Created ${user.role} ${user.username}`, user });
+});
+
+// { role, password, disabled }; disabling a user or changing their password logs them out everywhere
+app.patch('/api/users/:id', requireRole('admin'), (req, res) => {
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+  const { role, password, disabled } = req.body || {};
+  if (role !== undefined) {
+    const problem = validateRole(role);
+    if (problem) return res.status(400).json({ error: problem });
+  }
+  if (password !== undefined) {
+    const problem = validatePassword(password);
+    if (problem) return res.status(400).json({ error: problem });
+  }
+  if (((role !== undefined && role !== 'admin') || disabled) && isLastAdmin(user)) {
+    return res.status(400).json({ error: 'This is the last admin — make someone else an admin first' });
+  }
+  db.transaction(() => {
+    if (role !== undefined) db.prepare('UPDATE users SET role = ? WHERE id = ?').run(role, user.id);
+    if (disabled !== undefined) db.prepare('UPDATE users SET disabled = ? WHERE id = ?').run(disabled ? 1 : 0, user.id);
+    if (password !== undefined) db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(hashPassword(password), user.id);
+    if (password !== undefined || disabled) db.prepare('DELETE FROM sessions WHERE user_id = ?').run(user.id);
+  })();
+  res.locals.audit = {
+    details: { user_id: user.id, username: user.username, role: role ?? user.role, disabled: disabled ?? !!user.disabled, password_changed: password !== undefined }
+  };
+  res.json({ message: `Updated ${user.username}`, user: publicUser(db.prepare('SELECT * FROM users WHERE id = ?').get(user.id)) });
+});
+
+app.delete('/api/users/:id', requireRole('admin'), (req, res) => {
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+  if (isLastAdmin(user)) return res.status(400).json({ error: 'This is the last admin — make someone else an admin first' });
+  db.transaction(() => {
+    db.prepare('DELETE FROM sessions WHERE user_id = ?').run(user.id);
+    db.prepare('DELETE FROM api_tokens WHERE user_id = ?').run(user.id);
+    db.prepare('DELETE FROM users WHERE id = ?').run(user.id);
+  })();
+  res.locals.audit = { details: { user_id: user.id, username: user.username, role: user.role } };
+  res.json({ message: `Removed ${user.username}` });
+});
+
+// ── Audit log (see lib/audit.js) ──
+app.get('/api/audit', requireRole('admin'), (req, res) => {
+  const result = queryAudit(req.query);
+  if (result.error) return res.status(400).json(result);
+  res.json(result);
+});
+
+// ── Backup and restore (see lib/export.js) ──
+// GET /api/export?users=1 also includes user accounts (password and token hashes)
+app.get('/api/export', requireRole('admin'), (req, res) => {
+  const archive = exportData({ users: req.query.users === '1' });
+  res.setHeader('Content-Disposition', `attachment; filename="scheduler-export-${archive.exported_at.slice(0, 10)}.json"`);
+  res.json(archive);
+});
+
+// POST /api/import?mode=merge|replace&dry_run=1 with the archive as the JSON body or
+// a file in the "archive" field. Nothing is written unless the whole archive is valid.
+app.post('/api/import', requireRole('admin'), upload.single('archive'), (req, res) => {
+  let archive = req.body;
+  if (req.file) {
+    const text = fs.readFileSync(req.file.path, 'utf8').replace(/^\uFEFF/, '');
+    try { fs.unlinkSync(req.file.path); } catch {}
+    try {
+      archive = JSON.parse(text);
+    } catch (err) {
+      return res.status(400).json({ error: 'Archive is not valid JSON: ' + err.message });
+    }
+  }
+  const mode = req.query.mode || 'merge';
+  const dryRun = req.query.dry_run === '1';
+  const before = db.prepare('SELECT COUNT(*) AS n FROM schedules').get().n;
+  const result = importData(archive, { mode, dryRun });
+  if (result.error) return res.status(400).json(result);
+  res.locals.audit = {
+    filename: req.file ? req.file.originalname : null,
+    before,
+    after: db.prepare('SELECT COUNT(*) AS n FROM schedules').get().n,
+    details: { mode, dry_run: dryRun, exported_at: archive.exported_at || null, summary: result.summary }
+  };
+  res.json(result);
+});
+
+app.get('/api/snapshots', requireRole('admin'), (req, res) => {
+  res.json({ dir: SNAPSHOT_DIR || null, snapshots: listSnapshots() });
+});
+
+app.post('/api/snapshots', requireRole('admin'), (req, res) => {
+  if (!SNAPSHOT_DIR) return res.status(400).json({ error: 'Snapshots are off — set SNAPSHOT_DIR to turn them on' });
+  const name = writeSnapshot();
+  res.locals.audit = { filename: name };
+  res.json({ message: `Wrote ${name}`, snapshots: listSnapshots() });
+});
 
 // Global error handler
 app.use((err, req, res, next) => {
@@ -814,4 +1579,7 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Server error: ' + err.message });
 });
 
+startSnapshots();
+bootstrapAdmin();
+sweepOrphanedUploads();
 app.listen(PORT, () => console.log(`Server running at http://localhost:${PORT}`));